@@ -0,0 +1,312 @@
+/**
+ * Jämförelse mellan två versioner av events.json för visualiseringen av verksamhetscykeln
+ * Visar vad som ändrats sedan en tidigare version (t.ex. en fil i data/archive/):
+ * nya, borttagna, flyttade och ändrade händelser markeras i hjulet och listas i en sammanfattning.
+ *
+ * Händelser paras ihop i tre steg:
+ * 1. samma id och samma styrningsunderlag och ring
+ * 2. samma styrningsunderlag och ring (id:t följer radordningen och flyttas när rader läggs till)
+ * 3. samma id (styrningsunderlaget eller ringen har ändrats)
+ */
+
+import { DEFAULT_SEGMENTS, getRingLabel } from './config.js';
+import { getRadius } from './svg-setup.js';
+import { formatLocalDate, parseLocalDate, shapeGenerators, toSingleLine } from './utils.js';
+import { t } from './i18n.js';
+
+// Fält som flyttar händelsen i hjulet
+const MOVE_FIELDS = ['date', 'endDate', 'ring', 'ring_2'];
+
+// Övriga fält som jämförs, med kolumnnamnen från Excel-filen (segmentfiltrets kategorier läggs till)
+const TEXT_FIELDS = {
+  label: 'Styrningsunderlag förkortning',
+  description: 'Styrningsunderlag',
+  responsible: 'Ansvarig',
+  type: 'Typ',
+  visible: 'Synlig',
+  recurrence: 'Upprepning'
+};
+
+/**
+ * Fält som jämförs och deras kolumnnamn, inklusive segmentfiltrets kategorier
+ * @param {Array} segments - Segmentfiltrets kategorier (config.segments)
+ * @returns {Object} Fält → kolumnnamn
+ */
+function getFieldNames(segments) {
+  return { ...TEXT_FIELDS, ...Object.fromEntries(segments.map(segment => [segment.id, segment.column])) };
+}
+
+// Ordningen i sammanfattningen; namnen finns under compare.status i i18n.js
+const STATUSES = ['added', 'removed', 'moved', 'changed'];
+
+// Tecken bredvid markören så att markeringen inte bara syns som färg
+const STATUS_BADGES = {
+  added: '+',
+  moved: '→',
+  changed: '✎'
+};
+
+/**
+ * Hämtar året som en fil gäller
+ * Används config.year inte tas det vanligaste året bland händelsernas datum.
+ * @param {Object} data - Innehållet i events.json
+ * @returns {number|null}
+ */
+function getDataYear(data) {
+  if (Number.isInteger(data.config?.year)) return data.config.year;
+  const years = (data.events ?? []).map(ev => parseLocalDate(ev.date)?.getFullYear()).filter(Boolean);
+  if (!years.length) return null;
+  return d3.greatest(d3.rollups(years, v => v.length, y => y), ([, count]) => count)[0];
+}
+
+/**
+ * Flyttar ett datum ett antal hela år (för jämförelse med ett annat års fil)
+ * @param {string|null} date - Datum (YYYY-MM-DD)
+ * @param {number} years - Antal år
+ * @returns {string|null}
+ */
+function shiftYears(date, years) {
+  const d = parseLocalDate(date);
+  if (!d || !years) return date ?? null;
+  return formatLocalDate(d3.timeYear.offset(d, years));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function getMatchKey(ev) {
+  return `${toSingleLine(ev.label).toLowerCase()}|${ev.ring}`;
+}
+
+/**
+ * Jämför två versioner av events.json
+ * En äldre fil från ett annat år jämförs med datumen flyttade till det nya året.
+ * @param {Object} oldData - Tidigare version
+ * @param {Object} newData - Aktuell version
+ * @param {Array} [segments=DEFAULT_SEGMENTS] - Segmentfiltrets kategorier (config.segments)
+ * @returns {Array<{status: string, ev: Object|null, old: Object|null, moved: boolean, fields: string[]}>}
+ *   status är added, removed, moved eller changed; en flyttad händelse kan även ha ändrade fält
+ */
+export function diffEvents(oldData, newData, segments = DEFAULT_SEGMENTS) {
+  const oldYear = getDataYear(oldData);
+  const newYear = getDataYear(newData);
+  const yearOffset = oldYear && newYear ? newYear - oldYear : 0;
+
+  const oldEvents = (oldData.events ?? []).map(ev => ({
+    ...ev,
+    date: shiftYears(ev.date, yearOffset),
+    endDate: shiftYears(ev.endDate, yearOffset),
+    originalDate: ev.date,
+    originalEndDate: ev.endDate ?? null
+  }));
+  const newEvents = newData.events ?? [];
+
+  const pairs = [];
+  const unmatchedOld = new Set(oldEvents);
+  const unmatchedNew = new Set(newEvents);
+
+  function pairBy(matches) {
+    unmatchedNew.forEach(ev => {
+      const old = [...unmatchedOld].find(candidate => matches(ev, candidate));
+      if (!old) return;
+      pairs.push({ ev, old });
+      unmatchedNew.delete(ev);
+      unmatchedOld.delete(old);
+    });
+  }
+
+  pairBy((ev, old) => String(ev.id) === String(old.id) && getMatchKey(ev) === getMatchKey(old));
+  pairBy((ev, old) => getMatchKey(ev) === getMatchKey(old));
+  pairBy((ev, old) => String(ev.id) === String(old.id));
+
+  // Saknas en kategori i en äldre fil räknas den som Nej
+  const segmentIds = segments.map(segment => segment.id);
+  const isFieldEqual = (field, a, b) => segmentIds.includes(field) ? (a === true) === (b === true) : isEqual(a, b);
+
+  const changes = [];
+
+  pairs.forEach(({ ev, old }) => {
+    const moved = MOVE_FIELDS.some(field => !isEqual(ev[field], old[field]));
+    const fields = Object.keys(getFieldNames(segments)).filter(field => !isFieldEqual(field, ev[field], old[field]));
+    if (moved || fields.length) {
+      changes.push({ status: moved ? 'moved' : 'changed', ev, old, moved, fields });
+    }
+  });
+  unmatchedNew.forEach(ev => changes.push({ status: 'added', ev, old: null, moved: false, fields: [] }));
+  unmatchedOld.forEach(old => changes.push({ status: 'removed', ev: null, old, moved: false, fields: [] }));
+
+  return changes.sort((a, b) => String((a.ev ?? a.old).date).localeCompare(String((b.ev ?? b.old).date)));
+}
+
+/**
+ * Tar bort markeringar från en tidigare jämförelse
+ * @param {Object} layers - SVG-lager
+ */
+export function clearComparison(layers) {
+  layers.gMarkers.selectAll(".diff-ghosts").remove();
+  layers.gMarkers.selectAll(".diff-badge").remove();
+  layers.gMarkers.selectAll(".event-group")
+    .classed("is-diff-added", false)
+    .classed("is-diff-moved", false)
+    .classed("is-diff-changed", false);
+}
+
+/**
+ * Markerar ändringarna i hjulet
+ * Nya, flyttade och ändrade händelser får en färgad kontur och ett tecken. Borttagna och
+ * flyttade händelser ritas som streckade skuggor på sin tidigare plats.
+ * @param {Object} layers - SVG-lager
+ * @param {Array} changes - Resultat från diffEvents
+ * @param {Array} labelData - Ritade händelser med position
+ * @param {Object} typeStyle - Stilar per händelsetyp
+ * @param {Object} layout - Layoutkonfiguration
+ * @param {d3.ScaleTime} angleScale - Vinkelskala
+ */
+export function renderComparison(layers, changes, labelData, typeStyle, layout, angleScale) {
+  const { gMarkers } = layers;
+  clearComparison(layers);
+
+  // Återkommande serier ritas som tillfällen med seriens id i seriesId
+  const drawnBySource = d3.group(labelData, item => String(item.seriesId ?? item.id));
+
+  changes.filter(change => change.ev).forEach(change => {
+    (drawnBySource.get(String(change.ev.id)) ?? []).forEach(item => {
+      const group = gMarkers.select(`.event-group[data-id="${item.id}"]`);
+      group.classed(`is-diff-${change.status}`, true);
+      group.append("text")
+        .attr("class", "diff-badge")
+        .attr("x", item.x + layout.markerBaseSize + 2)
+        .attr("y", item.y - layout.markerBaseSize)
+        .attr("aria-hidden", "true")
+        .text(STATUS_BADGES[change.status]);
+    });
+  });
+
+  const [windowStart, windowEnd] = angleScale.domain();
+  const ghosts = gMarkers.insert("g", ":first-child").attr("class", "diff-ghosts");
+
+  // Skuggor bara för händelser som syntes i den tidigare versionen
+  changes.filter(change => (change.status === 'removed' || change.moved) && change.old.visible === true).forEach(change => {
+    const date = parseLocalDate(change.old.date);
+    if (!date || date < windowStart || date >= windowEnd) return;
+
+    const a = angleScale(date);
+    const r = getRadius(change.old.ring, layout);
+    const x = r * Math.cos(a);
+    const y = r * Math.sin(a);
+    const style = typeStyle[change.old.type] || { shape: "circle" };
+
+    const ghost = ghosts.append("g")
+      .attr("class", `diff-ghost is-diff-${change.status}`);
+
+    ghost.append("title")
+      .text(`${t(`compare.status.${change.status}`)}: ${toSingleLine(change.old.label)}\n${t('compare.previously', { date: change.old.originalDate })}`);
+
+    // Flyttade händelser får en streckad linje från den gamla platsen till den nya
+    if (change.moved) {
+      (drawnBySource.get(String(change.ev.id)) ?? []).slice(0, 1).forEach(item => {
+        ghost.append("line")
+          .attr("x1", x)
+          .attr("y1", y)
+          .attr("x2", item.x)
+          .attr("y2", item.y);
+      });
+    }
+
+    ghost.append("path")
+      .attr("transform", `translate(${x}, ${y})`)
+      .attr("d", shapeGenerators[style.shape || "circle"](layout.markerBaseSize));
+  });
+}
+
+/**
+ * Beskriver en ändring på en rad
+ * @param {Object} change - Ändring från diffEvents
+ * @param {Array} rings - Normaliserade ringar (config.rings)
+ * @param {Object} fieldNames - Kolumnnamn för ändrade fält (getFieldNames)
+ * @returns {string}
+ */
+function describeChange(change, rings, fieldNames) {
+  const { ev, old } = change;
+  const label = toSingleLine((ev ?? old).label) || (ev ?? old).id;
+
+  if (change.status === 'added') return `${ev.date} · ${label}`;
+  if (change.status === 'removed') return `${old.originalDate} · ${label}`;
+
+  const parts = [];
+  if (change.moved) {
+    if (!isEqual(ev.date, old.date) || !isEqual(ev.endDate, old.endDate)) {
+      const oldDates = [old.originalDate, old.originalEndDate].filter(Boolean).join(' – ');
+      const newDates = [ev.date, ev.endDate].filter(Boolean).join(' – ');
+      parts.push(`${oldDates} → ${newDates}`);
+    }
+    if (!isEqual(ev.ring, old.ring)) parts.push(`${getRingLabel(old.ring, rings)} → ${getRingLabel(ev.ring, rings)}`);
+    if (!isEqual(ev.ring_2, old.ring_2)) parts.push(t('compare.relatedRing'));
+  }
+  if (change.fields.length) parts.push(t('compare.changedFields', { fields: change.fields.map(field => fieldNames[field]).join(', ') }));
+
+  return `${label}: ${parts.join(' · ')}`;
+}
+
+/**
+ * Ritar sammanfattningen av jämförelsen
+ * @param {HTMLElement} container - Element som sammanfattningen ritas i
+ * @param {Array|null} changes - Resultat från diffEvents
+ * @param {string} sourceName - Den tidigare versionens sökväg eller filnamn
+ * @param {Object} options
+ * @param {Function} options.onClose - Anropas när jämförelsen avslutas
+ * @param {Error} [options.error] - Fel som stoppade jämförelsen
+ * @param {Array} [options.rings] - Normaliserade ringar (config.rings) för ringnamnen
+ * @param {Array} [options.segments] - Segmentfiltrets kategorier (config.segments) för fältnamnen
+ */
+export function renderCompareReport(container, changes, sourceName, { onClose, error = null, rings = [], segments = DEFAULT_SEGMENTS }) {
+  container.replaceChildren();
+  container.hidden = false;
+
+  const details = d3.select(container).append("details").property("open", true);
+
+  if (error) {
+    details.append("summary").text(t('compare.failed', { source: sourceName }));
+    details.append("p").attr("class", "validation-note").text(error.message);
+  } else {
+    const counts = d3.rollup(changes, v => v.length, change => change.status);
+    const parts = STATUSES
+      .filter(status => counts.get(status))
+      .map(status => t(`compare.counts.${status}`, { count: counts.get(status) }));
+
+    details.append("summary")
+      .text(parts.length
+        ? t('compare.summary', { source: sourceName, parts: parts.join(', ') })
+        : t('compare.noChanges', { source: sourceName }));
+
+    if (changes.length) {
+      details.append("p")
+        .attr("class", "validation-note")
+        .text(t('compare.note'));
+    }
+
+    STATUSES.forEach(status => {
+      const group = changes.filter(change => change.status === status);
+      if (!group.length) return;
+
+      details.append("h3")
+        .attr("class", "compare-heading")
+        .text(`${t(`compare.status.${status}`)} (${group.length})`);
+
+      details.append("ul")
+        .attr("class", "validation-list")
+        .selectAll("li")
+        .data(group)
+        .join("li")
+        .attr("class", `compare-item is-diff-${status}`)
+        .text(change => describeChange(change, rings, getFieldNames(segments)));
+    });
+  }
+
+  details.append("button")
+    .attr("type", "button")
+    .attr("class", "reset-button")
+    .text(t('compare.close'))
+    .on("click", onClose);
+}
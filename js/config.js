@@ -2,75 +2,268 @@
  * Konfigurationshantering för visualiseringen av verksamhetscykeln
  */
 
-export const DATA_PATH = 'web-data/2026/events.json';
+import { parseLocalDate, getEventDateRange, toSingleLine } from './utils.js';
+import { validateData, validateRings } from './validation.js';
+import { expandRecurringEvents } from './recurrence.js';
+import { t, localizeField } from './i18n.js';
 
-export const DEFAULT_SEGMENT_BUTTONS_COLORS = {
-  verksamhet: "rgba(100, 100, 100, 0.2)",
-  ekonomi: "rgba(100, 100, 100, 0.2)",
-  kvalitet: "rgba(100, 100, 100, 0.2)"
-};
+/**
+ * År som visas om inget år anges i adressen
+ */
+export const DEFAULT_YEAR = 2026;
+
+/**
+ * Index över publicerade år (används av årsväljaren)
+ */
+export const YEARS_INDEX_PATH = 'web-data/years.json';
+
+/**
+ * Hämtar sökvägen till händelsefilen för ett år
+ * @param {number} year - Året
+ * @returns {string} Relativ sökväg till JSON-filen
+ */
+export function getDataPath(year) {
+  return `web-data/${year}/events.json`;
+}
+
+/**
+ * Läser önskat år från URL-parametern ?year=
+ * @returns {number} Året som ska visas
+ */
+export function getRequestedYear() {
+  const param = new URLSearchParams(window.location.search).get('year');
+  return /^\d{4}$/.test(param ?? '') ? Number(param) : DEFAULT_YEAR;
+}
+
+// Standardfärgerna är CSS-variabler så att de följer valt tema (styles/style.css)
+export const DEFAULT_SEGMENT_COLOR = "var(--segment-button-bg)";
 
 export const DEFAULT_RING_COLORS = [
-  "rgba(34, 18, 77, 0.9)",
-  "rgba(62, 36, 118, 0.8)",
-  "rgba(88, 62, 144, 0.6)",
-  "rgba(128, 107, 184, 0.4)"
+  "var(--ring-color-1)",
+  "var(--ring-color-2)",
+  "var(--ring-color-3)",
+  "var(--ring-color-4)"
 ];
 
 /**
- * Ringnamnsmappning (index till namn)
+ * Ringar som används om datafilen saknar config.rings (inifrån och ut)
+ * - id: värdet i händelsernas ring och ring_2
+ * - name: värdet i Excel-filens Styrningsfas
+ * - label: namn i hjulet och i mitten (\n ger radbrytning), standard name
+ * - legendTitle, horizon, description: rubrik, tidshorisont och text i ringförklaringen
+ * - color: ringens färg, standard DEFAULT_RING_COLORS efter position
+ * label, legendTitle och description kan ha engelsk text med suffixet _en.
  */
-export const RING_NAMES = [
-  "langtidsplanering",
-  "planering",
-  "genomforande_och_uppfoljning",
-  "uppfoljning_och_analys"
+export const DEFAULT_RINGS = [
+  {
+    id: "langtidsplanering",
+    name: "Långtidsplanering",
+    label: "Långtids-\nplanering",
+    label_en: "Long-term\nplanning",
+    legendTitle: "Långtidsplanering",
+    legendTitle_en: "Long-term planning",
+    horizon: "T + 3",
+    description: "säkerställer att HDa planerar för att nå strategiskamål på längre sikt",
+    description_en: "ensures that the university plans to reach its strategic goals in the longer term"
+  },
+  {
+    id: "planering",
+    name: "Planering",
+    label: "Planering",
+    label_en: "Planning",
+    legendTitle: "Planering kommande år",
+    legendTitle_en: "Planning for next year",
+    horizon: "T + 1",
+    description: "syftar till att planera verksamheten för närmaste kommande år",
+    description_en: "plans the activities for the coming year"
+  },
+  {
+    id: "genomforande_och_uppfoljning",
+    name: "Genomförande och uppföljning",
+    label: "Genomförande &\nuppföljning",
+    label_en: "Implementation &\nfollow-up",
+    legendTitle: "Genomförande och uppföljning",
+    legendTitle_en: "Implementation and follow-up",
+    horizon: "T + 0",
+    description: "innevarande år, syftar till att kontinuerligt följa verksamheten och identifiera åtgärdsbehov",
+    description_en: "the current year, continuously following up activities and identifying the need for action"
+  },
+  {
+    id: "uppfoljning_och_analys",
+    name: "Uppföljning och analys",
+    label: "Uppföljning &\nanalys",
+    label_en: "Follow-up &\nanalysis",
+    legendTitle: "Uppföljning och analys",
+    legendTitle_en: "Follow-up and analysis",
+    horizon: "T - 1",
+    description: "av tidigare års utfall i syfte att ge stöd åt verksamheten att ständigt utvecklas",
+    description_en: "of previous years' results, supporting continuous improvement"
+  }
 ];
 
 /**
- * Visningsnamn för ringar i mitten (med radbrytningar)
+ * Kategorier i segmentfiltret som används om datafilen saknar config.segments
+ * - id: händelsefältet (true/false) som anger att händelsen hör till kategorin
+ * - label: texten på knappen och kategorin i kalenderexporten, standard column
+ * - column: kolumnen i Excel-filen (Ja/Nej), standard id
+ * - color: knappens färg när den inte är vald, standard DEFAULT_SEGMENT_COLOR
+ * label kan ha engelsk text med suffixet _en.
  */
-export const RING_DISPLAY_NAMES = [
-  "Långtids-\nplanering",
-  "Planering",
-  "Genomförande &\nuppföljning",
-  "Uppföljning &\nanalys"
+export const DEFAULT_SEGMENTS = [
+  { id: "verksamhet", column: "Verksamhet", label: "Verksamhet", label_en: "Operations" },
+  { id: "ekonomi", column: "Ekonomi", label: "Ekonomi", label_en: "Finance" },
+  { id: "kvalitet", column: "Kvalitet", label: "Kvalitet", label_en: "Quality" }
 ];
 
 /**
- * Namn för perioderna (motsvarar ordningen i periodDividerWeeks)
+ * Händelsefältens ordning i events.json (output_cols i update_events.py)
+ * Segmentfiltrets kategorier skrivs efter responsible.
+ * @param {Array} segments - Kategorier med id (config.segments)
+ * @returns {string[]}
  */
-export const PERIOD_NAMES = [
-  "Period 3",
-  "Period 4",
-  "Sommar",
-  "Period 1",
-  "Period 2"
-];
+export function getEventFieldOrder(segments) {
+  return [
+    'date', 'endDate', 'recurrence', 'ring', 'ring_2', 'type', 'label', 'description', 'label_en', 'description_en', 'responsible',
+    ...segments.map(segment => segment.id),
+    'placering', 'visible', 'id'
+  ];
+}
+
+/**
+ * Ring för händelser i månadsbandet (utanför de vanliga ringarna)
+ */
+export const MONTH_RING = "manad";
 
 /**
- * Ringnamn till index
+ * Namn för perioderna på valt språk (motsvarar ordningen i periodDividerWeeks)
  */
-export const RING_MAP = {
-  "langtidsplanering": 0,
-  "planering": 1,
-  "genomforande_och_uppfoljning": 2,
-  "uppfoljning_och_analys": 3,
-  "manad": 4
+export const PERIOD_NAMES = t('periods');
+
+/**
+ * Visningsnamn för händelsetyper (motsvarar TYPE_MAPPING i update_events.py)
+ * Alltid svenska eftersom namnen också är värdena i Excel-filen, se getTypeDisplayName.
+ */
+export const TYPE_DISPLAY_NAMES = {
+  "beslut": "Beslut",
+  "inlamning": "Inlämning",
+  "dialog_gemensam": "Dialog gemensam",
+  "dialog_enskild": "Dialog enskild",
+  "omvarldsanalys": "Omvärldsanalys"
 };
 
 /**
- * Svenska månadsnamn
+ * Ringid till index (månadsbandet får indexet efter sista ringen)
+ * @param {Array} rings - Normaliserade ringar (config.rings)
+ * @returns {Object} T.ex. { planering: 1, manad: 4 }
  */
-export const MONTHS_LIST = ["Jan", "Feb", "Mar", "Apr", "Maj", "Jun", "Jul", "Aug", "Sep", "Okt", "Nov", "Dec"];
+export function getRingMap(rings) {
+  return {
+    ...Object.fromEntries(rings.map((ring, i) => [ring.id, i])),
+    [MONTH_RING]: rings.length
+  };
+}
 
 /**
- * Fullständiga svenska månadsnamn för visning i mitten
+ * Visningsnamn för en ring på en rad
+ * @param {string} ringId - Ringid, t.ex. "planering"
+ * @param {Array} rings - Normaliserade ringar (config.rings)
+ * @returns {string} Namnet, eller id:t om ringen är okänd
  */
-export const FULL_MONTHS_LIST = [
-  "Januari", "Februari", "Mars", "April", "Maj", "Juni",
-  "Juli", "Augusti", "September", "Oktober", "November", "December"
-];
+export function getRingLabel(ringId, rings) {
+  if (ringId === MONTH_RING) return t('wheel.monthRing');
+  const ring = rings.find(r => r.id === ringId);
+  return ring ? toSingleLine(ring.label) : (ringId ?? '');
+}
+
+/**
+ * Normaliserar ringdefinitionerna
+ * Texterna översätts till valt språk. Saknas färg används ringColors (äldre datafiler) eller standardfärgen.
+ * @param {Object} rawConfig - Rå konfiguration från JSON
+ * @returns {Array} Ringar med id, name, label, legendTitle, horizon, description och color
+ */
+function normalizeRings(rawConfig) {
+  // Utan någon ring med id används standardringarna; enstaka felaktiga ringar rapporteras av validateRings
+  const hasRings = Array.isArray(rawConfig.rings) && rawConfig.rings.some(ring => ring?.id);
+  const rings = hasRings ? rawConfig.rings : DEFAULT_RINGS;
+
+  return rings.map((entry, i) => {
+    const ring = entry && typeof entry === 'object' ? entry : {};
+    const label = localizeField(ring, 'label') ?? ring.name ?? ring.id;
+    return {
+      id: ring.id,
+      name: ring.name ?? ring.id,
+      label,
+      legendTitle: localizeField(ring, 'legendTitle') ?? toSingleLine(label),
+      horizon: ring.horizon ?? '',
+      description: localizeField(ring, 'description') ?? '',
+      color: ring.color ?? rawConfig.ringColors?.[i] ?? DEFAULT_RING_COLORS[i] ?? null
+    };
+  });
+}
+
+/**
+ * Normaliserar segmentfiltrets kategorier
+ * Saknas färg används segmentButtonsColors (äldre datafiler) eller standardfärgen.
+ * @param {Object} rawConfig - Rå konfiguration från JSON
+ * @returns {Array} Kategorier med id, label, column och color
+ */
+function normalizeSegments(rawConfig) {
+  // Felaktiga kategorier rapporteras och tas bort av validateData
+  const segments = Array.isArray(rawConfig.segments) ? rawConfig.segments : DEFAULT_SEGMENTS;
+
+  return segments.map(entry => {
+    const segment = entry && typeof entry === 'object' ? entry : {};
+    return {
+      id: segment.id,
+      label: localizeField(segment, 'label') ?? segment.column ?? segment.id,
+      column: segment.column ?? segment.id,
+      color: segment.color ?? rawConfig.segmentButtonsColors?.[segment.id] ?? DEFAULT_SEGMENT_COLOR
+    };
+  });
+}
+
+/**
+ * Normaliserar organisationens stängda dagar (utöver helgdagarna i holidays.js)
+ * En dag kan anges som datumsträng eller som objekt med date, valfritt endDate och name.
+ * @param {Object} rawConfig - Rå konfiguration från JSON
+ * @returns {Array<{date: string, endDate: string|null, name: string}>}
+ */
+function normalizeClosureDays(rawConfig) {
+  // Ogiltiga datum rapporteras och tas bort av validateData
+  const days = Array.isArray(rawConfig.closureDays) ? rawConfig.closureDays : [];
+
+  return days.map(entry => {
+    if (typeof entry === 'string') return { date: entry, endDate: null, name: '' };
+    const day = entry && typeof entry === 'object' ? entry : {};
+    return { date: day.date, endDate: day.endDate ?? null, name: localizeField(day, 'name') ?? '' };
+  });
+}
+
+/**
+ * Händelsefält som kan ha en översättning med språkkod som suffix (t.ex. label_en)
+ */
+export const TRANSLATED_FIELDS = ['label', 'description'];
+
+/**
+ * Visningsnamn för en händelsetyp på valt språk
+ * @param {string} type - Typ, t.ex. "beslut"
+ * @returns {string}
+ */
+export function getTypeDisplayName(type) {
+  const key = `types.${type}`;
+  const name = t(key);
+  return name !== key ? name : (TYPE_DISPLAY_NAMES[type] ?? type);
+}
+
+/**
+ * Korta månadsnamn på valt språk
+ */
+export const MONTHS_LIST = t('months');
+
+/**
+ * Fullständiga månadsnamn på valt språk för visning i mitten
+ */
+export const FULL_MONTHS_LIST = t('fullMonths');
 
 /**
  * Normaliserar konfiguration genom att slå ihop med standardvärden
@@ -80,62 +273,226 @@ export const FULL_MONTHS_LIST = [
 export function normalizeConfig(rawConfig = {}) {
   const config = { ...rawConfig };
 
-  config.segmentButtonsColors = {
-    ...DEFAULT_SEGMENT_BUTTONS_COLORS,
-    ...(rawConfig.segmentButtonsColors ?? {})
-  };
+  config.segments = normalizeSegments(rawConfig);
+  config.segmentMatch = rawConfig.segmentMatch ?? 'any';
+  delete config.segmentButtonsColors;
+  config.closureDays = normalizeClosureDays(rawConfig);
 
-  config.ringColors = rawConfig.ringColors ?? DEFAULT_RING_COLORS;
+  config.centerText = localizeField(rawConfig, 'centerText');
+  config.rings = normalizeRings(rawConfig);
+  delete config.ringColors;
   config.periodDividerWeeks = rawConfig.periodDividerWeeks ?? [];
   config.periodColors = rawConfig.periodColors ?? [];
   config.ui = rawConfig.ui ?? {};
   config.ui.cssVars = rawConfig.ui?.cssVars ?? {};
+  config.ui.themes = rawConfig.ui?.themes ?? {};
 
   return config;
 }
 
 /**
  * Applicerar CSS-variabler från konfigurationen till dokumentets rot
- * @param {Object} cssVars - Objekt med CSS-variabler
+ * Variablerna skrivs till en egen stilmall och inte inline på <html>, så att temana i
+ * style.css (t.ex. :root[data-theme="dark"]) väger tyngre än cssVars.
+ * @param {Object} cssVars - Objekt med CSS-variabler (ljust tema och allt som inte är färger)
+ * @param {Object} [themes] - CSS-variabler per tema, t.ex. { dark: { "--accent": "..." } }
  */
-export function applyCssVars(cssVars) {
-  if (!cssVars || typeof cssVars !== 'object') {
-    return;
+export function applyCssVars(cssVars, themes = {}) {
+  const toDeclarations = (vars) => {
+    if (!vars || typeof vars !== 'object') {
+      return '';
+    }
+    return Object.entries(vars)
+      .filter(([key, value]) => key && key.startsWith('--') && value != null && !/[{};]/.test(String(value)))
+      .map(([key, value]) => `  ${key}: ${value};`)
+      .join('\n');
+  };
+
+  const rules = [
+    `:root {\n${toDeclarations(cssVars)}\n}`,
+    ...Object.entries(themes ?? {}).map(([theme, vars]) =>
+      `:root[data-theme="${CSS.escape(theme)}"] {\n${toDeclarations(vars)}\n}`)
+  ];
+
+  let sheet = document.getElementById('config-css-vars');
+  if (!sheet) {
+    sheet = document.createElement('style');
+    sheet.id = 'config-css-vars';
+    document.head.appendChild(sheet);
   }
+  sheet.textContent = rules.join('\n');
+}
 
-  const root = document.documentElement;
-  Object.entries(cssVars).forEach(([key, value]) => {
-    if (!key || !key.startsWith('--') || value == null) {
-      return;
+/**
+ * Hämtar hjulets tidsfönster (tolv månader från config.wheelStart)
+ * Utan wheelStart visas kalenderåret 1 januari–31 december.
+ * @param {Object} config - Konfigurationsobjektet
+ * @returns {{start: Date, end: Date, years: number[]}} Fönster med slut exklusive
+ */
+export function getWheelWindow(config) {
+  const start = parseLocalDate(config.wheelStart) ?? new Date(config.year, 0, 1);
+  const end = new Date(start.getFullYear() + 1, start.getMonth(), start.getDate());
+
+  const years = [];
+  const lastDay = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+  for (let y = start.getFullYear(); y <= lastDay.getFullYear(); y++) years.push(y);
+
+  return { start, end, years };
+}
+
+/**
+ * Läser in händelser från övriga år som hjulets fönster täcker
+ * Saknade filer hoppas över med en varning. ID:n får årssuffix (ev_3@2027)
+ * så att de inte krockar med årets egna händelser.
+ * @param {number[]} years - År att läsa in
+ * @returns {Promise<{events: Array, typeStyle: Object}>}
+ */
+async function loadAdjacentYears(years) {
+  const events = [];
+  let typeStyle = {};
+
+  for (const y of years) {
+    try {
+      const response = await fetch(getDataPath(y));
+      if (!response.ok) {
+        throw new Error(t('load.httpError', { status: response.status }));
+      }
+
+      const data = await response.json();
+      events.push(...(data.events ?? []).map(ev => ({ ...ev, id: `${ev.id}@${y}` })));
+      typeStyle = { ...(data.typeStyle ?? {}), ...typeStyle };
+    } catch (error) {
+      console.warn(`Kunde inte ladda data för ${y}, händelser från det året visas inte:`, error);
     }
-    root.style.setProperty(key, String(value));
+  }
+
+  return { events, typeStyle };
+}
+
+/**
+ * Kontrollerar om en händelse ligger inom hjulets fönster
+ * Händelser med endDate räknas med om någon dag i intervallet ligger i fönstret.
+ * @param {Object} ev - Händelse
+ * @param {{start: Date, end: Date}} wheelWindow - Tidsfönster
+ * @returns {boolean}
+ */
+function isInWindow(ev, wheelWindow) {
+  const { start, end } = getEventDateRange(ev);
+  return start !== null && end >= wheelWindow.start && start < wheelWindow.end;
+}
+
+/**
+ * Läser in listan över publicerade år
+ * Saknas indexfilen visas endast det aktuella året.
+ * @param {number} currentYear - Året som visas
+ * @returns {Promise<number[]>} Sorterad lista med år
+ */
+export async function loadAvailableYears(currentYear) {
+  let years = [];
+
+  try {
+    const response = await fetch(YEARS_INDEX_PATH);
+    if (response.ok) {
+      const index = await response.json();
+      years = (index.years ?? []).map(Number).filter(Number.isInteger);
+    }
+  } catch (error) {
+    console.warn('Kunde inte läsa årsindex:', error);
+  }
+
+  if (!years.includes(currentYear)) years.push(currentYear);
+  return years.sort((a, b) => a - b);
+}
+
+/**
+ * Validerar och förbereder årets händelser för ritning
+ * Används vid inläsning och när redigeringsläget ändrar datat.
+ * @param {Object} data - Årets data (events och typeStyle som i events.json)
+ * @param {{events: Array, typeStyle: Object}} adjacent - Grannårens händelser och typstilar
+ * @param {Object} config - Normaliserad konfiguration
+ * @returns {{events: Array, typeStyle: Object, allVisibleEvents: Array, validationIssues: Array}}
+ */
+export function prepareEvents(data, adjacent, config) {
+  const wheelWindow = getWheelWindow(config);
+  const typeStyle = { ...adjacent.typeStyle, ...data.typeStyle };
+
+  // Grannårens serier tas med om något tillfälle hamnar i fönstret
+  const adjacentEvents = adjacent.events
+    .filter(ev => expandRecurringEvents([ev]).some(occ => isInWindow(occ, wheelWindow)));
+
+  // Ringarna kontrolleras först eftersom händelsernas ring slås upp bland dem
+  const ringIssues = validateRings(config);
+
+  // Felaktiga händelser ritas inte ut utan rapporteras. Återkommande händelser
+  // kontrolleras som en serie och delas sedan upp i ett tillfälle per datum.
+  const { issues, validEvents } = validateData({
+    config,
+    events: [...(data.events ?? []), ...adjacentEvents],
+    typeStyle,
+    ringMap: getRingMap(config.rings)
   });
+  const validationIssues = [...ringIssues, ...issues];
+
+  const events = expandRecurringEvents(validEvents)
+    .filter(ev => isInWindow(ev, wheelWindow))
+    .map(localizeEvent);
+  const allVisibleEvents = events.filter(ev => ev.visible === true);
+
+  return { events, typeStyle, allVisibleEvents, validationIssues };
+}
+
+/**
+ * Ersätter händelsens texter med översättningen för valt språk (t.ex. label_en)
+ * @param {Object} ev - Händelse
+ * @returns {Object} Ny händelse
+ */
+function localizeEvent(ev) {
+  const localized = { ...ev };
+  TRANSLATED_FIELDS.forEach(field => {
+    if (field in ev) localized[field] = localizeField(ev, field);
+  });
+  return localized;
 }
 
 /**
  * Läser in och normaliserar data från JSON-fil
- * @returns {Promise<{config: Object, events: Array, typeStyle: Object, allVisibleEvents: Array}>}
+ * @param {number} [year] - Året som ska laddas (standard: året i adressen)
+ * @returns {Promise<{config: Object, events: Array, typeStyle: Object, allVisibleEvents: Array, validationIssues: Array, dataPath: string, rawData: Object, adjacent: Object}>}
+ *   rawData är en orörd kopia av årets fil och adjacent grannårens data (för redigeringsläget)
  * @throws {Error} Om data inte kan laddas
  */
-export async function loadData() {
+export async function loadData(year = getRequestedYear()) {
+  const dataPath = getDataPath(year);
+
   try {
-    const response = await fetch(DATA_PATH);
+    const response = await fetch(dataPath);
 
     if (!response.ok) {
-      throw new Error(`HTTP-fel! status: ${response.status}`);
+      throw new Error(t('load.httpError', { status: response.status }));
     }
 
     const data = await response.json();
+    const rawData = structuredClone(data);
     const config = normalizeConfig(data.config);
-    const allVisibleEvents = data.events.filter(ev => ev.visible === true);
+    config.year = config.year ?? year;
+
+    // Ett rullande fönster (t.ex. läsår) behöver även grannårets händelser
+    const wheelWindow = getWheelWindow(config);
+    const adjacent = await loadAdjacentYears(wheelWindow.years.filter(y => y !== year));
 
-    applyCssVars(config.ui.cssVars);
+    const { events, typeStyle, allVisibleEvents, validationIssues } = prepareEvents(data, adjacent, config);
+
+    applyCssVars(config.ui.cssVars, config.ui.themes);
 
     return {
       config,
-      events: data.events,
-      typeStyle: data.typeStyle,
-      allVisibleEvents
+      events,
+      typeStyle,
+      allVisibleEvents,
+      validationIssues,
+      dataPath,
+      rawData,
+      adjacent
     };
   } catch (error) {
     console.error('Misslyckades att ladda visualiseringsdata:', error);
@@ -143,10 +500,11 @@ export async function loadData() {
     // Visa användarvänligt fel
     const container = document.querySelector('.wheel-container') || document.body;
     container.innerHTML = `
-      <div style="padding: 2rem; text-align: center; color: #721c24; background: #f8d7da; border-radius: 8px; margin: 2rem;">
-        <h2>Kunde inte ladda data</h2>
-        <p>Kontrollera att filen <code>${DATA_PATH}</code> finns och är korrekt formaterad.</p>
-        <p style="font-size: 0.875rem; color: #666;">${error.message}</p>
+      <div style="padding: 2rem; text-align: center; color: var(--danger-ink); background: var(--danger-bg); border-radius: 8px; margin: 2rem;">
+        <h2>${t('load.title')}</h2>
+        <p>${t('load.checkFile', { path: `<code>${dataPath}</code>` })}</p>
+        <p style="font-size: 0.875rem; color: var(--ink-muted-2);">${error.message}</p>
+        ${year !== DEFAULT_YEAR ? `<p><a href="?year=${DEFAULT_YEAR}">${t('load.showYear', { year: DEFAULT_YEAR })}</a></p>` : ''}
       </div>
     `;
 
@@ -170,7 +528,9 @@ export function getLayoutConfig(config) {
     // Ringar
     ringInner: config.ringInner ?? 120,
     ringOuter: config.ringOuter ?? 380,
-    ringCount: config.ringCount ?? 4,
+    rings: config.rings,
+    ringCount: config.rings.length,
+    ringMap: getRingMap(config.rings),
 
     // Månadsband
     monthBandR0: config.monthBandR0 ?? 400,
@@ -184,6 +544,7 @@ export function getLayoutConfig(config) {
     // Markörer
     markerBaseSize: config.markerBaseSize ?? 12,
     markerHoverScale: config.markerHoverScale ?? 1.4,
+    rangeArcInset: config.rangeArcInset ?? 8,
 
     // Teckenstorlekar
     eventLabelFontSize: config.eventLabelFontSize ?? 14,
@@ -195,18 +556,22 @@ export function getLayoutConfig(config) {
     // Stilar
     gridLineWidth: config.gridLineWidth ?? 1,
     connectorLineWidth: config.connectorLineWidth ?? 1,
-    currentWeekColor: config.currentWeekColor ?? "#4B2582",
-    monthRingColor: config.monthRingColor ?? "rgba(108, 92, 231, 0.05)",
-    weekRingColor: config.weekRingColor ?? "rgba(0,0,0,0.05)",
+    currentWeekColor: config.currentWeekColor ?? "var(--current-week)",
+    nowNeedleColor: config.nowNeedleColor ?? "var(--current-week)",
+    nowNeedleWidth: config.nowNeedleWidth ?? 2,
+    monthRingColor: config.monthRingColor ?? "var(--month-ring)",
+    weekRingColor: config.weekRingColor ?? "var(--week-ring)",
     weekSeparatorWidth: config.weekSeparatorWidth ?? 0.5,
-    weekSeparatorColor: config.weekSeparatorColor ?? "#fff",
-    eventLabelColor: config.eventLabelColor ?? "#1a1a2e",
-    monthLabelColor: config.monthLabelColor ?? "#1a1a2e",
+    weekSeparatorColor: config.weekSeparatorColor ?? "var(--wheel-gap)",
+    eventLabelColor: config.eventLabelColor ?? "var(--event-label)",
+    monthLabelColor: config.monthLabelColor ?? "var(--month-label)",
     monthLabelTextTransform: config.monthLabelTextTransform ?? "uppercase",
-    centerTextColor: config.centerTextColor ?? "var(--ink)",
+    centerTextColor: config.centerTextColor ?? "var(--center-text)",
 
     // Veckoring
     weekRingThickness: config.weekRingThickness ?? 16,
+    showHolidays: config.showHolidays ?? false,
+    holidayColor: config.holidayColor ?? "var(--holiday)",
 
     // Periodring
     periodRingR0: config.periodRingR0 ?? 352,
@@ -216,11 +581,22 @@ export function getLayoutConfig(config) {
     segmentButtonInnerRadius: config.segmentButtonInnerRadius ?? 365,
     segmentButtonOuterRadius: config.segmentButtonOuterRadius ?? 395,
     segmentButtonCornerRadius: config.segmentButtonCornerRadius ?? 3,
+    segmentButtonAngle: config.segmentButtonAngle ?? 20,
+    segmentButtonGap: config.segmentButtonGap ?? 2,
     segmentButtonFontSize: config.segmentButtonFontSize ?? 9,
     segmentButtonStrokeWidth: config.segmentButtonStrokeWidth ?? 1,
-    segmentButtonActiveColor: config.segmentButtonActiveColor ?? "#4B2582",
-    segmentButtonTextColor: config.segmentButtonTextColor ?? "#333",
-    segmentButtonActiveTextColor: config.segmentButtonActiveTextColor ?? "#fff",
+    segmentButtonActiveColor: config.segmentButtonActiveColor ?? "var(--accent)",
+    segmentButtonTextColor: config.segmentButtonTextColor ?? "var(--ink-muted-3)",
+    segmentButtonActiveTextColor: config.segmentButtonActiveTextColor ?? "var(--on-accent)",
+
+    // Nu-visare och liveläge
+    nowNeedle: config.nowNeedle ?? true,
+    mutePassedEvents: config.mutePassedEvents ?? true,
+    liveInterval: config.liveInterval ?? 15,
+    liveEventCount: config.liveEventCount ?? 5,
+
+    // Kommande deadlines
+    deadlineCount: config.deadlineCount ?? 10,
 
     // Kopplingslinjer
     connectorElbowRadius: config.connectorElbowRadius ?? 480,
@@ -228,8 +604,9 @@ export function getLayoutConfig(config) {
     // Kolumnlayout
     columnGapLeft: config.columnGapLeft ?? 750,
     columnGapRight: config.columnGapRight ?? 550,
-    labelVerticalSpacingLeft: config.labelVerticalSpacingLeft ?? config.labelVerticalSpacing ?? 40,
-    labelVerticalSpacingRight: config.labelVerticalSpacingRight ?? config.labelVerticalSpacing ?? 40,
+    labelMinGap: config.labelMinGap ?? 8,
+    labelColumnMargin: config.labelColumnMargin ?? 16,
+    labelSwitchPenalty: config.labelSwitchPenalty ?? 1,
 
     // Hovringsinformation
     hoverInfoWidth: config.hoverInfoWidth ?? 180,
@@ -243,7 +620,7 @@ export function getLayoutConfig(config) {
     hoverInfoResponsibleTextFontSize: config.hoverInfoResponsibleTextFontSize ?? 14,
     hoverInfoLineHeight: config.hoverInfoLineHeight ?? 1.3,
     hoverInfoScrollbarWidth: config.hoverInfoScrollbarWidth ?? "thin",
-    hoverInfoScrollbarColor: config.hoverInfoScrollbarColor ?? "hsl(265, 56%, 60%)",
+    hoverInfoScrollbarColor: config.hoverInfoScrollbarColor ?? "var(--scrollbar-thumb)",
     hoverInfoScrollbarPadding: config.hoverInfoScrollbarPadding ?? 6,
 
     // Centertext
@@ -0,0 +1,163 @@
+/**
+ * Panel med kommande deadlines för visualiseringen av verksamhetscykeln
+ * Listar de närmaste händelserna i alla ringar med nedräkning i arbetsdagar (utan helgdagar),
+ * grupperade i denna vecka, de två följande veckorna, resten av perioden och senare.
+ * Panelen följer segmentfilter och filterpanelen.
+ */
+
+import { getRingLabel, getTypeDisplayName, PERIOD_NAMES } from './config.js';
+import { getEventDateRange, getWeekNumber, toSingleLine } from './utils.js';
+import { getCountdownText, getUpcomingEvents } from './now.js';
+import { t, getDateLocale } from './i18n.js';
+
+/**
+ * Hittar början på nästa period efter en given dag
+ * @param {Date} today - Dagens datum
+ * @param {number[]} dividers - Startvecka för varje period (periodDividerWeeks)
+ * @returns {{index: number, nextStart: Date}|null} Aktuell periods index och nästa periods första dag
+ */
+function getCurrentPeriod(today, dividers) {
+  if (!dividers.length) return null;
+
+  const week = getWeekNumber(today);
+  const started = dividers.filter(w => w <= week);
+  const index = started.length
+    ? dividers.lastIndexOf(Math.max(...started))
+    : dividers.indexOf(Math.max(...dividers));
+  const nextWeek = dividers[(index + 1) % dividers.length];
+
+  // Nästa period börjar måndagen i dess första vecka, högst ett år fram
+  let monday = d3.timeMonday.offset(d3.timeMonday.floor(today), 1);
+  for (let i = 0; i < 54; i++) {
+    if (getWeekNumber(monday) === nextWeek) return { index, nextStart: monday };
+    monday = d3.timeMonday.offset(monday, 1);
+  }
+  return null;
+}
+
+/**
+ * Delar in kommande händelser i grupper efter deadline
+ * Deadline är sista dagen, så ett pågående intervall hamnar efter när det stänger.
+ * @param {Array} events - Händelser som inte är passerade, sorterade efter deadline
+ * @param {Date} now - Aktuell tidpunkt
+ * @param {number[]} dividers - Startvecka för varje period
+ * @returns {Array<{id: string, title: string, events: Array}>} Grupper som har händelser
+ */
+export function groupDeadlines(events, now, dividers) {
+  const thisMonday = d3.timeMonday.floor(now);
+  const period = getCurrentPeriod(d3.timeDay.floor(now), dividers);
+
+  const groups = [
+    { id: 'week', title: t('deadlines.thisWeek'), end: d3.timeMonday.offset(thisMonday, 1) },
+    { id: 'twoWeeks', title: t('deadlines.nextTwoWeeks'), end: d3.timeMonday.offset(thisMonday, 3) },
+    period && {
+      id: 'period',
+      title: t('deadlines.restOfPeriod', { period: PERIOD_NAMES[period.index] || t('period', { number: period.index + 1 }) }),
+      end: period.nextStart
+    },
+    { id: 'later', title: t('deadlines.later'), end: null }
+  ].filter(Boolean).map(group => ({ ...group, events: [] }));
+
+  events.forEach(ev => {
+    const deadline = getEventDateRange(ev).end;
+    const group = groups.find(g => g.end === null || deadline < g.end);
+    group.events.push(ev);
+  });
+
+  return groups.filter(group => group.events.length);
+}
+
+/**
+ * Skapar panelen med kommande deadlines
+ * @param {HTMLElement} container - Element som panelen ritas i
+ * @param {Object} config - Normaliserad konfiguration (rings och periodDividerWeeks)
+ * @param {Object} typeStyle - Stilar per händelsetyp (färg på markeringen i listan)
+ * @param {Object} options - Inställningar och återanrop
+ * @param {number} options.count - Antal händelser att lista
+ * @param {{isWorkday: Function}|null} options.calendar - Arbetsdagskalender för nedräkningen (holidays.js)
+ * @param {Function} options.getEvents - Returnerar de händelser som syns efter filter
+ * @param {Function} options.onSelect - Anropas med händelsens id när en rad väljs
+ * @param {Function} options.onClose - Anropas när panelen stängs
+ * @returns {{update: Function}} Funktion för att rita om listan
+ */
+export function createDeadlinesPanel(container, config, typeStyle, { count, calendar, getEvents, onSelect, onClose }) {
+  const root = d3.select(container);
+
+  const header = root.append("div").attr("class", "deadlines-header");
+
+  header.append("h2")
+    .attr("id", "deadlines-title")
+    .attr("class", "deadlines-title")
+    .text(t('deadlines.title'));
+
+  header.append("button")
+    .attr("type", "button")
+    .attr("class", "reset-button")
+    .text(t('deadlines.close'))
+    .on("click", onClose);
+
+  const status = root.append("p")
+    .attr("class", "deadlines-status")
+    .attr("role", "status")
+    .attr("aria-live", "polite");
+
+  const list = root.append("div").attr("class", "deadlines-groups");
+
+  function update() {
+    const now = new Date();
+    const upcoming = getUpcomingEvents(getEvents(), now)
+      .sort((a, b) => getEventDateRange(a).end - getEventDateRange(b).end);
+    const shown = upcoming.slice(0, count);
+
+    status.text(upcoming.length
+      ? t('deadlines.status', { shown: shown.length, total: upcoming.length })
+      : t('deadlines.empty'));
+
+    const sections = list.selectAll("section")
+      .data(groupDeadlines(shown, now, config.periodDividerWeeks), d => d.id)
+      .join(enter => {
+        const section = enter.append("section").attr("class", "deadlines-group");
+        section.append("h3");
+        section.append("ul");
+        return section;
+      })
+      .order();
+
+    sections.select("h3").text(d => `${d.title} (${d.events.length})`);
+
+    const items = sections.select("ul")
+      .selectAll("li")
+      .data(d => d.events, d => d.id)
+      .join(enter => {
+        const li = enter.append("li");
+        const button = li.append("button")
+          .attr("type", "button")
+          .attr("class", "deadline-item");
+        button.append("span").attr("class", "deadline-countdown");
+        button.append("span").attr("class", "deadline-label");
+        button.append("span").attr("class", "deadline-meta");
+        return li;
+      })
+      .order();
+
+    const dateFormat = { day: 'numeric', month: 'short' };
+    items.select("button")
+      .attr("data-id", d => d.id)
+      .style("--marker-color", d => typeStyle[d.type]?.fill ?? null)
+      .on("click", (event, d) => onSelect(d.id));
+
+    items.select(".deadline-countdown").text(d => getCountdownText(d, now, calendar));
+    items.select(".deadline-label").text(d => toSingleLine(d.label));
+    items.select(".deadline-meta").text(d => {
+      const { start, end } = getEventDateRange(d);
+      const dateText = end > start
+        ? `${start.toLocaleDateString(getDateLocale(), dateFormat)} – ${end.toLocaleDateString(getDateLocale(), dateFormat)}`
+        : start.toLocaleDateString(getDateLocale(), dateFormat);
+      return [dateText, getRingLabel(d.ring, config.rings), getTypeDisplayName(d.type)].filter(Boolean).join(' · ');
+    });
+  }
+
+  update();
+
+  return { update };
+}
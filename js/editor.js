@@ -0,0 +1,572 @@
+/**
+ * Redigeringsläge för händelser och typstilar i visualiseringen av verksamhetscykeln
+ * Ändringarna görs i en kopia av årets events.json och förhandsvisas direkt i hjulet.
+ * Resultatet laddas ner som events.json i samma format som update_events.py skriver.
+ */
+
+import { DEFAULT_SEGMENTS, MONTH_RING, getEventFieldOrder, getRingLabel, getTypeDisplayName } from './config.js';
+import { shapeGenerators, toSingleLine, downloadFile, formatLocalDate } from './utils.js';
+import { t, getDateLocale } from './i18n.js';
+import { buildRecurrence, getRecurrenceColumns } from './importer.js';
+import { getRecurrenceErrors } from './recurrence.js';
+
+// Fält som update_events.py bara skriver när Excel-filen har motsvarande kolumn
+const OPTIONAL_FIELDS = ['endDate', 'recurrence', 'label_en', 'description_en'];
+
+// Fält där ett tomt värde blir null, som tomma celler i update_events.py
+const NULLABLE_FIELDS = ['endDate', 'ring_2', 'label_en', 'description_en'];
+
+// Kolumnerna Upprepning, Upprepa till och Undantag som tillsammans blir händelsens recurrence
+const RECURRENCE_FIELDS = ['recurrence_rule', 'recurrence_until', 'recurrence_except'];
+
+/**
+ * Bygger events.json i samma format som update_events.py
+ * placering räknas fram ur ring_2 och fälten skrivs i skriptets ordning; okända fält behålls sist.
+ * @param {Object} data - Redigerat data (config, typeStyle och events)
+ * @param {Array} [segments=DEFAULT_SEGMENTS] - Segmentfiltrets kategorier (config.segments)
+ * @returns {string} JSON-text
+ */
+export function buildEventsJson(data, segments = DEFAULT_SEGMENTS) {
+  const eventFields = getEventFieldOrder(segments);
+  const presentOptional = OPTIONAL_FIELDS.filter(field => data.events.some(ev => field in ev));
+
+  const events = data.events.map(ev => {
+    const out = {};
+    eventFields.forEach(field => {
+      if (OPTIONAL_FIELDS.includes(field) && !presentOptional.includes(field)) return;
+      out[field] = field === 'placering'
+        ? (ev.ring_2 ? 'linje' : 'center')
+        : (ev[field] ?? null);
+    });
+    Object.keys(ev)
+      .filter(key => !eventFields.includes(key))
+      .forEach(key => { out[key] = ev[key]; });
+    return out;
+  });
+
+  return JSON.stringify({ ...data, events }, null, 2);
+}
+
+/**
+ * Hämtar nästa lediga id i update_events.py:s format (ev_0, ev_1, ...)
+ * @param {Array} events - Händelser
+ * @returns {string}
+ */
+function getNextEventId(events) {
+  const numbers = events
+    .map(ev => /^ev_(\d+)$/.exec(String(ev.id))?.[1])
+    .filter(Boolean)
+    .map(Number);
+  return `ev_${numbers.length ? Math.max(...numbers) + 1 : 0}`;
+}
+
+/**
+ * Bygger en ändringslista över flyttade händelser som CSV för Excel
+ * Semikolon och BOM gör att svensk Excel öppnar filen med rätt kolumner och tecken.
+ * @param {Array<{ev: Object, original: Object}>} moves - Flyttade händelser och deras ursprungliga värden
+ * @param {Array} rings - Normaliserade ringar (config.rings)
+ * @returns {string} CSV-text
+ */
+function buildMovesCsv(moves, rings) {
+  const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const header = t('editor.movesHeader');
+  const rows = moves.map(({ ev, original }) => [
+    ev.id,
+    toSingleLine(ev.label),
+    original.date,
+    ev.date,
+    original.endDate,
+    ev.endDate,
+    getRingLabel(original.ring, rings),
+    getRingLabel(ev.ring, rings)
+  ]);
+  return '\uFEFF' + [header, ...rows].map(row => row.map(quote).join(';')).join('\r\n');
+}
+
+/**
+ * Skapar redigeringsläget
+ * @param {HTMLElement} container - Element som redigeraren ritas i
+ * @param {Object} data - Årets data (ändras på plats)
+ * @param {Object} options - Inställningar
+ * @param {number} options.year - Året som visas (för nya händelsers datum)
+ * @param {Array} options.rings - Normaliserade ringar (config.rings) för valen av styrningsfas
+ * @param {Array} options.segments - Segmentfiltrets kategorier (config.segments), en kryssruta per kategori
+ * @param {Function} options.onChange - Anropas med datat efter varje ändring
+ * @returns {{select: Function, canMove: Function, moveEvent: Function, replaceEvents: Function}} Val av händelse i formuläret, flytt från hjulet och import
+ */
+export function createEditor(container, data, { year, rings, segments, onChange }) {
+  const ringOptions = [...rings, { id: MONTH_RING }].map(ring => ({ value: ring.id, name: getRingLabel(ring.id, rings) }));
+
+  let selectedId = null;
+  let hasUnsavedChanges = false;
+
+  // Händelser som flyttats i hjulet: id → ursprungliga värden för de flyttade fälten
+  const pendingMoves = new Map();
+
+  const root = d3.select(container);
+
+  root.append("h2")
+    .attr("class", "editor-title")
+    .text(t('editor.title'));
+
+  root.append("p")
+    .attr("class", "editor-note")
+    .text(t('editor.note'));
+
+  // Händelselista
+  const list = root.append("select")
+    .attr("id", "editor-event-list")
+    .attr("class", "editor-event-list")
+    .attr("size", 8)
+    .attr("aria-label", t('editor.events'))
+    .on("change", function () {
+      select(this.value);
+    });
+
+  const listActions = root.append("div").attr("class", "editor-actions");
+
+  listActions.append("button")
+    .attr("type", "button")
+    .attr("class", "reset-button")
+    .text(t('editor.addEvent'))
+    .on("click", addEvent);
+
+  const deleteBtn = listActions.append("button")
+    .attr("type", "button")
+    .attr("class", "reset-button")
+    .text(t('editor.deleteEvent'))
+    .on("click", deleteEvent);
+
+  // Formulär för vald händelse (kolumnnamnen från Excel-filen)
+  const formFields = [
+    { key: 'date', type: 'date' },
+    { key: 'endDate', type: 'date' },
+    { key: 'recurrence_rule', type: 'text', placeholder: t('editor.recurrencePlaceholder') },
+    { key: 'recurrence_until', type: 'date' },
+    { key: 'recurrence_except', type: 'text', placeholder: t('editor.exceptPlaceholder') },
+    { key: 'ring', type: 'select', options: () => ringOptions },
+    { key: 'ring_2', type: 'select', options: () => [{ value: '', name: '–' }, ...ringOptions] },
+    { key: 'type', type: 'select', options: getTypeOptions },
+    { key: 'label', type: 'textarea', rows: 2 },
+    { key: 'description', type: 'textarea', rows: 3 },
+    { key: 'label_en', type: 'textarea', rows: 2 },
+    { key: 'description_en', type: 'textarea', rows: 3 },
+    { key: 'responsible', type: 'textarea', rows: 3 },
+    ...segments.map(segment => ({ key: segment.id, label: segment.column, type: 'checkbox' })),
+    { key: 'visible', type: 'checkbox' }
+  ].map(field => ({ label: t(`editor.fields.${field.key}`), ...field }));
+
+  const form = root.append("form")
+    .attr("class", "editor-form")
+    .on("submit", event => event.preventDefault());
+
+  // Tillfällen i en serie räknas fram ur upprepningen och kan därför inte dras i hjulet
+  const seriesNote = form.append("p")
+    .attr("class", "editor-note")
+    .text(t('editor.seriesNote'));
+
+  const fields = form.selectAll(".editor-field")
+    .data(formFields)
+    .join("div")
+    .attr("class", d => `editor-field editor-field-${d.type}`);
+
+  fields.each(function (d) {
+    const field = d3.select(this);
+    const id = `editor-field-${d.key}`;
+
+    if (d.type === 'checkbox') {
+      const label = field.append("label").attr("for", id);
+      label.append("input").attr("id", id).attr("type", "checkbox");
+      label.append("span").text(d.label);
+      return;
+    }
+
+    field.append("label").attr("for", id).text(d.label);
+    if (d.type === 'select') {
+      field.append("select").attr("id", id);
+    } else if (d.type === 'textarea') {
+      field.append("textarea").attr("id", id).attr("rows", d.rows);
+    } else {
+      field.append("input").attr("id", id).attr("type", d.type).attr("placeholder", d.placeholder ?? null);
+    }
+  });
+
+  fields.select("input, select, textarea").on("change", function (event, d) {
+    if (RECURRENCE_FIELDS.includes(d.key)) {
+      setRecurrence();
+      return;
+    }
+    const value = d.type === 'checkbox' ? this.checked : this.value;
+    setField(d.key, value);
+  });
+
+  // Flyttade händelser (dragna i hjulet) som kan ångras eller exporteras
+  root.append("h3")
+    .attr("class", "editor-subtitle")
+    .text(t('editor.movesTitle'));
+
+  root.append("p")
+    .attr("class", "editor-note")
+    .text(t('editor.movesNote'));
+
+  const moveList = root.append("ul").attr("class", "editor-moves");
+
+  const moveActions = root.append("div").attr("class", "editor-actions");
+
+  const revertAllBtn = moveActions.append("button")
+    .attr("type", "button")
+    .attr("class", "reset-button")
+    .text(t('editor.revertAll'))
+    .on("click", () => revertMoves([...pendingMoves.keys()]));
+
+  const exportMovesBtn = moveActions.append("button")
+    .attr("type", "button")
+    .attr("class", "reset-button")
+    .text(t('editor.downloadMoves'))
+    .on("click", function () {
+      downloadFile(buildMovesCsv(getMoves(), rings), `flyttar-${year}.csv`, 'text/csv;charset=utf-8');
+      status.text(t('editor.movesDownloaded'));
+    });
+
+  // Typstilar
+  root.append("h3")
+    .attr("class", "editor-subtitle")
+    .text(t('editor.typesTitle'));
+
+  const typeTable = root.append("table").attr("class", "editor-types");
+  const typeHead = typeTable.append("thead").append("tr");
+  [t('editor.typeColumn'), t('editor.colorColumn'), t('editor.shapeColumn'), ""].forEach(title => typeHead.append("th").attr("scope", "col").text(title));
+  const typeBody = typeTable.append("tbody");
+
+  const newType = root.append("div").attr("class", "editor-actions");
+  newType.append("label")
+    .attr("for", "editor-new-type")
+    .attr("class", "editor-new-type-label")
+    .text(t('editor.newType'));
+  const newTypeInput = newType.append("input")
+    .attr("id", "editor-new-type")
+    .attr("type", "text")
+    .attr("placeholder", t('editor.newTypePlaceholder'));
+  newType.append("button")
+    .attr("type", "button")
+    .attr("class", "reset-button")
+    .text(t('editor.addType'))
+    .on("click", addType);
+
+  const status = root.append("p")
+    .attr("class", "editor-status")
+    .attr("role", "status")
+    .attr("aria-live", "polite");
+
+  root.append("button")
+    .attr("type", "button")
+    .attr("class", "download-button")
+    .text(t('editor.downloadJson'))
+    .on("click", function () {
+      downloadFile(buildEventsJson(data, segments), 'events.json', 'application/json;charset=utf-8');
+      hasUnsavedChanges = false;
+      status.text(t('editor.jsonDownloaded'));
+    });
+
+  // Varna innan sidan lämnas med ändringar som inte laddats ner
+  window.addEventListener('beforeunload', function (event) {
+    if (!hasUnsavedChanges) return;
+    event.preventDefault();
+    event.returnValue = '';
+  });
+
+  function getSelected() {
+    return data.events.find(ev => String(ev.id) === selectedId) ?? null;
+  }
+
+  function getTypeOptions() {
+    return Object.keys(data.typeStyle ?? {}).map(value => ({ value, name: getTypeDisplayName(value) }));
+  }
+
+  function changed(message) {
+    hasUnsavedChanges = true;
+    status.text(message ?? "");
+    renderList();
+    onChange(data);
+  }
+
+  function setField(key, value) {
+    const ev = getSelected();
+    if (!ev) return;
+
+    // Tomma valfria fält blir null som i update_events.py
+    const normalized = NULLABLE_FIELDS.includes(key) && value === '' ? null : value;
+    if (normalized === null && !(key in ev)) return;
+
+    ev[key] = normalized;
+    if (key === 'ring_2') ev.placering = normalized ? 'linje' : 'center';
+    changed(key === 'date' ? getRecurrenceStatus(ev) : undefined);
+  }
+
+  // Upprepningen byggs som vid import av Excel-filen; tomt fält Upprepning tar bort den
+  function setRecurrence() {
+    const ev = getSelected();
+    if (!ev) return;
+
+    const row = Object.fromEntries(RECURRENCE_FIELDS.map(key => [key, form.select(`#editor-field-${key}`).property("value")]));
+    const recurrence = buildRecurrence(row);
+    if (recurrence === null && !('recurrence' in ev)) return;
+
+    ev.recurrence = recurrence;
+    renderForm();
+    changed(getRecurrenceStatus(ev));
+  }
+
+  function getRecurrenceStatus(ev) {
+    const errors = ev.recurrence ? getRecurrenceErrors(ev.recurrence, ev.date) : [];
+    return errors.length ? t('editor.recurrenceInvalid', { errors: errors.join('. ') }) : undefined;
+  }
+
+  function renderList() {
+    const sorted = [...data.events].sort((a, b) =>
+      String(a.date).localeCompare(String(b.date)) || String(a.id).localeCompare(String(b.id), getDateLocale(), { numeric: true }));
+
+    list.selectAll("option")
+      .data(sorted, ev => ev.id)
+      .join("option")
+      .attr("value", ev => ev.id)
+      .property("selected", ev => String(ev.id) === selectedId)
+      .text(ev => `${ev.date} · ${toSingleLine(ev.label) || t('editor.unnamed')}${ev.visible === true ? '' : ` ${t('editor.hidden')}`}`);
+  }
+
+  function renderForm() {
+    const ev = getSelected();
+    form.attr("hidden", ev ? null : true);
+    deleteBtn.property("disabled", !ev);
+    if (!ev) return;
+
+    seriesNote.attr("hidden", ev.recurrence ? null : true);
+    const recurrenceColumns = getRecurrenceColumns(ev.recurrence);
+
+    fields.select("select").each(function (d) {
+      d3.select(this).selectAll("option")
+        .data(d.options(), option => option.value)
+        .join("option")
+        .attr("value", option => option.value)
+        .text(option => option.name);
+    });
+
+    fields.select("input, select, textarea").each(function (d) {
+      if (d.type === 'checkbox') {
+        this.checked = ev[d.key] === true;
+      } else if (RECURRENCE_FIELDS.includes(d.key)) {
+        this.value = recurrenceColumns[d.key];
+      } else {
+        this.value = ev[d.key] ?? '';
+      }
+    });
+  }
+
+  function getMoves() {
+    return [...pendingMoves.entries()]
+      .map(([id, original]) => ({ ev: data.events.find(ev => String(ev.id) === id), original }))
+      .filter(move => move.ev)
+      .sort((a, b) => String(a.ev.date).localeCompare(String(b.ev.date)));
+  }
+
+  function renderMoves() {
+    const moves = getMoves();
+
+    const items = moveList.selectAll("li")
+      .data(moves, move => move.ev.id)
+      .join(enter => {
+        const li = enter.append("li");
+        li.append("span");
+        li.append("button")
+          .attr("type", "button")
+          .attr("class", "reset-button")
+          .text(t('editor.revert'))
+          .on("click", (event, move) => revertMoves([String(move.ev.id)]));
+        return li;
+      });
+
+    items.select("span").text(({ ev, original }) => {
+      const parts = [`${toSingleLine(ev.label) || ev.id}: ${original.date} → ${ev.date}`];
+      if (original.ring !== ev.ring) parts.push(`${getRingLabel(original.ring, rings)} → ${getRingLabel(ev.ring, rings)}`);
+      return parts.join(' · ');
+    });
+    items.select("button").attr("aria-label", ({ ev }) => t('editor.revertLabel', { label: toSingleLine(ev.label) || ev.id }));
+
+    moveList.attr("hidden", moves.length ? null : true);
+    revertAllBtn.property("disabled", !moves.length);
+    exportMovesBtn.property("disabled", !moves.length);
+  }
+
+  // Bara rader i datat; tillfällen i en serie har egna id:n och flyttas via seriens datum
+  function canMove(id) {
+    return data.events.some(ev => String(ev.id) === String(id));
+  }
+
+  function moveEvent(id, changes) {
+    const ev = data.events.find(e => String(e.id) === String(id));
+    if (!ev) return;
+
+    const key = String(ev.id);
+    if (!pendingMoves.has(key)) {
+      pendingMoves.set(key, Object.fromEntries(Object.keys(changes).map(field => [field, ev[field] ?? null])));
+    }
+    Object.assign(ev, changes);
+
+    // Tillbaka på ursprunglig plats räknas inte som en flytt
+    const original = pendingMoves.get(key);
+    if (Object.keys(original).every(field => (ev[field] ?? null) === original[field])) pendingMoves.delete(key);
+
+    select(ev.id);
+    renderMoves();
+    changed(t('editor.moved', { label: toSingleLine(ev.label) || ev.id, date: ev.date }));
+  }
+
+  function revertMoves(ids) {
+    ids.forEach(id => {
+      const ev = data.events.find(e => String(e.id) === id);
+      if (ev) Object.assign(ev, pendingMoves.get(id));
+      pendingMoves.delete(id);
+    });
+
+    renderForm();
+    renderMoves();
+    changed(t('editor.reverted', { count: ids.length }));
+  }
+
+  function replaceEvents(events, message) {
+    data.events.splice(0, data.events.length, ...events);
+    pendingMoves.clear();
+    selectedId = null;
+
+    renderForm();
+    renderTypes();
+    renderMoves();
+    changed(message);
+  }
+
+  function renderTypes() {
+    const usage = key => data.events.filter(ev => ev.type === key).length;
+
+    const rows = typeBody.selectAll("tr")
+      .data(Object.keys(data.typeStyle ?? {}), key => key)
+      .join(enter => {
+        const tr = enter.append("tr");
+        tr.append("th").attr("scope", "row");
+        tr.append("td").append("input")
+          .attr("class", "editor-type-fill")
+          .on("change", function (event, key) {
+            data.typeStyle[key].fill = this.value;
+            changed();
+          });
+        tr.append("td").append("select")
+          .attr("class", "editor-type-shape")
+          .on("change", function (event, key) {
+            data.typeStyle[key].shape = this.value;
+            changed();
+          });
+        tr.append("td").append("button")
+          .attr("type", "button")
+          .attr("class", "reset-button editor-type-delete")
+          .text(t('editor.deleteType'))
+          .on("click", (event, key) => deleteType(key));
+        return tr;
+      });
+
+    rows.select("th").text(key => getTypeDisplayName(key));
+
+    // Färgväljaren hanterar bara #rrggbb; andra CSS-färger redigeras som text
+    rows.select(".editor-type-fill")
+      .attr("type", key => /^#[0-9a-f]{6}$/i.test(data.typeStyle[key].fill) ? "color" : "text")
+      .attr("aria-label", key => t('editor.colorFor', { type: getTypeDisplayName(key) }))
+      .property("value", key => data.typeStyle[key].fill ?? '');
+
+    rows.select(".editor-type-shape")
+      .attr("aria-label", key => t('editor.shapeFor', { type: getTypeDisplayName(key) }))
+      .each(function (key) {
+        d3.select(this).selectAll("option")
+          .data(Object.keys(shapeGenerators))
+          .join("option")
+          .attr("value", shape => shape)
+          .text(shape => t(`editor.shapes.${shape}`));
+        this.value = data.typeStyle[key].shape;
+      });
+
+    rows.select(".editor-type-delete")
+      .attr("aria-label", key => t('editor.deleteTypeLabel', { type: getTypeDisplayName(key) }))
+      .property("disabled", key => usage(key) > 0)
+      .attr("title", key => usage(key) ? t('editor.typeInUse', { count: usage(key) }) : null);
+  }
+
+  function select(id) {
+    selectedId = id === null ? null : String(id);
+    renderList();
+    renderForm();
+  }
+
+  function addEvent() {
+    const today = new Date();
+    const ev = {
+      date: today.getFullYear() === year ? formatLocalDate(today) : `${year}-01-01`,
+      ring: rings[0]?.id ?? MONTH_RING,
+      ring_2: null,
+      type: Object.keys(data.typeStyle ?? {})[0] ?? 'beslut',
+      label: t('editor.newEventLabel'),
+      description: '',
+      responsible: '',
+      // Första kategorin är vald så att händelsen syns med standardfiltren
+      ...Object.fromEntries(segments.map((segment, i) => [segment.id, i === 0])),
+      placering: 'center',
+      visible: true,
+      id: getNextEventId(data.events)
+    };
+    data.events.push(ev);
+    select(ev.id);
+    changed(t('editor.added', { id: ev.id }));
+    form.select("#editor-field-label").node().focus();
+  }
+
+  function deleteEvent() {
+    const ev = getSelected();
+    if (!ev || !window.confirm(t('editor.confirmDelete', { label: toSingleLine(ev.label) || ev.id }))) return;
+
+    data.events.splice(data.events.indexOf(ev), 1);
+    pendingMoves.delete(String(ev.id));
+    select(null);
+    renderMoves();
+    changed(t('editor.deleted', { id: ev.id }));
+    renderTypes();
+  }
+
+  function addType() {
+    const key = newTypeInput.property("value").trim();
+    if (!/^[a-z0-9_]+$/.test(key)) {
+      status.text(t('editor.invalidTypeId'));
+      return;
+    }
+    if (data.typeStyle[key]) {
+      status.text(t('editor.typeExists', { type: key }));
+      return;
+    }
+
+    data.typeStyle[key] = { fill: '#888888', shape: 'circle' };
+    newTypeInput.property("value", "");
+    renderTypes();
+    renderForm();
+    changed(t('editor.typeAdded', { type: key }));
+  }
+
+  function deleteType(key) {
+    delete data.typeStyle[key];
+    renderTypes();
+    renderForm();
+    changed(t('editor.typeDeleted', { type: key }));
+  }
+
+  data.typeStyle = data.typeStyle ?? {};
+  renderList();
+  renderForm();
+  renderTypes();
+  renderMoves();
+
+  return { select, canMove, moveEvent, replaceEvents };
+}
@@ -2,69 +2,200 @@
  * Händelsemarkörer och interaktionshantering för visualiseringen av verksamhetscykeln
  */
 
-import { RING_MAP } from './config.js';
-import { wrapText, wrapTextToLines, getWorkdaysBetween, shapeGenerators } from './utils.js';
+import { wrapText, wrapTextToLines, isActivationKey, shapeGenerators, getEventDateRange } from './utils.js';
 import { getRadius } from './svg-setup.js';
 import { clearHoverCycle } from './state.js';
+import { layoutLabels } from './label-layout.js';
+import { describeRecurrence } from './recurrence.js';
+import { t, getLocale, getDateLocale } from './i18n.js';
+import { getCountdownText } from './now.js';
+
+// Etiketter närmare lodlinjen än så (|cos(vinkel)|) får byta kolumn
+const LABEL_SWITCH_MAX_COS = 0.5;
+
+// Markörer närmare varandra än så (i markörstorlekar) räknas som överlappande
+const MARKER_OVERLAP_FACTOR = 2.4;
+
+/**
+ * Sprider ut markörer som hamnar på samma plats (t.ex. samma datum och ring) längs bågen
+ * Varje händelse i en grupp får en gemensam lista med gruppens id:n i datumordning (cluster).
+ * @param {Array} labelData - Händelser med beräknade positioner (ändras på plats)
+ * @param {Object} layout - Layoutkonfiguration
+ */
+function spreadOverlappingMarkers(labelData, layout) {
+  const minDistance = layout.markerBaseSize * MARKER_OVERLAP_FACTOR;
+
+  // Gruppera överlappande markörer (enkel länkning)
+  const parent = labelData.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < labelData.length; i++) {
+    for (let j = i + 1; j < labelData.length; j++) {
+      const dx = labelData[i].x - labelData[j].x;
+      const dy = labelData[i].y - labelData[j].y;
+      if (dx * dx + dy * dy < minDistance * minDistance) parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = new Map();
+  labelData.forEach((ev, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(ev);
+  });
+
+  groups.forEach(members => {
+    if (members.length < 2) return;
+
+    members.sort((a, b) => a.dateObj - b.dateObj || String(a.id).localeCompare(String(b.id)));
+
+    // Medelvinkel via enhetsvektorer så att gruppen inte hamnar fel vid årsskiftet
+    const meanA = Math.atan2(
+      d3.sum(members, ev => Math.sin(ev.a)),
+      d3.sum(members, ev => Math.cos(ev.a))
+    );
+    const step = minDistance / d3.mean(members, ev => ev.r);
+    const cluster = members.map(ev => ev.id);
+
+    members.forEach((ev, i) => {
+      const markerA = meanA + (i - (members.length - 1) / 2) * step;
+      ev.x = ev.r * Math.cos(markerA);
+      ev.y = ev.r * Math.sin(markerA);
+      ev.cluster = cluster;
+    });
+  });
+}
+
+/**
+ * Beräknar bågen för en händelse med endDate
+ * Bågen ligger i händelsens ring, eller sträcker sig från ring till ring_2, och täcker
+ * intervallets dagar inom hjulets fönster.
+ * @param {Object} ev - Händelse
+ * @param {Object} layout - Layoutkonfiguration
+ * @param {d3.ScaleTime} angleScale - Vinkelskala
+ * @returns {{startAngle: number, endAngle: number, innerRadius: number, outerRadius: number}} Vinklar enligt angleScale
+ */
+function getRangeArc(ev, layout, angleScale) {
+  const { start, end } = getEventDateRange(ev);
+  const [windowStart, windowEnd] = angleScale.domain();
+  const dayAfterEnd = d3.timeDay.offset(end, 1);
+  const startAngle = angleScale(start < windowStart ? windowStart : start);
+  const endAngle = angleScale(dayAfterEnd > windowEnd ? windowEnd : dayAfterEnd);
+
+  let r0;
+  let r1;
+  if (ev.ring === "manad") {
+    r0 = layout.monthBandR0;
+    r1 = layout.monthBandR1;
+  } else {
+    const ringGap = (layout.ringOuter - layout.ringInner) / layout.ringCount;
+    const ringIdx = layout.ringMap[ev.ring] ?? 0;
+    const ringIdx2 = (ev.ring_2 && ev.ring_2 !== "manad") ? (layout.ringMap[ev.ring_2] ?? ringIdx) : ringIdx;
+    r0 = layout.ringInner + Math.min(ringIdx, ringIdx2) * ringGap;
+    r1 = layout.ringInner + (Math.max(ringIdx, ringIdx2) + 1) * ringGap;
+  }
+
+  // Smala band (t.ex. månadsbandet) behåller minst halva tjockleken
+  const inset = Math.min(layout.rangeArcInset, (r1 - r0) / 4);
+  return { startAngle, endAngle, innerRadius: r0 + inset, outerRadius: r1 - inset };
+}
+
+/**
+ * Mäter radbrutna etiketters övre och nedre kant relativt etikettens Y
+ * @param {d3.Selection} measureLayer - Grupp där mättext ritas tillfälligt
+ * @param {Array} events - Händelser
+ * @param {Object} layout - Layoutkonfiguration
+ * @returns {Map<string, {top: number, bottom: number}>} Kanter per händelse-id
+ */
+function measureLabels(measureLayer, events, layout) {
+  const extents = new Map();
+
+  events.forEach(ev => {
+    const text = measureLayer.append("text")
+      .attr("x", 0)
+      .attr("y", 0)
+      .attr("class", "event-label-ext")
+      .attr("dominant-baseline", "middle")
+      .style("font-size", `${layout.eventLabelFontSize}px`)
+      .style("visibility", "hidden")
+      .text(ev.label)
+      .call(wrapText, layout.labelWrapWidth);
+
+    const bbox = text.node().getBBox();
+    extents.set(ev.id, { top: bbox.y, bottom: bbox.y + bbox.height });
+    text.remove();
+  });
+
+  return extents;
+}
 
 /**
  * Beräknar etikettpositioner för händelser
+ * Etiketterna mäts och placeras utan överlapp så nära markörens naturliga höjd som möjligt.
+ * Händelser med endDate får en båge (rangeArc) och markören mitt på bågen.
  * @param {Array} events - Lista med händelser
  * @param {Object} layout - Layoutkonfiguration
  * @param {d3.ScaleTime} angleScale - Vinkelskala
  * @param {number} labelR - Etikettradie
+ * @param {d3.Selection} measureLayer - Grupp där etiketter mäts tillfälligt
  * @returns {Array} Händelser med beräknade positioner
  */
-export function calculateLabelPositions(events, layout, angleScale, labelR) {
+export function calculateLabelPositions(events, layout, angleScale, labelR, measureLayer) {
+  const extents = measureLabels(measureLayer, events, layout);
+
   const labelData = events.map(ev => {
     const d = new Date(ev.date);
-    const a = angleScale(d);
+    const rangeArc = ev.endDate ? getRangeArc(ev, layout, angleScale) : null;
+    const a = rangeArc ? (rangeArc.startAngle + rangeArc.endAngle) / 2 : angleScale(d);
 
-    const ringIdx = (typeof ev.ring === 'string') ? (RING_MAP[ev.ring] ?? 0) : ev.ring;
+    const ringIdx = (typeof ev.ring === 'string') ? (layout.ringMap[ev.ring] ?? 0) : ev.ring;
     let r;
 
-    if (ev.placering === "linje") {
-      const ringIdx2 = (typeof ev.ring_2 === 'string') ? (RING_MAP[ev.ring_2] ?? ringIdx) : (ev.ring_2 ?? ringIdx);
+    if (rangeArc) {
+      r = (rangeArc.innerRadius + rangeArc.outerRadius) / 2;
+    } else if (ev.placering === "linje") {
+      const ringIdx2 = (typeof ev.ring_2 === 'string') ? (layout.ringMap[ev.ring_2] ?? ringIdx) : (ev.ring_2 ?? ringIdx);
       const boundaryIdx = Math.max(ringIdx, ringIdx2);
       const finalLineIdx = (ringIdx === ringIdx2) ? (ringIdx + 1) : boundaryIdx;
       const ringGap = (layout.ringOuter - layout.ringInner) / layout.ringCount;
       r = layout.ringInner + finalLineIdx * ringGap;
     } else {
-      r = getRadius(ev.ring, layout, RING_MAP);
+      r = getRadius(ev.ring, layout);
     }
 
     const x = r * Math.cos(a);
     const y = r * Math.sin(a);
 
     const isLeft = (a >= Math.PI / 2 || a <= -Math.PI / 2);
-    const lx = isLeft ? -layout.columnGapLeft : layout.columnGapRight;
-    const approxY = labelR * Math.sin(a);
+    const idealY = labelR * Math.sin(a);
+    const { top, bottom } = extents.get(ev.id);
 
-    return { ...ev, a, r, x, y, lx, ly: approxY, isLeft, dateObj: d };
+    // Ett kolumnbyte kostar omvägen i sidled som kopplingslinjen måste göra
+    const switchCost = (layout.labelSwitchPenalty * labelR * Math.cos(a)) ** 2;
+
+    return { ...ev, a, r, x, y, idealY, top, bottom, switchCost, ly: idealY, isLeft, dateObj: d, rangeArc };
   });
 
-  // Sortera efter Y-position och fördela jämnt
-  const leftLabels = labelData.filter(d => d.isLeft).sort((a, b) => a.ly - b.ly);
-  const rightLabels = labelData.filter(d => !d.isLeft).sort((a, b) => a.ly - b.ly);
+  spreadOverlappingMarkers(labelData, layout);
 
-  distributeEvenly(leftLabels, layout.labelVerticalSpacingLeft);
-  distributeEvenly(rightLabels, layout.labelVerticalSpacingRight);
+  // Kolumnerna begränsas av ritytan (hjulets mitt kan vara förskjuten)
+  const halfHeight = layout.canvasHeight / 2;
+  const bounds = {
+    minY: -halfHeight - layout.centerOffsetY + layout.labelColumnMargin,
+    maxY: halfHeight - layout.centerOffsetY - layout.labelColumnMargin,
+    gap: layout.labelMinGap
+  };
 
-  return labelData;
-}
+  const overflow = layoutLabels(labelData, bounds, LABEL_SWITCH_MAX_COS, item => Math.cos(item.a));
+  if (overflow) {
+    console.warn('Etiketterna får inte plats i höjdled. Öka canvasHeight eller minska eventLabelFontSize.');
+  }
 
-/**
- * Fördelar etiketter jämnt längs Y-axeln
- * @param {Array} subset - Lista med etikettdata
- * @param {number} spacing - Vertikalt avstånd
- */
-function distributeEvenly(subset, spacing) {
-  if (subset.length === 0) return;
-  const totalHeight = (subset.length - 1) * spacing;
-  const startY = -totalHeight / 2;
-  subset.forEach((item, i) => {
-    item.ly = startY + i * spacing;
+  labelData.forEach(item => {
+    item.lx = item.isLeft ? -layout.columnGapLeft : layout.columnGapRight;
   });
+
+  return labelData;
 }
 
 /**
@@ -139,31 +270,40 @@ function calculateElbow(ev, lineEndX, lineEndY, config, layout) {
 
 /**
  * Ritar händelsemarkörer och etiketter
+ * Markörerna nås med tabb i datumordning. Piltangenter flyttar fokus till
+ * föregående/nästa händelse och Enter/mellanslag öppnar karusellen.
  * @param {Object} layers - SVG-lagergrupper
  * @param {Array} labelData - Beräknade etikettpositioner
  * @param {Object} typeStyle - Stilmappar per typ
  * @param {Object} config - Konfigurationsobjekt
  * @param {Object} layout - Layoutkonfiguration
+ * @param {Object} arcs - Båggeneratorer
  * @param {Object} state - Applikationens tillstånd
  * @param {Object} callbacks - Återanropsfunktioner
- * @returns {Array} Ritade händelser
+ * @returns {{labelData: Array, activateEvent: Function, focusEvent: Function}} Ritade händelser och styrfunktioner
  */
-export function renderEvents(layers, labelData, typeStyle, config, layout, state, callbacks) {
+export function renderEvents(layers, labelData, typeStyle, config, layout, arcs, state, callbacks) {
   const { gMarkers, gConnectors, gCenter } = layers;
   const { refreshHighlights, updateCenterInfo, openCarousel, hideCarouselView } = callbacks;
 
-  labelData.forEach((ev) => {
+  // Tabbordningen följer DOM-ordningen, så markörerna ritas i datumordning
+  const sortedData = [...labelData].sort((a, b) => a.dateObj - b.dateObj);
+  const activators = new Map();
+
+  sortedData.forEach((ev) => {
     const style = typeStyle[ev.type] || { fill: "white", shape: "circle" };
+    const dateText = ev.endDate ? `${ev.date} – ${ev.endDate}` : ev.date;
 
     const eventGroup = gMarkers.append("g")
       .attr("class", "event-group")
       .attr("data-id", ev.id)
       .attr("data-month", ev.dateObj.getMonth())
       .attr("role", "button")
-      .attr("aria-label", `${ev.label} - ${ev.date}`);
+      .attr("tabindex", 0)
+      .attr("aria-label", `${ev.label} - ${dateText}`);
 
     eventGroup.append("title")
-      .text(`${ev.label}\n${ev.date}`);
+      .text(`${ev.label}\n${dateText}`);
 
     // Etikettext
     const textX = ev.lx;
@@ -196,11 +336,23 @@ export function renderEvents(layers, labelData, typeStyle, config, layout, state
       .attr("class", "connector-group")
       .attr("data-id", ev.id);
 
-    // Vit kontur
+    // Båge för händelser med endDate (under alla markörer så att den inte skymmer andra)
+    const rangeArc = ev.rangeArc
+      ? connectorGroup.append("path")
+        .attr("class", "range-arc")
+        .attr("d", arcs.ringArc({
+          innerRadius: ev.rangeArc.innerRadius,
+          outerRadius: ev.rangeArc.outerRadius,
+          startAngle: ev.rangeArc.startAngle + Math.PI / 2,
+          endAngle: ev.rangeArc.endAngle + Math.PI / 2
+        }))
+        .attr("fill", style.fill)
+      : null;
+
+    // Kontur i bakgrundens färg (stroke i style.css)
     connectorGroup.append("path")
       .attr("d", polylinePath)
       .attr("class", "connector-halo")
-      .attr("stroke", "#fff")
       .attr("stroke-width", layout.connectorLineWidth + 4)
       .attr("stroke-linecap", "round")
       .attr("stroke-linejoin", "round")
@@ -227,7 +379,7 @@ export function renderEvents(layers, labelData, typeStyle, config, layout, state
     marker.append("path")
       .attr("d", shapeGenerators[style.shape || "circle"](layout.markerBaseSize))
       .attr("fill", style.fill)
-      .attr("stroke", "#fff")
+      .style("--marker-color", style.fill)
       .attr("stroke-width", 2);
 
     // Träffyta
@@ -239,85 +391,157 @@ export function renderEvents(layers, labelData, typeStyle, config, layout, state
       .attr("fill", "transparent")
       .attr("class", "label-hit-area");
 
-    // Händelseinteraktioner
-    eventGroup
-      .on("mouseover", function () {
-        if (state.clickedEvent) return;
+    // Händelseinteraktioner (mus och tangentbord delar samma hanterare)
+    function showHover() {
+      if (state.clickedEvent) return;
 
-        state.hoveredEvent = ev.id;
-        updateCenterInfo(ev);
+      state.hoveredEvent = ev.id;
+      updateCenterInfo(ev);
 
-        gMarkers.selectAll(".event-group").classed("is-dimmed", true);
-        d3.select(this).classed("is-dimmed", false).classed("is-active", true);
+      gMarkers.selectAll(".event-group").classed("is-dimmed", true);
+      eventGroup.classed("is-dimmed", false).classed("is-active", true);
 
-        const connector = gConnectors.select(`.connector-group[data-id="${ev.id}"]`);
-        connector.select(".connector-halo")
-          .attr("opacity", 0.8)
-          .attr("stroke-width", (layout.connectorLineWidth * 1.5) + 2);
-        connector.select(".connector-line")
-          .attr("stroke-dasharray", "0")
-          .attr("opacity", 1)
-          .attr("stroke-width", layout.connectorLineWidth * 1.5);
+      const connector = gConnectors.select(`.connector-group[data-id="${ev.id}"]`);
+      connector.select(".connector-halo")
+        .attr("opacity", 0.8)
+        .attr("stroke-width", (layout.connectorLineWidth * 1.5) + 2);
+      connector.select(".connector-line")
+        .attr("stroke-dasharray", "0")
+        .attr("opacity", 1)
+        .attr("stroke-width", layout.connectorLineWidth * 1.5);
+      if (rangeArc) rangeArc.classed("is-hovered", true);
 
-        marker.transition().duration(200)
-          .attr("transform", `translate(${ev.x}, ${ev.y}) scale(${layout.markerHoverScale})`);
+      marker.transition().duration(200)
+        .attr("transform", `translate(${ev.x}, ${ev.y}) scale(${layout.markerHoverScale})`);
 
-        labelText.transition().duration(200)
-          .style("font-size", `${layout.eventLabelHoverFontSize}px`);
-      })
-      .on("mouseout", function () {
-        if (state.clickedEvent) return;
+      labelText.transition().duration(200)
+        .style("font-size", `${layout.eventLabelHoverFontSize}px`);
+    }
 
-        state.hoveredEvent = null;
-        updateCenterInfo(null);
+    function hideHover() {
+      // En markör som dras i redigeringsläget lämnar pekaren men ska ligga kvar tills den släpps
+      if (state.clickedEvent || eventGroup.classed("is-dragging")) return;
 
-        const connector = gConnectors.select(`.connector-group[data-id="${ev.id}"]`);
-        connector.select(".connector-halo").attr("opacity", 0);
-        connector.select(".connector-line")
-          .attr("opacity", 0.6)
-          .attr("stroke-width", layout.connectorLineWidth);
+      state.hoveredEvent = null;
+      updateCenterInfo(null);
 
-        marker.transition().duration(200)
-          .attr("transform", `translate(${ev.x}, ${ev.y}) scale(1)`);
+      const connector = gConnectors.select(`.connector-group[data-id="${ev.id}"]`);
+      connector.select(".connector-halo").attr("opacity", 0);
+      connector.select(".connector-line")
+        .attr("opacity", 0.6)
+        .attr("stroke-width", layout.connectorLineWidth);
+      if (rangeArc) rangeArc.classed("is-hovered", false);
 
-        labelText.transition().duration(200)
-          .style("font-size", `${layout.eventLabelFontSize}px`);
+      marker.transition().duration(200)
+        .attr("transform", `translate(${ev.x}, ${ev.y}) scale(1)`);
+
+      labelText.transition().duration(200)
+        .style("font-size", `${layout.eventLabelFontSize}px`);
+
+      refreshHighlights();
+    }
 
+    function activate() {
+      if (state.clickedEvent === ev.id) {
+        eventGroup.classed("is-clicked", false);
+        hideCarouselView();
         refreshHighlights();
-      })
+        return;
+      }
+
+      if (state.clickedEvent) {
+        gMarkers.selectAll(".event-group").classed("is-clicked", false);
+      }
+
+      state.clickedEvent = ev.id;
+      state.clickedEventPhase = 0;
+
+      eventGroup.classed("is-clicked", true);
+      openCarousel(ev);
+
+      gMarkers.selectAll(".event-group").classed("is-dimmed", true);
+      eventGroup.classed("is-dimmed", false).classed("is-active", true);
+    }
+
+    activators.set(ev.id, activate);
+
+    if (rangeArc) {
+      rangeArc
+        .on("mouseover", showHover)
+        .on("mouseout", hideHover)
+        .on("click", function (event) {
+          event.stopPropagation();
+          activate();
+        });
+    }
+
+    eventGroup
+      .on("mouseover", showHover)
+      .on("mouseout", hideHover)
+      .on("focus", showHover)
+      .on("blur", hideHover)
       .on("click", function (event) {
         event.stopPropagation();
-
-        if (state.clickedEvent === ev.id) {
-          hideCarouselView();
-          refreshHighlights();
+        activate();
+      })
+      .on("keydown", function (event) {
+        if (isActivationKey(event)) {
+          event.preventDefault();
+          event.stopPropagation();
+          activate();
           return;
         }
 
-        if (state.clickedEvent) {
-          gMarkers.selectAll(".event-group").classed("is-clicked", false);
+        const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+        const visibleIds = getVisibleEventIds();
+        let targetId = null;
+
+        if (step) {
+          const idx = visibleIds.indexOf(ev.id);
+          targetId = visibleIds[(idx + step + visibleIds.length) % visibleIds.length];
+        } else if (event.key === "Home") {
+          targetId = visibleIds[0];
+        } else if (event.key === "End") {
+          targetId = visibleIds[visibleIds.length - 1];
         }
 
-        state.clickedEvent = ev.id;
-        state.clickedEventPhase = 0;
-
-        d3.select(this).classed("is-clicked", true);
-        openCarousel(ev);
-
-        gMarkers.selectAll(".event-group").classed("is-dimmed", true);
-        d3.select(this).classed("is-dimmed", false).classed("is-active", true);
+        if (targetId) {
+          event.preventDefault();
+          focusEvent(targetId);
+        }
       });
   });
 
-  return labelData;
+  // Händelser i datumordning som inte är dolda av segmentfilter
+  function getVisibleEventIds() {
+    return sortedData
+      .map(ev => ev.id)
+      .filter(id => {
+        const node = gMarkers.select(`.event-group[data-id="${id}"]`).node();
+        return node && node.style.display !== "none";
+      });
+  }
+
+  function focusEvent(id) {
+    const node = gMarkers.select(`.event-group[data-id="${id}"]`).node();
+    if (node) node.focus();
+  }
+
+  function activateEvent(id) {
+    const activate = activators.get(id);
+    if (activate && state.clickedEvent !== id) activate();
+  }
+
+  return { labelData, activateEvent, focusEvent };
 }
 
 /**
  * Skapar innehållsgeneratorer för centerinfo
  * @param {Object} layout - Layoutkonfiguration
+ * @param {{isWorkday: Function}|null} [calendar=null] - Arbetsdagskalender för nedräkningen (holidays.js)
  * @returns {Object} Innehållsgeneratorer
  */
-export function createCenterInfoGenerators(layout) {
+export function createCenterInfoGenerators(layout, calendar = null) {
   function getMaxCharsForWidth(fontSize) {
     const avgCharWidth = fontSize * 0.55;
     return Math.floor(layout.hoverInfoWidth / avgCharWidth);
@@ -325,30 +549,31 @@ export function createCenterInfoGenerators(layout) {
 
   return {
     getInitialContent(ev) {
-      const dateStr = ev.dateObj.toLocaleDateString('sv-SE', { day: 'numeric', month: 'short', year: 'numeric' });
-      const weekNum = d3.timeFormat("%V")(ev.dateObj);
-      const weekday = ev.dateObj.toLocaleDateString('sv-SE', { weekday: 'long' });
-      const capitalizedWeekday = weekday.charAt(0).toUpperCase() + weekday.slice(1);
-
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const targetDate = new Date(ev.dateObj);
-      targetDate.setHours(0, 0, 0, 0);
-
-      let daysText = "";
-      if (targetDate < today) {
-        daysText = "Passerad";
-      } else if (targetDate.getTime() === today.getTime()) {
-        daysText = "Idag";
+      const { start, end } = getEventDateRange(ev);
+      const isRange = end > start;
+
+      const dateLocale = getDateLocale();
+      const dateFormat = { day: 'numeric', month: 'short', year: 'numeric' };
+      const dateStr = isRange
+        ? `${start.toLocaleDateString(dateLocale, { day: 'numeric', month: 'short' })} – ${end.toLocaleDateString(dateLocale, dateFormat)}`
+        : ev.dateObj.toLocaleDateString(dateLocale, dateFormat);
+
+      let weekText;
+      if (isRange) {
+        const days = d3.timeDay.count(start, end) + 1;
+        weekText = t('info.weekRangeDays', { start: d3.timeFormat("%V")(start), end: d3.timeFormat("%V")(end), days });
       } else {
-        const workdays = getWorkdaysBetween(today, targetDate);
-        daysText = `${workdays} arbetsdagar kvar`;
+        const weekday = ev.dateObj.toLocaleDateString(dateLocale, { weekday: 'long' });
+        const capitalizedWeekday = weekday.charAt(0).toUpperCase() + weekday.slice(1);
+        weekText = t('info.weekDay', { week: d3.timeFormat("%V")(ev.dateObj), weekday: capitalizedWeekday });
       }
 
+      const daysText = getCountdownText(ev, new Date(), calendar);
+
       return [
-        { text: dateStr.toUpperCase(), fontSize: `${layout.hoverInfoInitialDateFontSize}px`, fontWeight: "600", letterSpacing: "0.05em", fill: "#666" },
-        { text: `Vecka ${weekNum} • ${capitalizedWeekday}`, fontSize: `${layout.hoverInfoInitialWeekFontSize}px`, fontWeight: "500", fill: "#555" },
-        { text: daysText, fontSize: `${layout.hoverInfoInitialDaysFontSize}px`, fontWeight: "700", fill: "#555" }
+        { text: dateStr.toUpperCase(), fontSize: `${layout.hoverInfoInitialDateFontSize}px`, fontWeight: "600", letterSpacing: "0.05em", fill: "var(--ink-muted-2)" },
+        { text: weekText, fontSize: `${layout.hoverInfoInitialWeekFontSize}px`, fontWeight: "500", fill: "var(--ink-soft)" },
+        { text: daysText, fontSize: `${layout.hoverInfoInitialDaysFontSize}px`, fontWeight: "700", fill: "var(--ink-soft)" }
       ];
     },
 
@@ -358,12 +583,12 @@ export function createCenterInfoGenerators(layout) {
       const lines = wrapTextToLines(desc, maxChars);
 
       return [
-        { text: "Styrningsunderlag", fontSize: `${layout.hoverInfoDescriptionTitleFontSize}px`, fontWeight: "600", fill: "#666" },
+        { text: t('info.description'), fontSize: `${layout.hoverInfoDescriptionTitleFontSize}px`, fontWeight: "600", fill: "var(--ink-muted-2)" },
         ...lines.map(line => ({
           text: line,
           fontSize: `${layout.hoverInfoDescriptionTextFontSize}px`,
           fontWeight: "400",
-          fill: "#444"
+          fill: "var(--ink-muted)"
         }))
       ];
     },
@@ -371,19 +596,19 @@ export function createCenterInfoGenerators(layout) {
     getResponsibleContent(ev) {
       const resp = ev.responsible || "";
       if (!resp) {
-        return [{ text: "Ingen ansvarig angiven", fontSize: `${layout.hoverInfoResponsibleTextFontSize}px`, fontWeight: "400", fill: "#888" }];
+        return [{ text: t('info.noResponsible'), fontSize: `${layout.hoverInfoResponsibleTextFontSize}px`, fontWeight: "400", fill: "var(--ink-faint)" }];
       }
 
       const maxChars = getMaxCharsForWidth(layout.hoverInfoResponsibleTextFontSize);
       const lines = wrapTextToLines(resp, maxChars);
 
       return [
-        { text: "Ansvar", fontSize: `${layout.hoverInfoResponsibleTitleFontSize}px`, fontWeight: "600", fill: "#666" },
+        { text: t('info.responsible'), fontSize: `${layout.hoverInfoResponsibleTitleFontSize}px`, fontWeight: "600", fill: "var(--ink-muted-2)" },
         ...lines.map(line => ({
           text: line,
           fontSize: `${layout.hoverInfoResponsibleTextFontSize}px`,
           fontWeight: "400",
-          fill: "#444"
+          fill: "var(--ink-muted)"
         }))
       ];
     }
@@ -423,7 +648,7 @@ export function showCenterContent(gCenter, content, options, layout) {
       .style("opacity", 0);
 
     const div = foreignObject.append("xhtml:div")
-      .attr("lang", "sv")
+      .attr("lang", getLocale())
       .style("width", "100%")
       .style("height", "100%")
       .style("overflow-y", "auto")
@@ -445,7 +670,7 @@ export function showCenterContent(gCenter, content, options, layout) {
       innerDiv.append("xhtml:div")
         .style("font-size", line.fontSize)
         .style("font-weight", line.fontWeight || "400")
-        .style("color", line.fill || "#444")
+        .style("color", line.fill || "var(--ink-muted)")
         .style("line-height", layout.hoverInfoLineHeight)
         .style("margin-bottom", i < content.length - 1 ? "2px" : "0")
         .text(line.text);
@@ -472,7 +697,7 @@ export function showCenterContent(gCenter, content, options, layout) {
         .attr("dy", i === 0 ? `${yOffset}em` : `${defaultLineHeight}em`)
         .style("font-size", line.fontSize || "14px")
         .style("font-weight", line.fontWeight || "500")
-        .style("fill", line.fill || "#555")
+        .style("fill", line.fill || "var(--ink-soft)")
         .style("letter-spacing", line.letterSpacing || "0")
         .text(line.text);
     });
@@ -486,12 +711,16 @@ export function showCenterContent(gCenter, content, options, layout) {
  * @param {d3.Selection} gCenter - Centergrupp
  * @param {Object} layout - Layoutkonfiguration
  * @param {Object} state - Applikationens tillstånd
- * @param {Array} allVisibleEvents - Alla synliga händelser
+ * @param {Array} labelData - Händelser med beräknade positioner
  * @param {Object} contentGenerators - Innehållsgeneratorer
  * @param {Function} setChevronClicked - Sättare för karusellpil-klickflagga
+ * @param {Function} [onNavigate] - Anropas när användaren bläddrar till en ny vy
+ * @param {Object} [cluster] - Bläddring mellan händelser i samma markörgrupp
+ * @param {Function} cluster.isVisible - Returnerar om en händelse syns efter filtrering
+ * @param {Function} cluster.select - Anropas med id för händelsen som ska öppnas
  * @returns {Object} Karusellens kontrollfunktioner
  */
-export function createCarousel(gCenter, layout, state, allVisibleEvents, contentGenerators, setChevronClicked) {
+export function createCarousel(gCenter, layout, state, labelData, contentGenerators, setChevronClicked, onNavigate = () => {}, cluster = { isVisible: () => true, select: () => {} }) {
   const carouselChevronOffset = layout.hoverInfoWidth / 2 + 20;
 
   function updateCarouselContent(ev, phase) {
@@ -521,12 +750,15 @@ export function createCarousel(gCenter, layout, state, allVisibleEvents, content
   function showCarouselChevrons() {
     gCenter.selectAll(".carousel-chevron").remove();
 
-    const chevronColor = "hsl(265, 56%, 50%)";
-    const chevronHoverColor = "hsl(265, 56%, 25%)";
+    const chevronColor = "var(--chevron)";
+    const chevronHoverColor = "var(--accent-strong)";
 
     // Vänsterpil
     const leftChevron = gCenter.append("g")
       .attr("class", "carousel-chevron carousel-chevron-left")
+      .attr("role", "button")
+      .attr("tabindex", 0)
+      .attr("aria-label", t('info.previousView'))
       .attr("transform", `translate(${-carouselChevronOffset}, 0)`)
       .style("cursor", "pointer")
       .style("opacity", 0);
@@ -539,27 +771,36 @@ export function createCarousel(gCenter, layout, state, allVisibleEvents, content
     leftChevron.append("path")
       .attr("d", `M5,-10 L-5,0 L5,10`)
       .attr("fill", "none")
-      .attr("stroke", chevronColor)
+      .style("stroke", chevronColor)
       .attr("stroke-width", 3)
       .attr("stroke-linecap", "round")
       .attr("stroke-linejoin", "round");
 
     leftChevron
       .on("mouseover", function () {
-        d3.select(this).select("path").attr("stroke", chevronHoverColor).attr("stroke-width", 4);
+        d3.select(this).select("path").style("stroke", chevronHoverColor).attr("stroke-width", 4);
       })
       .on("mouseout", function () {
-        d3.select(this).select("path").attr("stroke", chevronColor).attr("stroke-width", 3);
+        d3.select(this).select("path").style("stroke", chevronColor).attr("stroke-width", 3);
       })
       .on("click", function (event) {
         event.stopPropagation();
         setChevronClicked();
         navigateCarousel(-1);
+      })
+      .on("keydown", function (event) {
+        if (!isActivationKey(event)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        navigateCarousel(-1);
       });
 
     // Högerpil
     const rightChevron = gCenter.append("g")
       .attr("class", "carousel-chevron carousel-chevron-right")
+      .attr("role", "button")
+      .attr("tabindex", 0)
+      .attr("aria-label", t('info.nextView'))
       .attr("transform", `translate(${carouselChevronOffset}, 0)`)
       .style("cursor", "pointer")
       .style("opacity", 0);
@@ -572,22 +813,28 @@ export function createCarousel(gCenter, layout, state, allVisibleEvents, content
     rightChevron.append("path")
       .attr("d", `M-5,-10 L5,0 L-5,10`)
       .attr("fill", "none")
-      .attr("stroke", chevronColor)
+      .style("stroke", chevronColor)
       .attr("stroke-width", 3)
       .attr("stroke-linecap", "round")
       .attr("stroke-linejoin", "round");
 
     rightChevron
       .on("mouseover", function () {
-        d3.select(this).select("path").attr("stroke", chevronHoverColor).attr("stroke-width", 4);
+        d3.select(this).select("path").style("stroke", chevronHoverColor).attr("stroke-width", 4);
       })
       .on("mouseout", function () {
-        d3.select(this).select("path").attr("stroke", chevronColor).attr("stroke-width", 3);
+        d3.select(this).select("path").style("stroke", chevronColor).attr("stroke-width", 3);
       })
       .on("click", function (event) {
         event.stopPropagation();
         setChevronClicked();
         navigateCarousel(1);
+      })
+      .on("keydown", function (event) {
+        if (!isActivationKey(event)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        navigateCarousel(1);
       });
 
     gCenter.selectAll(".carousel-chevron")
@@ -595,26 +842,122 @@ export function createCarousel(gCenter, layout, state, allVisibleEvents, content
       .style("opacity", 1);
   }
 
+  /**
+   * Visar bläddring mellan händelser i samma markörgrupp ("Händelse 2 av 3")
+   * @param {Object} ev - Öppen händelse
+   */
+  function showClusterPager(ev) {
+    gCenter.selectAll(".cluster-pager").remove();
+
+    // Endast händelser som syns efter filtrering går att bläddra till
+    const members = (ev.cluster ?? []).filter(id => cluster.isVisible(id));
+    if (members.length < 2) return;
+
+    const index = members.indexOf(ev.id);
+    const pagerY = layout.hoverInfoMaxHeight / 2 + 22;
+    const pager = gCenter.append("g")
+      .attr("class", "cluster-pager")
+      .attr("transform", `translate(0, ${pagerY})`);
+
+    pager.append("text")
+      .attr("class", "cluster-pager-label")
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "middle")
+      .style("font-size", "11px")
+      .style("fill", "var(--accent-strong)")
+      .text(t('info.clusterPosition', { index: index + 1, count: members.length }));
+
+    [
+      { direction: -1, x: -52, path: "M3,-6 L-3,0 L3,6", label: t('info.previousInCluster') },
+      { direction: 1, x: 52, path: "M-3,-6 L3,0 L-3,6", label: t('info.nextInCluster') }
+    ].forEach(({ direction, x, path, label }) => {
+      const select = () => {
+        setChevronClicked();
+        cluster.select(members[(index + direction + members.length) % members.length]);
+        // Behåll fokus på samma pil efter att gruppen ritats om
+        const again = gCenter.select(`.cluster-pager-button[data-direction="${direction}"]`).node();
+        if (again) again.focus();
+      };
+
+      const button = pager.append("g")
+        .attr("class", "cluster-pager-button")
+        .attr("data-direction", direction)
+        .attr("role", "button")
+        .attr("tabindex", 0)
+        .attr("aria-label", label)
+        .attr("transform", `translate(${x}, 0)`)
+        .style("cursor", "pointer")
+        .on("click", function (event) {
+          event.stopPropagation();
+          select();
+        })
+        .on("keydown", function (event) {
+          if (!isActivationKey(event)) return;
+          event.preventDefault();
+          event.stopPropagation();
+          select();
+        });
+
+      button.append("rect")
+        .attr("x", -10).attr("y", -10)
+        .attr("width", 20).attr("height", 20)
+        .attr("fill", "transparent");
+
+      button.append("path")
+        .attr("d", path)
+        .attr("fill", "none")
+        .style("stroke", "var(--chevron)")
+        .attr("stroke-width", 2)
+        .attr("stroke-linecap", "round")
+        .attr("stroke-linejoin", "round");
+    });
+  }
+
+  /**
+   * Visar att händelsen ingår i en återkommande serie ("↻ Varje månad · 3 av 12")
+   * @param {Object} ev - Öppen händelse
+   */
+  function showRecurrenceIndicator(ev) {
+    gCenter.selectAll(".recurrence-indicator").remove();
+    if (!ev.seriesId) return;
+
+    const indicatorY = -(layout.hoverInfoMaxHeight / 2 + 22);
+    const indicator = gCenter.append("text")
+      .attr("class", "recurrence-indicator")
+      .attr("y", indicatorY)
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "middle")
+      .style("font-size", "11px")
+      .style("fill", "var(--accent-strong)")
+      .text(`↻ ${t('info.occurrence', { rule: describeRecurrence(ev.recurrence), index: ev.occurrence, count: ev.occurrenceCount })}`);
+
+    indicator.append("title")
+      .text(t('info.recurrenceTitle'));
+  }
+
   function navigateCarousel(direction) {
     if (!state.clickedEvent) return;
 
-    const ev = allVisibleEvents.find(e => e.id === state.clickedEvent);
+    const ev = labelData.find(e => e.id === state.clickedEvent);
     if (!ev) return;
 
     state.clickedEventPhase = (state.clickedEventPhase + direction + 3) % 3;
     updateCarouselContent(ev, state.clickedEventPhase);
+    onNavigate();
   }
 
   function openCarousel(ev) {
     updateCarouselContent(ev, 0);
     showCarouselChevrons();
+    showClusterPager(ev);
+    showRecurrenceIndicator(ev);
   }
 
   function hideCarouselView(updateCenterInfo) {
     state.clickedEvent = null;
     state.clickedEventPhase = 0;
 
-    gCenter.selectAll(".carousel-chevron")
+    gCenter.selectAll(".carousel-chevron, .cluster-pager, .recurrence-indicator")
       .transition().duration(200)
       .style("opacity", 0)
       .remove();
@@ -0,0 +1,240 @@
+/**
+ * Export för visualiseringen av verksamhetscykeln
+ * Fristående SVG med inbäddade stilar och typsnitt, PNG-bild samt utskrift till PDF i A3/A4.
+ * Alla speglar aktuella filter och markeringar eftersom de utgår från hjulet som det ser ut.
+ */
+
+import { downloadFile } from './utils.js';
+import { t } from './i18n.js';
+
+// Egenskaper som kopieras från beräknad stil till SVG-element
+const SVG_STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-linecap', 'stroke-linejoin', 'opacity', 'visibility',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'letter-spacing',
+  'text-anchor', 'dominant-baseline'
+];
+
+// Egenskaper som kopieras för HTML-innehåll i foreignObject (centerinformationen)
+const HTML_STYLE_PROPERTIES = [
+  'color', 'background-color', 'opacity', 'display',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+  'text-align', 'margin', 'padding'
+];
+
+// Teckenuppsättningar som bäddas in (svenska tecken ryms i latin)
+const EMBEDDED_FONT_SUBSETS = ['latin', 'latin-ext'];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Hämtar adresser till typsnitt som stilmallarna importerar (t.ex. Google Fonts)
+ * @returns {string[]}
+ */
+function getImportedFontUrls() {
+  const urls = [];
+  [...document.styleSheets].forEach(sheet => {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      return; // Stilmallar från andra domäner går inte att läsa
+    }
+    [...rules].forEach(rule => {
+      // Endast @import-regler har href
+      if (rule.href && /family=/.test(rule.href)) urls.push(rule.href);
+    });
+  });
+  return urls;
+}
+
+/**
+ * Läser en fil som data-URL
+ * @param {string} url - Filens adress
+ * @returns {Promise<string>}
+ */
+async function fetchAsDataUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} för ${url}`);
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Bygger @font-face-regler med typsnittsfilerna inbäddade som data-URL:er
+ * Misslyckas hämtningen exporteras SVG:n utan inbäddade typsnitt.
+ * @returns {Promise<string>} CSS-text
+ */
+async function getEmbeddedFontCss() {
+  const rules = [];
+
+  for (const url of getImportedFontUrls()) {
+    try {
+      const css = await (await fetch(url)).text();
+      // Google Fonts märker varje @font-face med teckenuppsättning, t.ex. /* latin */
+      const blocks = [...css.matchAll(/\/\*\s*([\w-]+)\s*\*\/\s*(@font-face\s*\{[^}]*\})/g)]
+        .filter(([, subset]) => EMBEDDED_FONT_SUBSETS.includes(subset))
+        .map(([, , block]) => block);
+
+      for (const block of blocks) {
+        const fontUrl = block.match(/url\(([^)]+)\)/)?.[1]?.replace(/['"]/g, '');
+        if (!fontUrl) continue;
+        rules.push(block.replace(/url\([^)]+\)/, `url(${await fetchAsDataUrl(fontUrl)})`));
+      }
+    } catch (error) {
+      console.warn(`Typsnitt kunde inte bäddas in (${url}):`, error);
+    }
+  }
+
+  return rules.join('\n');
+}
+
+/**
+ * Kopierar beräknade stilar till inline-stilar på klonen
+ * Dolda element (t.ex. bortfiltrerade händelser) tas bort helt.
+ * @param {Element} original - Element i sidan
+ * @param {Element} clone - Motsvarande element i klonen
+ * @returns {boolean} false om elementet är dolt och ska tas bort
+ */
+function inlineComputedStyle(original, clone) {
+  const computed = getComputedStyle(original);
+  if (computed.display === 'none') return false;
+
+  const properties = original.namespaceURI === SVG_NS ? SVG_STYLE_PROPERTIES : HTML_STYLE_PROPERTIES;
+  const declarations = properties
+    .map(prop => [prop, computed.getPropertyValue(prop)])
+    .filter(([, value]) => value !== '')
+    .map(([prop, value]) => `${prop}:${value}`);
+
+  if (declarations.length) clone.setAttribute('style', declarations.join(';'));
+
+  // text-transform stöds inte av alla redigeringsprogram, så versaler skrivs ut i texten
+  if (computed.textTransform === 'uppercase' && clone.children.length === 0) {
+    clone.textContent = clone.textContent.toUpperCase();
+  }
+
+  clone.removeAttribute('tabindex');
+  return true;
+}
+
+/**
+ * Bygger en fristående SVG-fil av hjulet
+ * @param {SVGSVGElement} svgNode - Hjulets SVG-element
+ * @returns {Promise<string>} SVG-filens innehåll
+ */
+export async function buildStandaloneSvg(svgNode) {
+  const clone = svgNode.cloneNode(true);
+
+  const originals = [svgNode, ...svgNode.querySelectorAll('*')];
+  const clones = [clone, ...clone.querySelectorAll('*')];
+  const hidden = clones.filter((node, i) => !inlineComputedStyle(originals[i], node));
+  hidden.forEach(node => node.remove());
+
+  const [, , width, height] = (svgNode.getAttribute('viewBox') ?? '0 0 1000 1000').split(/\s+/);
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+
+  const fontCss = await getEmbeddedFontCss();
+  if (fontCss) {
+    const style = document.createElementNS(SVG_NS, 'style');
+    style.textContent = fontCss;
+    clone.insertBefore(style, clone.firstChild);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+}
+
+/**
+ * Laddar ner hjulet som fristående SVG
+ * @param {SVGSVGElement} svgNode - Hjulets SVG-element
+ * @param {string} filename - Filnamn
+ */
+export async function downloadSvg(svgNode, filename) {
+  const content = await buildStandaloneSvg(svgNode);
+  downloadFile(content, filename, 'image/svg+xml;charset=utf-8');
+}
+
+/**
+ * Laddar ner hjulet som PNG-bild i valt tema
+ * Bilden ritas från den fristående SVG:n, där temats färger redan är beräknade.
+ * @param {SVGSVGElement} svgNode - Hjulets SVG-element
+ * @param {string} filename - Filnamn
+ * @param {number} [scale=2] - Upplösning i förhållande till viewBox
+ */
+export async function downloadPng(svgNode, filename, scale = 2) {
+  const content = await buildStandaloneSvg(svgNode);
+  const [, , width, height] = (svgNode.getAttribute('viewBox') ?? '0 0 1000 1000').split(/\s+/).map(Number);
+
+  const url = URL.createObjectURL(new Blob([content], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  try {
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error(t('export.imageFailed')));
+      image.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  const context = canvas.getContext('2d');
+  context.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--card-bg').trim() || '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  // toBlob ger null när bilden inte kan skapas, t.ex. när canvasen är för stor för webbläsaren
+  const blob = await new Promise((resolve, reject) => canvas.toBlob(result => {
+    if (result) {
+      resolve(result);
+    } else {
+      reject(new Error(t('export.canvasFailed')));
+    }
+  }, 'image/png'));
+  downloadFile(blob, filename, 'image/png');
+}
+
+/**
+ * Ritar en rapport över en export som misslyckades
+ * @param {HTMLElement} container - Element som rapporten ritas i
+ * @param {string} fileName - Filen som skulle laddas ner
+ * @param {Error} error - Fel som stoppade exporten
+ */
+export function renderExportReport(container, fileName, error) {
+  container.replaceChildren();
+  container.hidden = false;
+
+  const details = d3.select(container).append("details").property("open", true);
+  details.append("summary").text(t('export.failed', { file: fileName }));
+  details.append("p").attr("class", "validation-note").text(error.message);
+}
+
+/**
+ * Öppnar webbläsarens utskrift med hjul och ringförklaring på en A3- eller A4-sida
+ * Välj "Spara som PDF" i utskriftsdialogen för en vektor-PDF.
+ * @param {string} pageSize - Sidformat, 'A3' eller 'A4'
+ */
+export function printPoster(pageSize) {
+  const pageStyle = document.createElement('style');
+  pageStyle.textContent = `@page { size: ${pageSize} portrait; margin: 10mm; }`;
+  document.head.appendChild(pageStyle);
+  document.body.classList.add('print-poster');
+
+  const cleanup = () => {
+    pageStyle.remove();
+    document.body.classList.remove('print-poster');
+    window.removeEventListener('afterprint', cleanup);
+  };
+  window.addEventListener('afterprint', cleanup);
+
+  window.print();
+}
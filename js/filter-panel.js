@@ -0,0 +1,126 @@
+/**
+ * Filterpanel för ansvarig enhet och händelsetyp i visualiseringen av verksamhetscykeln
+ * Alternativen byggs från datat. Inget valt alternativ i en grupp betyder att alla visas.
+ */
+
+import { getTypeDisplayName } from './config.js';
+import { getResponsibleUnits } from './utils.js';
+import { t, getLocale } from './i18n.js';
+
+/**
+ * Samlar unika alternativ ur händelserna, sorterade efter visningsnamn
+ * @param {Array} events - Händelser
+ * @param {Function} getValues - Returnerar en händelses värden
+ * @param {Function} getName - Returnerar visningsnamn för ett värde
+ * @returns {Array<{value: string, name: string, count: number}>}
+ */
+function collectOptions(events, getValues, getName) {
+  const counts = new Map();
+  events.forEach(ev => {
+    getValues(ev).forEach(value => counts.set(value, (counts.get(value) ?? 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, name: getName(value), count }))
+    .sort((a, b) => a.name.localeCompare(b.name, getLocale()));
+}
+
+/**
+ * Skapar filterpanelen
+ * @param {HTMLElement} container - Element som panelen ritas i
+ * @param {Object} state - Applikationens tillstånd
+ * @param {Array} allVisibleEvents - Alla synliga händelser
+ * @param {Function} applyFilter - Återanrop när filtren ändras
+ * @returns {{update: Function}} Funktion för att uppdatera knapparna efter ändrat tillstånd,
+ *   eller bygga om alternativen när den får nya händelser (t.ex. efter redigering eller import)
+ */
+export function createFilterPanel(container, state, allVisibleEvents, applyFilter) {
+  const groups = [
+    {
+      id: 'unit',
+      title: t('filter.unit'),
+      selected: state.unitFilter,
+      getValues: ev => getResponsibleUnits(ev.responsible),
+      getName: value => value
+    },
+    {
+      id: 'type',
+      title: t('filter.type'),
+      selected: state.typeFilter,
+      getValues: ev => ev.type ? [ev.type] : [],
+      getName: getTypeDisplayName
+    }
+  ];
+
+  const details = d3.select(container).append("details");
+  const summary = details.append("summary").attr("class", "filter-panel-summary");
+
+  details.append("button")
+    .attr("type", "button")
+    .attr("class", "reset-button filter-panel-clear")
+    .text(t('filter.clear'))
+    .on("click", () => {
+      groups.forEach(group => group.selected.clear());
+      update();
+      applyFilter();
+    });
+
+  /**
+   * Bygger alternativen från händelserna; grupper utan alternativ visas inte
+   * @param {Array} events - Synliga händelser
+   */
+  function renderOptions(events) {
+    groups.forEach(group => {
+      group.options = collectOptions(events, group.getValues, group.getName);
+    });
+
+    const fieldsets = details.selectAll(".filter-panel-group")
+      .data(groups.filter(group => group.options.length > 0), group => group.id)
+      .join(enter => {
+        const fieldset = enter.insert("fieldset", ".filter-panel-clear").attr("class", "filter-panel-group");
+        fieldset.append("legend").text(d => d.title);
+        fieldset.append("div").attr("class", "filter-panel-options");
+        return fieldset;
+      })
+      .order();
+
+    fieldsets.select(".filter-panel-options")
+      .selectAll("button")
+      .data(group => group.options.map(option => ({ ...option, group })), d => d.value)
+      .join(enter => enter.append("button")
+        .attr("type", "button")
+        .attr("class", "filter-button")
+        .on("click", (event, d) => {
+          if (d.group.selected.has(d.value)) {
+            d.group.selected.delete(d.value);
+          } else {
+            d.group.selected.add(d.value);
+          }
+          update();
+          applyFilter();
+        }))
+      .order()
+      .text(d => `${d.name} (${d.count})`);
+  }
+
+  /**
+   * Uppdaterar knapparna och sammanfattningen efter tillståndet
+   * @param {Array} [events] - Nya synliga händelser; alternativen byggs då om
+   */
+  function update(events) {
+    if (events) renderOptions(events);
+
+    details.selectAll(".filter-button")
+      .classed("active", d => d.group.selected.has(d.value))
+      .attr("aria-pressed", d => d.group.selected.has(d.value));
+
+    const selectedCount = groups.reduce((sum, group) => sum + group.selected.size, 0);
+    summary.text(selectedCount
+      ? t('filter.summarySelected', { count: selectedCount })
+      : t('filter.summary'));
+  }
+
+  update(allVisibleEvents);
+
+  return { update };
+}
@@ -0,0 +1,129 @@
+/**
+ * Svenska helgdagar och organisationens stängda dagar för visualiseringen av verksamhetscykeln
+ * Helgdagarna räknas fram lokalt, så inget behöver hämtas. Påskens rörliga helgdagar utgår
+ * från påskdagen och midsommar från fredagen mellan 19 och 25 juni. Midsommarafton, julafton
+ * och nyårsafton är inte röda dagar men räknas som lediga, liksom de stängda dagarna i config.closureDays.
+ */
+
+import { formatLocalDate, parseLocalDate } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Beräknar påskdagen i den gregorianska kalendern (Meeus/Jones/Butcher)
+ * @param {number} year - År
+ * @returns {Date} Påskdagen som lokal midnatt
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Hittar första dagen från och med ett datum som faller på en viss veckodag
+ * @param {number} year - År
+ * @param {number} month - Månad (0–11)
+ * @param {number} day - Första dag att pröva
+ * @param {number} weekday - Veckodag (0 = söndag, 6 = lördag)
+ * @returns {Date}
+ */
+function getFirstWeekdayFrom(year, month, day, weekday) {
+  const date = new Date(year, month, day);
+  return d3.timeDay.offset(date, (weekday - date.getDay() + 7) % 7);
+}
+
+/**
+ * Hämtar årets svenska helgdagar och lediga helgaftnar
+ * @param {number} year - År
+ * @returns {Array<{key: string, date: Date, name: string}>} Helgdagar i datumordning
+ */
+export function getSwedishHolidays(year) {
+  const easter = getEasterSunday(year);
+  const fromEaster = days => d3.timeDay.offset(easter, days);
+  const midsummerEve = getFirstWeekdayFrom(year, 5, 19, 5);
+
+  return [
+    { key: 'newYearsDay', date: new Date(year, 0, 1) },
+    { key: 'epiphany', date: new Date(year, 0, 6) },
+    { key: 'goodFriday', date: fromEaster(-2) },
+    { key: 'easterSunday', date: easter },
+    { key: 'easterMonday', date: fromEaster(1) },
+    { key: 'mayDay', date: new Date(year, 4, 1) },
+    { key: 'ascensionDay', date: fromEaster(39) },
+    { key: 'whitsunday', date: fromEaster(49) },
+    { key: 'nationalDay', date: new Date(year, 5, 6) },
+    { key: 'midsummerEve', date: midsummerEve },
+    { key: 'midsummerDay', date: d3.timeDay.offset(midsummerEve, 1) },
+    { key: 'allSaintsDay', date: getFirstWeekdayFrom(year, 9, 31, 6) },
+    { key: 'christmasEve', date: new Date(year, 11, 24) },
+    { key: 'christmasDay', date: new Date(year, 11, 25) },
+    { key: 'boxingDay', date: new Date(year, 11, 26) },
+    { key: 'newYearsEve', date: new Date(year, 11, 31) }
+  ]
+    .map(holiday => ({ ...holiday, name: t(`holidays.${holiday.key}`) }))
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Skapar en arbetsdagskalender
+ * Arbetsdagar är måndag–fredag som varken är helgdag eller stängd dag.
+ * @param {Array<{date: string, endDate: string|null, name: string}>} [closureDays=[]] - Stängda dagar (config.closureDays)
+ * @returns {{isWorkday: Function, getNonWorkingDay: Function}}
+ */
+export function createWorkdayCalendar(closureDays = []) {
+  const holidaysByYear = new Map();
+  const closures = new Map();
+
+  closureDays.forEach(({ date, endDate, name }) => {
+    const start = parseLocalDate(date);
+    const end = parseLocalDate(endDate) ?? start;
+    if (!start) return;
+    for (let day = start; day <= end; day = d3.timeDay.offset(day, 1)) {
+      closures.set(formatLocalDate(day), name || t('holidays.closure'));
+    }
+  });
+
+  function getHolidays(year) {
+    if (!holidaysByYear.has(year)) {
+      holidaysByYear.set(year, new Map(getSwedishHolidays(year).map(h => [formatLocalDate(h.date), h.name])));
+    }
+    return holidaysByYear.get(year);
+  }
+
+  /**
+   * Hämtar helgdagen eller den stängda dagen som ett datum infaller på
+   * @param {Date} date - Datum
+   * @returns {{name: string, kind: string}|null} kind är "holiday" eller "closure"
+   */
+  function getNonWorkingDay(date) {
+    const key = formatLocalDate(date);
+    const holiday = getHolidays(date.getFullYear()).get(key);
+    if (holiday) return { name: holiday, kind: 'holiday' };
+    if (closures.has(key)) return { name: closures.get(key), kind: 'closure' };
+    return null;
+  }
+
+  /**
+   * Kontrollerar om ett datum är en arbetsdag
+   * @param {Date} date - Datum
+   * @returns {boolean}
+   */
+  function isWorkday(date) {
+    const dayOfWeek = date.getDay();
+    return dayOfWeek !== 0 && dayOfWeek !== 6 && !getNonWorkingDay(date);
+  }
+
+  return { isWorkday, getNonWorkingDay };
+}
@@ -0,0 +1,836 @@
+/**
+ * Språkstöd för visualiseringen av verksamhetscykeln
+ * Svenska är grundspråk. Texter som saknas på engelska visas på svenska.
+ * Språket väljs med ?lang= i adressen eller med språkväljaren (valet sparas i webbläsaren)
+ * och gäller tills sidan laddas om, precis som året.
+ *
+ * Kolumnnamn från Excel-filen (t.ex. Cykeldatum) visas som de är även på engelska,
+ * eftersom det är dem som står i filen.
+ */
+
+import { readStorage, writeStorage } from './utils.js';
+
+export const LOCALES = ['sv', 'en'];
+
+const DEFAULT_LOCALE = 'sv';
+
+const LOCALE_NAMES = {
+  sv: 'Svenska',
+  en: 'English'
+};
+
+// Språkkod för datum (toLocaleDateString) och sortering (localeCompare)
+const DATE_LOCALES = {
+  sv: 'sv-SE',
+  en: 'en-GB'
+};
+
+const STORAGE_KEY = 'verksamhetscykel-sprak';
+
+/**
+ * Meddelandekataloger per språk
+ * {namn} ersätts med värden från t(). Meddelanden med "one"/"other" väljs efter {count}.
+ */
+const MESSAGES = {
+  sv: {
+    page: {
+      title: 'Verksamhetscykel år {year}',
+      heading: 'Verksamhetscykel för år {year} – Högskolan Dalarna',
+      calendarName: 'Verksamhetscykel {year}',
+      headerAlt: 'Högskolan Dalarnas verksamhetscykel - utriftrån planering till analys',
+      intro: 'Denna sida visar ett interaktivt årshjul som visualiserar Högskolan Dalarnas verksamhetscykel med viktiga händelser under året. Hjulet är uppdelat i månader, veckor och färgkodade ringar som representerar olika planeringshorisonter.',
+      keyboardHeading: 'Tangentbordsnavigering',
+      keyboard: 'Använd Tabb för att nå månader, ringar, perioder och händelser i hjulet. Piltangenterna flyttar mellan händelser i datumordning. Enter eller mellanslag väljer en månad, ring eller period och öppnar information om en händelse. Escape stänger informationen. I sökrutans resultatlista flyttar pil upp och pil ned mellan träffarna.',
+      markersHeading: 'Förklaring av händelsemarkörer',
+      markersIntro: 'Händelserna i hjulet representeras av färgkodade symboler:',
+      markerBeslut: 'Blå cirkel – Beslut',
+      markerInlamning: 'Rosa romb – Inlämning',
+      markerOmvarldsanalys: 'Orange öga – Omvärldsanalys',
+      markerDialogGemensam: 'Grön triangel – Verksamhetsdialog gemensam',
+      markerDialogEnskild: 'Gul pentagon – Verksamhetsdialog enskild',
+      wheelLabel: 'Interaktivt årshjul som visar verksamhetscykeln med händelser, veckor och perioder',
+      searchLabel: 'Sök bland händelser',
+      filterLabel: 'Filtrera på ansvar och typ',
+      tableLabel: 'Händelser i tabellform',
+      validationLabel: 'Datakontroll',
+      importLabel: 'Import av Excel- eller CSV-fil',
+      compareLabel: 'Jämförelse med tidigare version',
+      editorLabel: 'Redigera händelser',
+      exportLabel: 'Export av bild'
+    },
+    controls: {
+      year: 'År',
+      yearLabel: 'Välj år att visa',
+      showTable: 'Visa som tabell',
+      showWheel: 'Visa som hjul',
+      showDeadlines: 'Kommande deadlines',
+      hideDeadlines: 'Dölj deadlines',
+      reset: 'Återställ',
+      resetLabel: 'Återställ filtrering',
+      exportIcs: 'Exportera till kalender',
+      exportIcsLabel: 'Exportera filtrerade händelser som kalenderfil (.ics)',
+      downloadPng: 'Ladda ner som bild',
+      downloadPngLabel: 'Ladda ner visualiseringen som PNG-bild',
+      downloadSvg: 'Ladda ner som SVG',
+      downloadSvgLabel: 'Ladda ner visualiseringen som SVG-fil för redigering',
+      pdfSizeLabel: 'Välj sidformat för PDF',
+      print: 'Skriv ut / PDF',
+      printLabel: 'Skriv ut hjul och ringförklaring eller spara som PDF',
+      theme: 'Tema',
+      themeLabel: 'Välj färgtema',
+      language: 'Språk',
+      languageLabel: 'Välj språk',
+      edit: 'Redigera',
+      closeEditor: 'Stäng redigering',
+      import: 'Importera Excel/CSV',
+      importLabel: 'Importera Excel- eller CSV-fil och visa den i hjulet',
+      compare: 'Jämför med tidigare version',
+      compareLabel: 'Jämför med en tidigare version av events.json'
+    },
+    themes: {
+      system: 'Som systemet',
+      light: 'Ljust',
+      dark: 'Mörkt',
+      'high-contrast': 'Hög kontrast'
+    },
+    footer: {
+      description: 'Ovanstående verksamhetscykel visualiseras i färgkodade hjul. Förklaring och avgränsning för varje hjul framgår i rutorna till höger.'
+    },
+    months: ['Jan', 'Feb', 'Mar', 'Apr', 'Maj', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dec'],
+    fullMonths: [
+      'Januari', 'Februari', 'Mars', 'April', 'Maj', 'Juni',
+      'Juli', 'Augusti', 'September', 'Oktober', 'November', 'December'
+    ],
+    periods: ['Period 3', 'Period 4', 'Sommar', 'Period 1', 'Period 2'],
+    period: 'Period {number}',
+    // Svenska typnamn är desamma som i Excel-filen och finns i TYPE_DISPLAY_NAMES (config.js)
+    types: {},
+    segments: {
+      matchAny: 'ELLER',
+      matchAll: 'OCH',
+      matchAllLabel: 'Visa bara händelser som har alla valda kategorier'
+    },
+    wheel: {
+      week: 'Vecka {week}',
+      monthRing: 'Månad',
+      weekRange: 'Vecka {start}–{end}',
+      today: 'Idag, {date}',
+      ringMonth: '{ring} - {month}'
+    },
+    info: {
+      weekDay: 'Vecka {week} • {weekday}',
+      weekRangeDays: 'Vecka {start}–{end} • {days} dagar',
+      ended: 'Avslutad',
+      passed: 'Passerad',
+      closesToday: 'Stänger idag',
+      today: 'Idag',
+      ongoing: 'Pågår • {count} arbetsdagar kvar',
+      workdaysLeft: '{count} arbetsdagar kvar',
+      description: 'Styrningsunderlag',
+      responsible: 'Ansvar',
+      noResponsible: 'Ingen ansvarig angiven',
+      previousView: 'Föregående vy',
+      nextView: 'Nästa vy',
+      clusterPosition: 'Händelse {index} av {count}',
+      previousInCluster: 'Föregående händelse på samma plats',
+      nextInCluster: 'Nästa händelse på samma plats',
+      occurrence: '{rule} · {index} av {count}',
+      recurrenceTitle: 'Återkommande händelse. Hela serien ändras på en rad i Excel-filen.'
+    },
+    recurrence: {
+      weekly: 'Varje vecka',
+      monthly: 'Varje månad',
+      quarterly: 'Varje kvartal',
+      yearly: 'Varje år',
+      everyNthWeek: 'Var {ordinal} vecka',
+      everyNthMonth: 'Var {ordinal} månad',
+      notObject: 'Upprepningsregeln måste vara ett objekt med freq, interval, until och except',
+      unknownFreq: 'Okänd upprepning "{freq}" (förväntat weekly eller monthly)',
+      invalidInterval: 'Upprepningens intervall "{interval}" måste vara ett heltal från 1',
+      invalidUntil: 'Ogiltigt slut för upprepning "{until}" (förväntat ÅÅÅÅ-MM-DD)',
+      untilBeforeStart: 'Upprepningen slutar {until}, före första datum {date}',
+      exceptNotList: 'Undantag för upprepning måste vara en lista med datum',
+      invalidExcept: 'Ogiltigt undantagsdatum "{date}" (förväntat ÅÅÅÅ-MM-DD)'
+    },
+    deadlines: {
+      title: 'Kommande deadlines',
+      close: 'Stäng',
+      status: 'De {shown} närmaste av {total} kommande händelser',
+      empty: 'Inga kommande händelser med nuvarande filter',
+      thisWeek: 'Denna vecka',
+      nextTwoWeeks: 'Kommande två veckor',
+      restOfPeriod: 'Resten av {period}',
+      later: 'Senare'
+    },
+    holidays: {
+      newYearsDay: 'Nyårsdagen',
+      epiphany: 'Trettondedag jul',
+      goodFriday: 'Långfredagen',
+      easterSunday: 'Påskdagen',
+      easterMonday: 'Annandag påsk',
+      mayDay: 'Första maj',
+      ascensionDay: 'Kristi himmelsfärdsdag',
+      whitsunday: 'Pingstdagen',
+      nationalDay: 'Sveriges nationaldag',
+      midsummerEve: 'Midsommarafton',
+      midsummerDay: 'Midsommardagen',
+      allSaintsDay: 'Alla helgons dag',
+      christmasEve: 'Julafton',
+      christmasDay: 'Juldagen',
+      boxingDay: 'Annandag jul',
+      newYearsEve: 'Nyårsafton',
+      closure: 'Stängt'
+    },
+    search: {
+      label: 'Sök händelse',
+      placeholder: 'T.ex. budgetunderlag',
+      hits: { one: '{count} träff', other: '{count} träffar' }
+    },
+    filter: {
+      unit: 'Ansvar',
+      type: 'Typ',
+      clear: 'Rensa filter',
+      summary: 'Filtrera på ansvar och typ',
+      summarySelected: { one: 'Filtrera på ansvar och typ ({count} valt)', other: 'Filtrera på ansvar och typ ({count} valda)' }
+    },
+    calendar: {
+      responsible: 'Ansvar'
+    },
+    table: {
+      date: 'Datum',
+      week: 'Vecka',
+      ring: 'Ring',
+      type: 'Typ',
+      label: 'Styrningsunderlag',
+      description: 'Beskrivning',
+      responsible: 'Ansvar',
+      filterLabel: 'Filtrera tabellen',
+      caption: 'Händelser i verksamhetscykeln',
+      status: 'Visar {shown} av {total} händelser'
+    },
+    report: {
+      error: 'Fel',
+      warning: 'Varning',
+      row: 'Rad {row}'
+    },
+    load: {
+      title: 'Kunde inte ladda data',
+      checkFile: 'Kontrollera att filen {path} finns och är korrekt formaterad.',
+      showYear: 'Visa {year} i stället',
+      httpError: 'HTTP-fel! status: {status}'
+    },
+    validation: {
+      title: 'Datakontroll',
+      summary: 'Datakontroll: {parts} i {path}',
+      errors: { one: '{count} fel', other: '{count} fel' },
+      warnings: { one: '{count} varning', other: '{count} varningar' },
+      and: 'och',
+      note: 'Händelser med fel visas inte i hjulet. Rätta dem i Excel-filen och kör update_events.py igen.',
+      missingId: 'Saknar id',
+      invalidDate: 'Ogiltigt datum "{date}" (förväntat ÅÅÅÅ-MM-DD)',
+      invalidEndDate: 'Ogiltigt slutdatum "{date}" (förväntat ÅÅÅÅ-MM-DD)',
+      endBeforeStart: 'Slutdatum {endDate} ligger före datum {date}',
+      unknownRing: 'Okänd ring "{ring}"',
+      unknownRing2: 'Okänd ring_2 "{ring}"',
+      missingType: 'Typen "{type}" saknas i typeStyle',
+      missingLabel: 'Saknar styrningsunderlag (label)',
+      duplicateEventId: 'Id "{id}" används redan av en annan händelse',
+      dividersNotList: 'periodDividerWeeks måste vara en lista med veckonummer',
+      invalidDivider: 'periodDividerWeeks: "{week}" är inte ett veckonummer 1–53 och används inte',
+      duplicateDivider: 'periodDividerWeeks innehåller samma vecka flera gånger',
+      unsortedDividers: 'periodDividerWeeks är inte i stigande ordning, vilket påverkar periodernas färger och namn',
+      missingItemId: '{where}: saknar id och används inte',
+      reservedRingId: '{where}: id "manad" är reserverat för månadsbandet och används inte',
+      duplicateRingId: '{where}: id "{id}" används redan av en annan ring',
+      duplicateSegmentId: '{where}: id "{id}" används redan av en annan kategori',
+      invalidColor: '{key}: ogiltig färg "{value}"',
+      unknownShape: '{key}: okänd form "{value}"',
+      invalidMatch: 'segmentMatch: "{value}" är varken "any" eller "all", "any" används',
+      invalidClosureDate: '{where}: ogiltigt datum "{date}" (förväntat ÅÅÅÅ-MM-DD) och används inte',
+      invalidClosureEnd: '{where}: slutdatum "{endDate}" är ogiltigt eller ligger före {date} och används inte'
+    },
+    export: {
+      failed: 'Det gick inte att ladda ner {file}',
+      imageFailed: 'SVG:n kunde inte ritas som bild.',
+      canvasFailed: 'Bilden kunde inte skapas, den kan vara för stor för webbläsaren. Prova Ladda ner som SVG i stället.'
+    },
+    importer: {
+      sheetJsFailed: 'Excel-stödet kunde inte laddas. Spara fliken som CSV och importera den i stället.',
+      missingColumns: 'Kolumner saknas: {columns}. Kontrollera att fliken {sheet} används.',
+      unsupportedFile: '{file} är varken en Excel-fil (.xlsx) eller CSV-fil (.csv).',
+      missingSheet: 'Fliken {sheet} saknas i {file}.',
+      emptyRow: 'Raden är tom',
+      missingDate: 'Cykeldatum saknas',
+      invalidDate: 'Cykeldatum "{value}" kunde inte tolkas (förväntat ÅÅÅÅ-MM-DD)',
+      invalidEndDate: 'Slutdatum "{value}" kunde inte tolkas (förväntat ÅÅÅÅ-MM-DD)',
+      unknownRing: 'Okänd styrningsfas "{value}"',
+      unknownRelatedRing: 'Okänd relaterad styrningsfas "{value}"',
+      unknownType: 'Okänd typ "{value}"',
+      notYesNo: '{column} "{value}" är varken Ja eller Nej och räknas som Nej',
+      failed: 'Import av {file} misslyckades',
+      summary: { one: 'Importerat {count} händelse från {file}', other: 'Importerat {count} händelser från {file}' },
+      rowsToCheck: { one: '{summary}: {count} rad att kontrollera', other: '{summary}: {count} rader att kontrollera' },
+      note: 'Hjulet visar den importerade filen tills sidan laddas om. Spara med Ladda ner events.json under Redigera, eller kör update_events.py.',
+      imported: '{file} har importerats.',
+      dropHint: 'Släpp Excel- eller CSV-filen för att visa den i hjulet'
+    },
+    compare: {
+      status: {
+        added: 'Ny',
+        removed: 'Borttagen',
+        moved: 'Flyttad',
+        changed: 'Ändrad'
+      },
+      counts: {
+        added: { one: '{count} ny', other: '{count} nya' },
+        removed: { one: '{count} borttagen', other: '{count} borttagna' },
+        moved: { one: '{count} flyttad', other: '{count} flyttade' },
+        changed: { one: '{count} ändrad', other: '{count} ändrade' }
+      },
+      failed: 'Jämförelse med {source} misslyckades',
+      summary: 'Jämfört med {source}: {parts}',
+      noChanges: 'Jämfört med {source}: inga ändringar',
+      note: 'I hjulet markeras nya (+), flyttade (→) och ändrade (✎) händelser. Borttagna och flyttade händelser visas streckade på sin tidigare plats.',
+      close: 'Avsluta jämförelse',
+      previously: 'Tidigare {date}',
+      relatedRing: 'relaterad styrningsfas',
+      changedFields: 'ändrat: {fields}',
+      missingEvents: '{source} saknar en lista med händelser (events).'
+    },
+    editor: {
+      title: 'Redigera händelser',
+      note: 'Ändringarna visas direkt i hjulet men sparas inte på servern. Ladda ner events.json och ersätt filen i web-data för att publicera dem.',
+      events: 'Händelser',
+      addEvent: 'Ny händelse',
+      deleteEvent: 'Ta bort händelse',
+      fields: {
+        date: 'Cykeldatum',
+        endDate: 'Slutdatum (valfritt)',
+        recurrence_rule: 'Upprepning (valfritt)',
+        recurrence_until: 'Upprepa till (valfritt)',
+        recurrence_except: 'Undantag (valfritt)',
+        ring: 'Styrningsfas',
+        ring_2: 'Relaterad styrningsfas',
+        type: 'Typ',
+        label: 'Styrningsunderlag förkortning',
+        description: 'Styrningsunderlag',
+        label_en: 'Styrningsunderlag förkortning (engelska, valfritt)',
+        description_en: 'Styrningsunderlag (engelska, valfritt)',
+        responsible: 'Ansvarig',
+        visible: 'Synlig i hjulet'
+      },
+      recurrencePlaceholder: 't.ex. Varje månad eller Var 2:a vecka',
+      exceptPlaceholder: 'ÅÅÅÅ-MM-DD, ÅÅÅÅ-MM-DD',
+      seriesNote: 'Händelsen upprepas och visas som ett tillfälle per datum i hjulet. Tillfällena kan inte dras; ändra Cykeldatum eller upprepningen för att flytta hela serien.',
+      recurrenceInvalid: 'Händelsen visas inte förrän upprepningen är rättad: {errors}',
+      movesTitle: 'Flyttade händelser',
+      movesNote: 'Dra en markör längs ringen för att byta datum, eller inåt och utåt för att byta ring. Datumet hamnar alltid på en vardag.',
+      revertAll: 'Ångra alla flyttar',
+      downloadMoves: 'Ladda ner ändringslista',
+      movesDownloaded: 'Ändringslistan har laddats ner.',
+      movesHeader: ['id', 'Styrningsunderlag förkortning', 'Från datum', 'Till datum', 'Från slutdatum', 'Till slutdatum', 'Från styrningsfas', 'Till styrningsfas'],
+      revert: 'Ångra',
+      revertLabel: 'Ångra flytt av {label}',
+      moved: '{label} flyttad till {date}.',
+      reverted: { one: 'Flytten har ångrats.', other: 'Flyttarna har ångrats.' },
+      typesTitle: 'Typer',
+      typeColumn: 'Typ',
+      colorColumn: 'Färg',
+      shapeColumn: 'Form',
+      newType: 'Ny typ (id)',
+      newTypePlaceholder: 't.ex. remiss',
+      addType: 'Lägg till typ',
+      deleteType: 'Ta bort',
+      colorFor: 'Färg för {type}',
+      shapeFor: 'Form för {type}',
+      deleteTypeLabel: 'Ta bort typen {type}',
+      typeInUse: { one: 'Används av {count} händelse', other: 'Används av {count} händelser' },
+      shapes: {
+        circle: 'Cirkel',
+        diamond: 'Romb',
+        triangle: 'Triangel',
+        pentagon: 'Femhörning',
+        eye: 'Öga'
+      },
+      downloadJson: 'Ladda ner events.json',
+      jsonDownloaded: 'events.json har laddats ner.',
+      unnamed: '(utan namn)',
+      hidden: '(dold)',
+      newEventLabel: 'Ny händelse',
+      added: '{id} har lagts till.',
+      confirmDelete: 'Ta bort "{label}"?',
+      deleted: '{id} har tagits bort.',
+      invalidTypeId: 'Typens id får bara innehålla a–z, siffror och understreck, t.ex. remiss_svar.',
+      typeExists: 'Typen {type} finns redan.',
+      typeAdded: 'Typen {type} har lagts till.',
+      typeDeleted: 'Typen {type} har tagits bort.'
+    }
+  },
+  en: {
+    page: {
+      title: 'Annual cycle {year}',
+      heading: 'Annual cycle for {year} – Dalarna University',
+      calendarName: 'Annual cycle {year}',
+      headerAlt: 'Dalarna University annual cycle – from planning to analysis',
+      intro: 'This page shows an interactive annual wheel of Dalarna University\'s planning and follow-up cycle with the key events of the year. The wheel is divided into months, weeks and colour-coded rings representing different planning horizons.',
+      keyboardHeading: 'Keyboard navigation',
+      keyboard: 'Use Tab to reach months, rings, periods and events in the wheel. The arrow keys move between events in date order. Enter or Space selects a month, ring or period and opens information about an event. Escape closes the information. In the search results, the up and down arrows move between matches.',
+      markersHeading: 'Event markers',
+      markersIntro: 'Events in the wheel are shown as colour-coded symbols:',
+      markerBeslut: 'Blue circle – Decision',
+      markerInlamning: 'Pink diamond – Submission',
+      markerOmvarldsanalys: 'Orange eye – External analysis',
+      markerDialogGemensam: 'Green triangle – Joint performance dialogue',
+      markerDialogEnskild: 'Yellow pentagon – Individual performance dialogue',
+      wheelLabel: 'Interactive annual wheel showing the planning cycle with events, weeks and periods',
+      searchLabel: 'Search events',
+      filterLabel: 'Filter by responsibility and type',
+      tableLabel: 'Events as a table',
+      validationLabel: 'Data check',
+      importLabel: 'Excel or CSV import',
+      compareLabel: 'Comparison with an earlier version',
+      editorLabel: 'Edit events',
+      exportLabel: 'Image export'
+    },
+    controls: {
+      year: 'Year',
+      yearLabel: 'Choose year to show',
+      showTable: 'Show as table',
+      showWheel: 'Show as wheel',
+      showDeadlines: 'Upcoming deadlines',
+      hideDeadlines: 'Hide deadlines',
+      reset: 'Reset',
+      resetLabel: 'Reset filters',
+      exportIcs: 'Export to calendar',
+      exportIcsLabel: 'Export filtered events as a calendar file (.ics)',
+      downloadPng: 'Download as image',
+      downloadPngLabel: 'Download the visualisation as a PNG image',
+      downloadSvg: 'Download as SVG',
+      downloadSvgLabel: 'Download the visualisation as an SVG file for editing',
+      pdfSizeLabel: 'Choose PDF page size',
+      print: 'Print / PDF',
+      printLabel: 'Print the wheel and ring legend or save as PDF',
+      theme: 'Theme',
+      themeLabel: 'Choose colour theme',
+      language: 'Language',
+      languageLabel: 'Choose language',
+      edit: 'Edit',
+      closeEditor: 'Close editor',
+      import: 'Import Excel/CSV',
+      importLabel: 'Import an Excel or CSV file and show it in the wheel',
+      compare: 'Compare with earlier version',
+      compareLabel: 'Compare with an earlier version of events.json'
+    },
+    themes: {
+      system: 'Same as system',
+      light: 'Light',
+      dark: 'Dark',
+      'high-contrast': 'High contrast'
+    },
+    footer: {
+      description: 'The annual cycle above is shown as colour-coded rings. The boxes to the right explain the scope of each ring.'
+    },
+    months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    fullMonths: [
+      'January', 'February', 'March', 'April', 'May', 'June',
+      'July', 'August', 'September', 'October', 'November', 'December'
+    ],
+    periods: ['Period 3', 'Period 4', 'Summer', 'Period 1', 'Period 2'],
+    period: 'Period {number}',
+    types: {
+      beslut: 'Decision',
+      inlamning: 'Submission',
+      dialog_gemensam: 'Joint dialogue',
+      dialog_enskild: 'Individual dialogue',
+      omvarldsanalys: 'External analysis'
+    },
+    segments: {
+      matchAny: 'OR',
+      matchAll: 'AND',
+      matchAllLabel: 'Only show events that have all selected categories'
+    },
+    wheel: {
+      week: 'Week {week}',
+      monthRing: 'Month',
+      weekRange: 'Weeks {start}–{end}',
+      today: 'Today, {date}',
+      ringMonth: '{ring} - {month}'
+    },
+    info: {
+      weekDay: 'Week {week} • {weekday}',
+      weekRangeDays: 'Weeks {start}–{end} • {days} days',
+      ended: 'Ended',
+      passed: 'Passed',
+      closesToday: 'Closes today',
+      today: 'Today',
+      ongoing: { one: 'Ongoing • {count} working day left', other: 'Ongoing • {count} working days left' },
+      workdaysLeft: { one: '{count} working day left', other: '{count} working days left' },
+      description: 'Governing document',
+      responsible: 'Responsible',
+      noResponsible: 'No one responsible given',
+      previousView: 'Previous view',
+      nextView: 'Next view',
+      clusterPosition: 'Event {index} of {count}',
+      previousInCluster: 'Previous event at the same place',
+      nextInCluster: 'Next event at the same place',
+      occurrence: '{rule} · {index} of {count}',
+      recurrenceTitle: 'Recurring event. The whole series is changed on one row in the Excel file.'
+    },
+    recurrence: {
+      weekly: 'Every week',
+      monthly: 'Every month',
+      quarterly: 'Every quarter',
+      yearly: 'Every year',
+      everyNthWeek: 'Every {interval} weeks',
+      everyNthMonth: 'Every {interval} months',
+      notObject: 'The recurrence rule must be an object with freq, interval, until and except',
+      unknownFreq: 'Unknown recurrence "{freq}" (expected weekly or monthly)',
+      invalidInterval: 'The recurrence interval "{interval}" must be a whole number from 1',
+      invalidUntil: 'Invalid recurrence end "{until}" (expected YYYY-MM-DD)',
+      untilBeforeStart: 'The recurrence ends {until}, before the first date {date}',
+      exceptNotList: 'Recurrence exceptions must be a list of dates',
+      invalidExcept: 'Invalid exception date "{date}" (expected YYYY-MM-DD)'
+    },
+    deadlines: {
+      title: 'Upcoming deadlines',
+      close: 'Close',
+      status: 'The next {shown} of {total} upcoming events',
+      empty: 'No upcoming events with the current filters',
+      thisWeek: 'This week',
+      nextTwoWeeks: 'Next two weeks',
+      restOfPeriod: 'Rest of {period}',
+      later: 'Later'
+    },
+    holidays: {
+      newYearsDay: 'New Year\'s Day',
+      epiphany: 'Epiphany',
+      goodFriday: 'Good Friday',
+      easterSunday: 'Easter Sunday',
+      easterMonday: 'Easter Monday',
+      mayDay: 'May Day',
+      ascensionDay: 'Ascension Day',
+      whitsunday: 'Whitsunday',
+      nationalDay: 'National Day of Sweden',
+      midsummerEve: 'Midsummer Eve',
+      midsummerDay: 'Midsummer Day',
+      allSaintsDay: 'All Saints\' Day',
+      christmasEve: 'Christmas Eve',
+      christmasDay: 'Christmas Day',
+      boxingDay: 'Boxing Day',
+      newYearsEve: 'New Year\'s Eve',
+      closure: 'Closed'
+    },
+    search: {
+      label: 'Search events',
+      placeholder: 'E.g. budget',
+      hits: { one: '{count} match', other: '{count} matches' }
+    },
+    filter: {
+      unit: 'Responsible',
+      type: 'Type',
+      clear: 'Clear filters',
+      summary: 'Filter by responsibility and type',
+      summarySelected: { one: 'Filter by responsibility and type ({count} selected)', other: 'Filter by responsibility and type ({count} selected)' }
+    },
+    calendar: {
+      responsible: 'Responsible'
+    },
+    table: {
+      date: 'Date',
+      week: 'Week',
+      ring: 'Ring',
+      type: 'Type',
+      label: 'Governing document',
+      description: 'Description',
+      responsible: 'Responsible',
+      filterLabel: 'Filter the table',
+      caption: 'Events in the annual cycle',
+      status: 'Showing {shown} of {total} events'
+    },
+    report: {
+      error: 'Error',
+      warning: 'Warning',
+      row: 'Row {row}'
+    },
+    load: {
+      title: 'Could not load data',
+      checkFile: 'Check that the file {path} exists and is correctly formatted.',
+      showYear: 'Show {year} instead',
+      httpError: 'HTTP error! status: {status}'
+    },
+    validation: {
+      title: 'Data check',
+      summary: 'Data check: {parts} in {path}',
+      errors: { one: '{count} error', other: '{count} errors' },
+      warnings: { one: '{count} warning', other: '{count} warnings' },
+      and: 'and',
+      note: 'Events with errors are not shown in the wheel. Correct them in the Excel file and run update_events.py again.',
+      missingId: 'Missing id',
+      invalidDate: 'Invalid date "{date}" (expected YYYY-MM-DD)',
+      invalidEndDate: 'Invalid end date "{date}" (expected YYYY-MM-DD)',
+      endBeforeStart: 'End date {endDate} is before date {date}',
+      unknownRing: 'Unknown ring "{ring}"',
+      unknownRing2: 'Unknown ring_2 "{ring}"',
+      missingType: 'The type "{type}" is missing from typeStyle',
+      missingLabel: 'Missing governing document (label)',
+      duplicateEventId: 'Id "{id}" is already used by another event',
+      dividersNotList: 'periodDividerWeeks must be a list of week numbers',
+      invalidDivider: 'periodDividerWeeks: "{week}" is not a week number 1–53 and is not used',
+      duplicateDivider: 'periodDividerWeeks contains the same week more than once',
+      unsortedDividers: 'periodDividerWeeks is not in ascending order, which affects the colours and names of the periods',
+      missingItemId: '{where}: missing id and not used',
+      reservedRingId: '{where}: id "manad" is reserved for the month band and not used',
+      duplicateRingId: '{where}: id "{id}" is already used by another ring',
+      duplicateSegmentId: '{where}: id "{id}" is already used by another category',
+      invalidColor: '{key}: invalid colour "{value}"',
+      unknownShape: '{key}: unknown shape "{value}"',
+      invalidMatch: 'segmentMatch: "{value}" is neither "any" nor "all", "any" is used',
+      invalidClosureDate: '{where}: invalid date "{date}" (expected YYYY-MM-DD) and not used',
+      invalidClosureEnd: '{where}: end date "{endDate}" is invalid or before {date} and not used'
+    },
+    export: {
+      failed: 'Could not download {file}',
+      imageFailed: 'The SVG could not be drawn as an image.',
+      canvasFailed: 'The image could not be created, it may be too large for the browser. Try Download as SVG instead.'
+    },
+    importer: {
+      sheetJsFailed: 'Excel support could not be loaded. Save the sheet as CSV and import that instead.',
+      missingColumns: 'Missing columns: {columns}. Check that the {sheet} sheet is used.',
+      unsupportedFile: '{file} is neither an Excel file (.xlsx) nor a CSV file (.csv).',
+      missingSheet: 'The {sheet} sheet is missing from {file}.',
+      emptyRow: 'The row is empty',
+      missingDate: 'Cykeldatum is missing',
+      invalidDate: 'Cykeldatum "{value}" could not be read (expected YYYY-MM-DD)',
+      invalidEndDate: 'Slutdatum "{value}" could not be read (expected YYYY-MM-DD)',
+      unknownRing: 'Unknown Styrningsfas "{value}"',
+      unknownRelatedRing: 'Unknown Relaterad styrningsfas "{value}"',
+      unknownType: 'Unknown Typ "{value}"',
+      notYesNo: '{column} "{value}" is neither Ja nor Nej and counts as Nej',
+      failed: 'Import of {file} failed',
+      summary: { one: 'Imported {count} event from {file}', other: 'Imported {count} events from {file}' },
+      rowsToCheck: { one: '{summary}: {count} row to check', other: '{summary}: {count} rows to check' },
+      note: 'The wheel shows the imported file until the page is reloaded. Save it with Download events.json under Edit, or run update_events.py.',
+      imported: '{file} has been imported.',
+      dropHint: 'Drop the Excel or CSV file to show it in the wheel'
+    },
+    compare: {
+      status: {
+        added: 'New',
+        removed: 'Removed',
+        moved: 'Moved',
+        changed: 'Changed'
+      },
+      counts: {
+        added: { one: '{count} new', other: '{count} new' },
+        removed: { one: '{count} removed', other: '{count} removed' },
+        moved: { one: '{count} moved', other: '{count} moved' },
+        changed: { one: '{count} changed', other: '{count} changed' }
+      },
+      failed: 'Comparison with {source} failed',
+      summary: 'Compared with {source}: {parts}',
+      noChanges: 'Compared with {source}: no changes',
+      note: 'New (+), moved (→) and changed (✎) events are marked in the wheel. Removed and moved events are shown dashed at their earlier place.',
+      close: 'End comparison',
+      previously: 'Previously {date}',
+      relatedRing: 'related governance phase',
+      changedFields: 'changed: {fields}',
+      missingEvents: '{source} has no list of events (events).'
+    },
+    editor: {
+      title: 'Edit events',
+      note: 'Changes are shown in the wheel straight away but are not saved on the server. Download events.json and replace the file in web-data to publish them.',
+      events: 'Events',
+      addEvent: 'New event',
+      deleteEvent: 'Delete event',
+      fields: {
+        date: 'Cycle date (Cykeldatum)',
+        endDate: 'End date, optional (Slutdatum)',
+        recurrence_rule: 'Recurrence, optional (Upprepning)',
+        recurrence_until: 'Repeat until, optional (Upprepa till)',
+        recurrence_except: 'Exceptions, optional (Undantag)',
+        ring: 'Governance phase (Styrningsfas)',
+        ring_2: 'Related governance phase (Relaterad styrningsfas)',
+        type: 'Type (Typ)',
+        label: 'Short name (Styrningsunderlag förkortning)',
+        description: 'Governing document (Styrningsunderlag)',
+        label_en: 'Short name in English, optional',
+        description_en: 'Governing document in English, optional',
+        responsible: 'Responsible (Ansvarig)',
+        visible: 'Visible in the wheel'
+      },
+      recurrencePlaceholder: 'as in Excel, e.g. Varje månad or Var 2:a vecka',
+      exceptPlaceholder: 'YYYY-MM-DD, YYYY-MM-DD',
+      seriesNote: 'The event repeats and is shown as one occurrence per date in the wheel. The occurrences cannot be dragged; change the cycle date or the recurrence to move the whole series.',
+      recurrenceInvalid: 'The event is not shown until the recurrence is corrected: {errors}',
+      movesTitle: 'Moved events',
+      movesNote: 'Drag a marker along the ring to change the date, or inwards and outwards to change the ring. The date always lands on a weekday.',
+      revertAll: 'Undo all moves',
+      downloadMoves: 'Download list of changes',
+      movesDownloaded: 'The list of changes has been downloaded.',
+      movesHeader: ['id', 'Short name', 'From date', 'To date', 'From end date', 'To end date', 'From governance phase', 'To governance phase'],
+      revert: 'Undo',
+      revertLabel: 'Undo move of {label}',
+      moved: '{label} moved to {date}.',
+      reverted: { one: 'The move has been undone.', other: 'The moves have been undone.' },
+      typesTitle: 'Types',
+      typeColumn: 'Type',
+      colorColumn: 'Colour',
+      shapeColumn: 'Shape',
+      newType: 'New type (id)',
+      newTypePlaceholder: 'e.g. remiss',
+      addType: 'Add type',
+      deleteType: 'Delete',
+      colorFor: 'Colour for {type}',
+      shapeFor: 'Shape for {type}',
+      deleteTypeLabel: 'Delete the type {type}',
+      typeInUse: { one: 'Used by {count} event', other: 'Used by {count} events' },
+      shapes: {
+        circle: 'Circle',
+        diamond: 'Diamond',
+        triangle: 'Triangle',
+        pentagon: 'Pentagon',
+        eye: 'Eye'
+      },
+      downloadJson: 'Download events.json',
+      jsonDownloaded: 'events.json has been downloaded.',
+      unnamed: '(no name)',
+      hidden: '(hidden)',
+      newEventLabel: 'New event',
+      added: '{id} has been added.',
+      confirmDelete: 'Delete "{label}"?',
+      deleted: '{id} has been deleted.',
+      invalidTypeId: 'The type id may only contain a–z, digits and underscores, e.g. remiss_svar.',
+      typeExists: 'The type {type} already exists.',
+      typeAdded: 'The type {type} has been added.',
+      typeDeleted: 'The type {type} has been deleted.'
+    }
+  }
+};
+
+/**
+ * Hämtar det sparade språkvalet
+ * @returns {string|null} Ett av LOCALES, null om inget är sparat
+ */
+function getStoredLocale() {
+  const stored = readStorage(STORAGE_KEY);
+  return LOCALES.includes(stored) ? stored : null;
+}
+
+/**
+ * Väljer språk: ?lang= i adressen, sedan sparat val, annars svenska
+ * @returns {string} Ett av LOCALES
+ */
+function detectLocale() {
+  const param = new URLSearchParams(window.location.search).get('lang');
+  if (LOCALES.includes(param)) return param;
+  return getStoredLocale() ?? DEFAULT_LOCALE;
+}
+
+const locale = detectLocale();
+
+/**
+ * Hämtar valt språk
+ * @returns {string} Ett av LOCALES
+ */
+export function getLocale() {
+  return locale;
+}
+
+/**
+ * Hämtar språkkod för datumformat och sortering
+ * @returns {string} T.ex. "sv-SE"
+ */
+export function getDateLocale() {
+  return DATE_LOCALES[locale];
+}
+
+/**
+ * Slår upp en nyckel med punktnotation i en katalog
+ * @param {Object} catalog - Meddelandekatalog
+ * @param {string} key - T.ex. "info.today"
+ * @returns {*} Meddelandet eller undefined
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * Översätter en text till valt språk
+ * Saknas texten på valt språk används den svenska, saknas även den returneras nyckeln.
+ * @param {string} key - Nyckel med punktnotation, t.ex. "table.status"
+ * @param {Object} [params] - Värden för {namn} i texten
+ * @returns {*} Texten, eller listan/objektet om nyckeln pekar på en sådan
+ */
+export function t(key, params = {}) {
+  let message = lookup(MESSAGES[locale], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key);
+  if (message === undefined) return key;
+
+  if (message && typeof message === 'object' && 'other' in message) {
+    message = params.count === 1 ? message.one : message.other;
+  }
+  if (typeof message !== 'string') return message;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+}
+
+/**
+ * Hämtar ett fält på valt språk, t.ex. label_en för label
+ * Tomt eller saknat översatt fält ger det svenska värdet.
+ * @param {Object} obj - Händelse eller konfiguration
+ * @param {string} field - Fältnamn på svenska
+ * @returns {*}
+ */
+export function localizeField(obj, field) {
+  if (locale !== DEFAULT_LOCALE) {
+    const translated = obj?.[`${field}_${locale}`];
+    if (typeof translated === 'string' && translated.trim()) return translated;
+  }
+  return obj?.[field];
+}
+
+/**
+ * Översätter sidans fasta texter
+ * data-i18n anger nyckeln för elementets text, data-i18n-aria-label och data-i18n-alt
+ * nycklarna för respektive attribut. Den svenska texten står kvar i index.html.
+ * @param {ParentNode} [root] - Del av sidan som ska översättas
+ */
+export function translatePage(root = document) {
+  document.documentElement.lang = locale;
+  if (locale === DEFAULT_LOCALE) return;
+
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+    el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+  });
+  root.querySelectorAll('[data-i18n-alt]').forEach(el => {
+    el.setAttribute('alt', t(el.dataset.i18nAlt));
+  });
+}
+
+/**
+ * Fyller språkväljaren och laddar om sidan med ?lang= vid byte
+ * @param {HTMLSelectElement|null} select - Väljare för språk
+ */
+export function setupLocaleSelect(select) {
+  if (!select) return;
+
+  select.innerHTML = '';
+  LOCALES.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = LOCALE_NAMES[code];
+    option.selected = code === locale;
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', function () {
+    // Utan lagring gäller valet bara via adressen
+    writeStorage(STORAGE_KEY, select.value);
+    const params = new URLSearchParams(window.location.search);
+    params.set('lang', select.value);
+    window.location.search = params.toString();
+  });
+}
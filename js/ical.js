@@ -0,0 +1,169 @@
+/**
+ * iCalendar-export (RFC 5545) för visualiseringen av verksamhetscykeln
+ * Händelser exporteras som heldagshändelser som kan importeras i t.ex. Outlook.
+ * Händelser med endDate sträcker sig till och med slutdatumet.
+ */
+
+import { getTypeDisplayName } from './config.js';
+import { toSingleLine } from './utils.js';
+import { t } from './i18n.js';
+
+const PRODID = '-//Högskolan Dalarna//Verksamhetscykel//SV';
+const UID_DOMAIN = 'verksamhetscykel.du.se';
+
+/**
+ * Skyddar specialtecken i textvärden (RFC 5545, 3.3.11)
+ * @param {string} text - Text att skydda
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Viker rader längre än 75 oktetter (RFC 5545, 3.1) utan att dela flerbytetecken
+ * @param {string} line - Innehållsrad
+ * @returns {string} Vikt rad med CRLF + mellanslag som fortsättning
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // Fortsättningsrader inleds med ett mellanslag som räknas in i gränsen
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formaterar ett datum (YYYY-MM-DD) som iCalendar-datum
+ * @param {string} dateStr - Datumsträng
+ * @param {number} [addDays=0] - Antal dagar att lägga till
+ * @returns {string} Datum som YYYYMMDD
+ */
+function formatDate(dateStr, addDays = 0) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + addDays));
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Formaterar en tidpunkt som UTC-tid enligt iCalendar
+ * @param {Date} date - Tidpunkt
+ * @returns {string} T.ex. 20260315T101500Z
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Skapar ett stabilt UID från händelsens id
+ * Id:n från update_events.py är unika per år, så året ingår i UID:t.
+ * Händelser från grannår har redan årssuffix (ev_3@2027).
+ * @param {Object} ev - Händelse
+ * @param {number} defaultYear - År för händelser utan årssuffix
+ * @returns {string} UID
+ */
+export function getEventUid(ev, defaultYear) {
+  const [baseId, year = defaultYear] = String(ev.id).split('@');
+  return `${baseId}-${year}@${UID_DOMAIN}`;
+}
+
+/**
+ * Hämtar kategorier för en händelse (typ, ring och segment)
+ * @param {Object} ev - Händelse
+ * @param {Object} sources - Ringar och segmentfiltrets kategorier
+ * @param {Array} sources.rings - Normaliserade ringar (config.rings)
+ * @param {Array} sources.segments - Segmentfiltrets kategorier (config.segments)
+ * @returns {string[]}
+ */
+function getCategories(ev, { rings, segments }) {
+  const categories = [];
+
+  if (ev.type) categories.push(getTypeDisplayName(ev.type));
+
+  const ring = rings.find(r => r.id === ev.ring);
+  if (ring) categories.push(toSingleLine(ring.label));
+
+  segments.forEach(segment => {
+    if (ev[segment.id] === true) categories.push(segment.label);
+  });
+
+  return categories;
+}
+
+/**
+ * Bygger en VEVENT för en händelse
+ * @param {Object} ev - Händelse
+ * @param {number} defaultYear - År för händelser utan årssuffix
+ * @param {string} dtstamp - Tidsstämpel för exporten
+ * @param {Object} sources - Ringar och kategorier för CATEGORIES (se getCategories)
+ * @returns {string[]} Innehållsrader
+ */
+function buildEvent(ev, defaultYear, dtstamp, sources) {
+  const summary = toSingleLine(ev.label) || toSingleLine(ev.description);
+  const bodyParts = [];
+  if (ev.description) bodyParts.push(ev.description);
+  if (ev.responsible) bodyParts.push(`${t('calendar.responsible')}:\n${ev.responsible}`);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(ev, defaultYear)}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(ev.date)}`,
+    `DTEND;VALUE=DATE:${formatDate(ev.endDate || ev.date, 1)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (bodyParts.length) lines.push(`DESCRIPTION:${escapeText(bodyParts.join('\n\n'))}`);
+
+  const categories = getCategories(ev, sources);
+  if (categories.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * Bygger en iCalendar-fil av händelser
+ * @param {Array} events - Händelser att exportera
+ * @param {Object} options - Inställningar
+ * @param {number} options.year - År för händelser utan årssuffix i id
+ * @param {string} [options.calendarName] - Kalenderns namn
+ * @param {Array} [options.rings] - Normaliserade ringar (config.rings) för kategorierna
+ * @param {Array} [options.segments] - Segmentfiltrets kategorier (config.segments)
+ * @returns {string} Filinnehåll med CRLF-radslut
+ */
+export function buildICalendar(events, { year, calendarName = 'Verksamhetscykel', rings = [], segments = [] }) {
+  const dtstamp = formatTimestamp(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events.flatMap(ev => buildEvent(ev, year, dtstamp, { rings, segments })),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,385 @@
+/**
+ * Import av Excel-filen (events_master.xlsx) eller en CSV-export i webbläsaren
+ * Motsvarar update_events.py: samma kolumnnamn, ring- och typmappning, Ja/Nej,
+ * placering och id. Rader som inte går att tolka listas i en rapport på sidan.
+ *
+ * CSV läses med D3. Excel-stöd (SheetJS) laddas från js/vendor först när en Excel-fil importeras.
+ */
+
+import { TYPE_DISPLAY_NAMES, DEFAULT_RINGS, DEFAULT_SEGMENTS, MONTH_RING, getEventFieldOrder } from './config.js';
+import { formatLocalDate, parseLocalDate, toSingleLine } from './utils.js';
+import { t } from './i18n.js';
+import { formatOrdinal } from './recurrence.js';
+
+// SheetJS ligger i repot i en mapp per version; integrity ska bytas tillsammans med filen
+const SHEETJS_URL = new URL('./vendor/xlsx-0.20.3/xlsx.full.min.js', import.meta.url).href;
+const SHEETJS_INTEGRITY = 'sha384-EnyY0/GSHQGSxSgMwaIPzSESbqoOLSexfnSMN2AP+39Ckmn92stwABZynq1JyzdT';
+
+// Fliken som update_events.py läser
+const SHEET_NAME = 'Verksamhetscykel';
+
+// Svenska kolumnnamn till interna fält (rename_mapping i update_events.py);
+// segmentfiltrets kolumner läggs till från config.segments
+const COLUMN_MAPPING = {
+  'Cykeldatum': 'date',
+  'Slutdatum': 'endDate',
+  'Styrningsfas': 'ring',
+  'Relaterad styrningsfas': 'ring_2',
+  'Typ': 'type',
+  'Styrningsunderlag förkortning': 'label',
+  'Styrningsunderlag': 'description',
+  'Styrningsunderlag förkortning (engelska)': 'label_en',
+  'Styrningsunderlag (engelska)': 'description_en',
+  'Ansvarig': 'responsible',
+  'Synlig': 'visible',
+  'Upprepning': 'recurrence_rule',
+  'Upprepa till': 'recurrence_until',
+  'Undantag': 'recurrence_except'
+};
+
+// Kolumner som update_events.py inte klarar sig utan
+const REQUIRED_COLUMNS = ['Cykeldatum', 'Styrningsfas', 'Relaterad styrningsfas', 'Typ', 'Styrningsunderlag förkortning', 'Styrningsunderlag', 'Ansvarig'];
+
+/**
+ * Styrningsfaser i Excel → ring-id, byggt från ringarnas namn som i update_events.py
+ * @param {Array} rings - Ringar med id och name
+ * @returns {Object}
+ */
+function getRingMapping(rings) {
+  return { ...Object.fromEntries(rings.map(ring => [ring.name, ring.id])), 'Månad': MONTH_RING };
+}
+
+// TYPE_MAPPING i update_events.py (visningsnamnen i config.js är samma texter)
+const TYPE_MAPPING = Object.fromEntries(Object.entries(TYPE_DISPLAY_NAMES).map(([id, name]) => [name, id]));
+
+// RECURRENCE_MAPPING i update_events.py
+const RECURRENCE_MAPPING = {
+  'varje vecka': ['weekly', 1],
+  'veckovis': ['weekly', 1],
+  'varje månad': ['monthly', 1],
+  'månadsvis': ['monthly', 1],
+  'varje kvartal': ['monthly', 3],
+  'kvartalsvis': ['monthly', 3],
+  'varje år': ['monthly', 12]
+};
+
+// T.ex. "Var 2:a vecka" eller "Var 6:e månad"
+const RECURRENCE_EVERY_NTH = /^var\s+(\d+)(?::?[ae])?\s+(vecka|veckor|månad|månader)$/;
+
+let sheetJsPromise = null;
+
+/**
+ * Hämtar SheetJS (global XLSX) en gång
+ * @returns {Promise<Object>} XLSX
+ */
+function loadSheetJs() {
+  if (window.XLSX) return Promise.resolve(window.XLSX);
+  if (!sheetJsPromise) {
+    sheetJsPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = SHEETJS_URL;
+      script.integrity = SHEETJS_INTEGRITY;
+      script.crossOrigin = 'anonymous';
+      script.onload = () => resolve(window.XLSX);
+      script.onerror = () => {
+        sheetJsPromise = null;
+        reject(new Error(t('importer.sheetJsFailed')));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return sheetJsPromise;
+}
+
+/**
+ * Kontrollerar om en cell är tom (som pd.isnull eller tom text)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && !value.trim());
+}
+
+/**
+ * Tolkar ett datum från Excel eller CSV som YYYY-MM-DD
+ * Excel lagrar datum som dagnummer; text tolkas som år-månad-dag (även med / eller .).
+ * @param {*} value - Cellvärde
+ * @param {boolean} [date1904=false] - Arbetsboken använder 1904-datumsystemet
+ * @returns {string|null} Datum, eller null om värdet inte går att tolka
+ */
+function toDateString(value, date1904 = false) {
+  if (value instanceof Date) return formatLocalDate(value);
+  if (typeof value === 'number') {
+    return formatLocalDate(new Date(date1904 ? 1904 : 1899, date1904 ? 0 : 11, (date1904 ? 1 : 30) + Math.floor(value)));
+  }
+
+  const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T][\d:.]*)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const dateStr = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  return parseLocalDate(dateStr) ? dateStr : null;
+}
+
+/**
+ * Bygger upprepningsregeln från kolumnerna Upprepning, Upprepa till och Undantag
+ * Okända upprepningar skickas vidare oförändrade så att datakontrollen visar dem.
+ * @param {Object} row - Rad med interna fältnamn (recurrence_rule, recurrence_until, recurrence_except)
+ * @param {Function} [toDate=toDateString] - Datumtolkning för arbetsboken
+ * @returns {Object|null} Regel eller null
+ */
+export function buildRecurrence(row, toDate = toDateString) {
+  const text = row.recurrence_rule;
+  if (isEmpty(text)) return null;
+
+  const key = String(text).trim().toLowerCase().split(/\s+/).join(' ');
+  let rule;
+  if (RECURRENCE_MAPPING[key]) {
+    const [freq, interval] = RECURRENCE_MAPPING[key];
+    rule = { freq, interval };
+  } else {
+    const match = RECURRENCE_EVERY_NTH.exec(key);
+    rule = match
+      ? { freq: match[2].startsWith('veck') ? 'weekly' : 'monthly', interval: Number(match[1]) }
+      : { freq: String(text).trim() };
+  }
+
+  if (!isEmpty(row.recurrence_until)) {
+    rule.until = toDate(row.recurrence_until) ?? String(row.recurrence_until).trim();
+  }
+
+  // Undantag: en datumcell eller text med datum separerade av komma, semikolon eller radbrytning
+  if (!isEmpty(row.recurrence_except)) {
+    const parts = typeof row.recurrence_except === 'string'
+      ? row.recurrence_except.split(/[,;\n]+/).filter(part => part.trim())
+      : [row.recurrence_except];
+    rule.except = parts.map(part => toDate(part) ?? String(part).trim());
+  }
+
+  return rule;
+}
+
+/**
+ * Skriver en upprepningsregel som kolumnerna Upprepning, Upprepa till och Undantag
+ * Motsatsen till buildRecurrence, så att redigeringsläget visar samma texter som Excel-filen.
+ * @param {*} rule - Regel från händelsens recurrence
+ * @returns {{recurrence_rule: string, recurrence_until: string, recurrence_except: string}}
+ */
+export function getRecurrenceColumns(rule) {
+  if (!rule) return { recurrence_rule: '', recurrence_until: '', recurrence_except: '' };
+  if (typeof rule !== 'object') return { recurrence_rule: String(rule), recurrence_until: '', recurrence_except: '' };
+
+  const interval = rule.interval ?? 1;
+  const unit = { weekly: 'vecka', monthly: 'månad' }[rule.freq];
+  const named = Object.keys(RECURRENCE_MAPPING)
+    .find(key => RECURRENCE_MAPPING[key][0] === rule.freq && RECURRENCE_MAPPING[key][1] === interval);
+  let text;
+  if (named) {
+    text = named;
+  } else if (unit && Number.isInteger(interval) && interval > 1) {
+    text = `var ${formatOrdinal(interval)} ${unit}`;
+  } else {
+    text = String(rule.freq ?? '');
+  }
+
+  return {
+    recurrence_rule: text.charAt(0).toUpperCase() + text.slice(1),
+    recurrence_until: rule.until ?? '',
+    recurrence_except: Array.isArray(rule.except) ? rule.except.join(', ') : (rule.except ?? '')
+  };
+}
+
+/**
+ * Gör om kalkylbladets rader till händelser som update_events.py
+ * @param {Array<Array>} table - Rader med cellvärden; första raden är kolumnnamn
+ * @param {Object} [options]
+ * @param {boolean} [options.date1904=false] - Arbetsboken använder 1904-datumsystemet
+ * @param {Object} [options.typeStyle={}] - Typer i årets typeStyle räknas som kända även utan mappning
+ * @param {Array} [options.rings=DEFAULT_RINGS] - Årets ringar (config.rings); styrningsfaserna matchas mot deras namn
+ * @param {Array} [options.segments=DEFAULT_SEGMENTS] - Segmentfiltrets kategorier (config.segments) med kolumn och id
+ * @returns {{events: Array, issues: Array<{level: string, row: number, message: string}>}}
+ * @throws {Error} Om obligatoriska kolumner saknas
+ */
+export function mapRows(table, { date1904 = false, typeStyle = {}, rings = DEFAULT_RINGS, segments = DEFAULT_SEGMENTS } = {}) {
+  const headers = (table[0] ?? []).map(header => String(header ?? '').trim());
+  const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+  if (missing.length) {
+    throw new Error(t('importer.missingColumns', { columns: missing.join(', '), sheet: SHEET_NAME }));
+  }
+
+  // Tomma rader i slutet av bladet räknas inte; tomma rader mitt i får id som i update_events.py
+  const rows = table.slice(1);
+  while (rows.length && rows[rows.length - 1].every(isEmpty)) rows.pop();
+
+  const columnMapping = { ...COLUMN_MAPPING, ...Object.fromEntries(segments.map(segment => [segment.column, segment.id])) };
+  const booleanFields = ['visible', ...segments.map(segment => segment.id)];
+  const outputFields = getEventFieldOrder(segments);
+
+  const fields = headers.map(header => columnMapping[header] ?? null);
+  const hasColumn = field => fields.includes(field);
+  const toDate = value => toDateString(value, date1904);
+  const ringMapping = getRingMapping(rings);
+  const issues = [];
+
+  const events = rows.map((cells, i) => {
+    // Excel-radnummer: rubrikraden är rad 1
+    const rowNumber = i + 2;
+    const report = (level, message) => issues.push({ level, row: rowNumber, message });
+    const row = {};
+    fields.forEach((field, col) => {
+      if (field) row[field] = isEmpty(cells[col]) ? null : cells[col];
+    });
+
+    if (cells.every(isEmpty)) report('warning', t('importer.emptyRow'));
+
+    const ev = {};
+
+    ev.date = row.date === null ? null : toDate(row.date);
+    if (row.date === null) {
+      report('error', t('importer.missingDate'));
+    } else if (!ev.date) {
+      report('error', t('importer.invalidDate', { value: row.date }));
+    }
+
+    if (hasColumn('endDate')) {
+      ev.endDate = row.endDate === null ? null : toDate(row.endDate);
+      if (row.endDate !== null && !ev.endDate) report('error', t('importer.invalidEndDate', { value: row.endDate }));
+    }
+
+    if (hasColumn('recurrence_rule')) ev.recurrence = buildRecurrence(row, toDate);
+
+    // Okända värden skickas vidare som de är, som i update_events.py
+    ['ring', 'ring_2'].forEach(field => {
+      const value = row[field];
+      const mapped = value === null ? null : ringMapping[String(value).trim()];
+      ev[field] = mapped ?? value;
+      if (value !== null && !mapped) {
+        report('warning', t(field === 'ring' ? 'importer.unknownRing' : 'importer.unknownRelatedRing', { value }));
+      }
+    });
+    if (ev.ring === null) ev.ring = rings[0]?.id ?? null;
+
+    const mappedType = row.type === null ? 'beslut' : TYPE_MAPPING[String(row.type).trim()];
+    ev.type = mappedType ?? row.type;
+    if (!mappedType && !(row.type in typeStyle)) report('warning', t('importer.unknownType', { value: row.type }));
+
+    ev.label = row.label === null ? '' : String(row.label);
+    ev.description = row.description === null ? '' : String(row.description);
+    ev.responsible = row.responsible === null ? '' : String(row.responsible);
+
+    // Engelska texter är valfria; tomma celler blir null och visas då på svenska
+    ['label_en', 'description_en'].filter(hasColumn).forEach(field => {
+      ev[field] = row[field] === null ? null : String(row[field]);
+    });
+
+    booleanFields.filter(hasColumn).forEach(field => {
+      const value = row[field] === null ? '' : String(row[field]).trim().toLowerCase();
+      ev[field] = value === 'ja';
+      if (value && value !== 'ja' && value !== 'nej') {
+        const column = Object.keys(columnMapping).find(name => columnMapping[name] === field);
+        report('warning', t('importer.notYesNo', { column, value: row[field] }));
+      }
+    });
+
+    ev.placering = ev.ring_2 !== null && String(ev.ring_2).trim() ? 'linje' : 'center';
+    ev.id = `ev_${i}`;
+
+    const out = {};
+    outputFields.filter(field => field in ev).forEach(field => { out[field] = ev[field]; });
+    return out;
+  });
+
+  return { events, issues };
+}
+
+/**
+ * Läser CSV-text till rader
+ * Avgränsaren (semikolon, komma eller tabb) avgörs av rubrikraden.
+ * @param {string} text - Filens innehåll
+ * @returns {Array<Array<string|null>>}
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+  return d3.dsvFormat(delimiter).parseRows(content, row => row.map(cell => cell === '' ? null : cell));
+}
+
+/**
+ * Läser en Excel- eller CSV-fil och gör om den till händelser
+ * @param {File} file - Fil från filväljaren eller dra och släpp
+ * @param {Object} [typeStyle={}] - Årets typstilar (för rapporten över okända typer)
+ * @param {Array} [rings=DEFAULT_RINGS] - Årets ringar (config.rings)
+ * @param {Array} [segments=DEFAULT_SEGMENTS] - Segmentfiltrets kategorier (config.segments)
+ * @returns {Promise<{events: Array, issues: Array}>}
+ * @throws {Error} Om filen inte kan läsas eller kolumner saknas
+ */
+export async function importEventsFile(file, typeStyle = {}, rings = DEFAULT_RINGS, segments = DEFAULT_SEGMENTS) {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    return mapRows(parseCsv(await file.text()), { typeStyle, rings, segments });
+  }
+
+  if (!/\.xls[xm]?$/.test(name)) {
+    throw new Error(t('importer.unsupportedFile', { file: file.name }));
+  }
+
+  const XLSX = await loadSheetJs();
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  const sheet = workbook.Sheets[SHEET_NAME];
+  if (!sheet) {
+    throw new Error(t('importer.missingSheet', { sheet: SHEET_NAME, file: file.name }));
+  }
+
+  const table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null, blankrows: true });
+  return mapRows(table, { date1904: Boolean(workbook.Workbook?.WBProps?.date1904), typeStyle, rings, segments });
+}
+
+/**
+ * Ritar en hopfällbar rapport över importen
+ * @param {HTMLElement} container - Element som rapporten ritas i
+ * @param {string} fileName - Importerad fil
+ * @param {{events: Array, issues: Array}|null} result - Resultat från importEventsFile
+ * @param {Error} [error] - Fel som stoppade importen
+ */
+export function renderImportReport(container, fileName, result, error = null) {
+  container.replaceChildren();
+  container.hidden = false;
+
+  const details = d3.select(container).append("details")
+    .property("open", Boolean(error) || result.issues.some(issue => issue.level === 'error'));
+
+  if (error) {
+    details.append("summary").text(t('importer.failed', { file: fileName }));
+    details.append("p").attr("class", "validation-note").text(error.message);
+    return;
+  }
+
+  const rowCount = new Set(result.issues.map(issue => issue.row)).size;
+  const summary = t('importer.summary', { count: result.events.length, file: fileName });
+  details.append("summary")
+    .text(rowCount ? t('importer.rowsToCheck', { summary, count: rowCount }) : summary);
+
+  details.append("p")
+    .attr("class", "validation-note")
+    .text(t('importer.note'));
+
+  if (!result.issues.length) return;
+
+  const items = details.append("ul")
+    .attr("class", "validation-list")
+    .selectAll("li")
+    .data(result.issues)
+    .join("li")
+    .attr("class", d => `validation-issue is-${d.level}`);
+
+  items.append("strong")
+    .text(d => t(d.level === 'error' ? 'report.error' : 'report.warning'));
+
+  items.append("span")
+    .text(d => {
+      const label = toSingleLine(result.events[d.row - 2]?.label);
+      return ` ${t('report.row', { row: d.row })}${label ? ` · ${label}` : ''}: ${d.message}`;
+    });
+}
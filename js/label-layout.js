@@ -0,0 +1,125 @@
+/**
+ * Kollisionsfri placering av händelseetiketter i vänster- och högerkolumnen
+ *
+ * Varje etikett har en önskad Y-position (markörens naturliga höjd) och en uppmätt höjd.
+ * I en kolumn behålls ordningen efter önskad Y. Överlappande etiketter slås ihop till
+ * kluster som placeras där summan av kvadrerade avvikelser blir minst, inom kolumnens
+ * gränser. Etiketter nära hjulets topp och botten kan flyttas till den andra kolumnen
+ * om det minskar den totala avvikelsen mer än omvägen för kopplingslinjen kostar.
+ */
+
+/**
+ * Placerar etiketter i en kolumn utan överlapp
+ * @param {Array<{idealY: number, top: number, bottom: number}>} items - Etiketter; top/bottom är kanter relativt etikettens Y
+ * @param {{minY: number, maxY: number, gap: number}} bounds - Kolumnens gränser och minsta mellanrum
+ * @returns {{positions: number[], cost: number}} Y per etikett (i indataordning) och summan av kvadrerade avvikelser
+ */
+export function layoutColumn(items, { minY, maxY, gap }) {
+  const order = items
+    .map((item, index) => index)
+    .sort((a, b) => items[a].idealY - items[b].idealY);
+
+  // Kluster: etiketter med fasta inbördes avstånd (offsets) som flyttas tillsammans
+  const clusters = [];
+
+  const place = cluster => {
+    const first = items[cluster.members[0]];
+    const last = items[cluster.members[cluster.members.length - 1]];
+    const lo = minY - cluster.offsets[0] - first.top;
+    const hi = maxY - cluster.offsets[cluster.offsets.length - 1] - last.bottom;
+    const optimal = cluster.sumTarget / cluster.members.length;
+    // Ryms inte klustret centreras det mellan gränserna
+    cluster.y = lo > hi ? (lo + hi) / 2 : Math.min(Math.max(optimal, lo), hi);
+  };
+
+  const topOf = cluster => cluster.y + cluster.offsets[0] + items[cluster.members[0]].top;
+  const bottomOf = cluster => {
+    const lastIdx = cluster.members.length - 1;
+    return cluster.y + cluster.offsets[lastIdx] + items[cluster.members[lastIdx]].bottom;
+  };
+
+  order.forEach(index => {
+    let current = { members: [index], offsets: [0], sumTarget: items[index].idealY, y: 0 };
+    place(current);
+
+    while (clusters.length && bottomOf(clusters[clusters.length - 1]) + gap > topOf(current)) {
+      const previous = clusters.pop();
+      const prevLast = previous.members.length - 1;
+      const shift = previous.offsets[prevLast] + items[previous.members[prevLast]].bottom + gap
+        - items[current.members[0]].top;
+
+      current.members.forEach((member, k) => {
+        const offset = current.offsets[k] + shift;
+        previous.members.push(member);
+        previous.offsets.push(offset);
+        previous.sumTarget += items[member].idealY - offset;
+      });
+
+      current = previous;
+      place(current);
+    }
+
+    clusters.push(current);
+  });
+
+  const positions = new Array(items.length);
+  let cost = 0;
+  clusters.forEach(cluster => {
+    cluster.members.forEach((member, k) => {
+      const y = cluster.y + cluster.offsets[k];
+      positions[member] = y;
+      cost += (y - items[member].idealY) ** 2;
+    });
+  });
+
+  return { positions, cost };
+}
+
+/**
+ * Fördelar etiketter på två kolumner och placerar dem utan överlapp
+ * Sätter isLeft och ly på varje etikett.
+ * @param {Array<{idealY: number, top: number, bottom: number, isLeft: boolean, switchCost: number}>} items - Etiketter
+ * @param {{minY: number, maxY: number, gap: number}} bounds - Kolumnernas gränser och minsta mellanrum
+ * @param {number} maxSwitchCos - Högsta |cos(vinkel)| för etiketter som får byta kolumn
+ * @param {Function} getCos - Returnerar cos(vinkel) för en etikett
+ * @returns {boolean} true om någon kolumn är högre än ritytan (etiketter hamnar utanför)
+ */
+export function layoutLabels(items, bounds, maxSwitchCos, getCos) {
+  const totalCost = () => {
+    const left = items.filter(item => item.isLeft);
+    const right = items.filter(item => !item.isLeft);
+    const switched = items.filter(item => item.isLeft !== getCos(item) < 0);
+    return layoutColumn(left, bounds).cost
+      + layoutColumn(right, bounds).cost
+      + switched.reduce((sum, item) => sum + item.switchCost, 0);
+  };
+
+  // Pröva etiketter närmast lodlinjen först; ett byte behålls bara om det lönar sig
+  const candidates = items
+    .filter(item => Math.abs(getCos(item)) <= maxSwitchCos)
+    .sort((a, b) => Math.abs(getCos(a)) - Math.abs(getCos(b)));
+
+  let bestCost = totalCost();
+  candidates.forEach(item => {
+    item.isLeft = !item.isLeft;
+    const cost = totalCost();
+    if (cost < bestCost) {
+      bestCost = cost;
+    } else {
+      item.isLeft = !item.isLeft;
+    }
+  });
+
+  let overflow = false;
+  [items.filter(item => item.isLeft), items.filter(item => !item.isLeft)].forEach(column => {
+    const { positions } = layoutColumn(column, bounds);
+    column.forEach((item, i) => {
+      item.ly = positions[i];
+    });
+
+    const needed = column.reduce((sum, item) => sum + item.bottom - item.top + bounds.gap, -bounds.gap);
+    if (needed > bounds.maxY - bounds.minY) overflow = true;
+  });
+
+  return overflow;
+}
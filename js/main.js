@@ -3,8 +3,16 @@
  * Orkestrerar alla moduler och initierar hjulet
  */
 
-import { loadData, getLayoutConfig, RING_MAP, RING_NAMES, RING_DISPLAY_NAMES, FULL_MONTHS_LIST, PERIOD_NAMES } from './config.js';
-import { createState, getFilteredEvents, resetSelections, clearHoverCycle, getActiveSets } from './state.js';
+import { loadData, prepareEvents, loadAvailableYears, getRequestedYear, getWheelWindow, getLayoutConfig, FULL_MONTHS_LIST, PERIOD_NAMES } from './config.js';
+import {
+  createState,
+  getFilteredEvents,
+  resetSelections,
+  clearHoverCycle,
+  getActiveSets,
+  getActiveWeeks,
+  isEventInSelection
+} from './state.js';
 import {
   setupSvg,
   createLayers,
@@ -14,7 +22,7 @@ import {
   renderGridCircles,
   renderRadialSeparators
 } from './svg-setup.js';
-import { renderRings, renderWeekRing, renderPeriodRing, renderSegmentButtons } from './rings.js';
+import { renderRings, renderRingLegend, renderWeekRing, renderNonWorkingDays, renderPeriodRing, renderSegmentButtons, updateSegmentButtonsAvailability, updateSegmentButtonsVisuals } from './rings.js';
 import { renderMonths } from './months.js';
 import {
   calculateLabelPositions,
@@ -24,30 +32,73 @@ import {
   createCarousel,
   createHoverCycle
 } from './events.js';
-import { getWeekNumber } from './utils.js';
+import { createTableView } from './table-view.js';
+import { createSearch } from './search.js';
+import { createFilterPanel } from './filter-panel.js';
+import { renderValidationReport } from './validation.js';
+import { serializeState, parseHash, applySelectionsFromHash, applyFiltersFromHash } from './url-state.js';
+import { getIsoWeeksInYear, downloadFile } from './utils.js';
+import { buildICalendar } from './ical.js';
+import { downloadSvg, downloadPng, printPoster, renderExportReport } from './export.js';
+import { createEditor } from './editor.js';
+import { enableMarkerDrag } from './reschedule.js';
+import { importEventsFile, renderImportReport } from './importer.js';
+import { diffEvents, renderComparison, clearComparison, renderCompareReport } from './compare.js';
+import { setupThemeSelect } from './theme.js';
+import { t, translatePage, setupLocaleSelect } from './i18n.js';
+import { isLiveModeRequested, createNowNeedle, updatePassedEvents, startLiveMode } from './now.js';
+import { createDeadlinesPanel } from './deadlines.js';
+import { createWorkdayCalendar } from './holidays.js';
 
 /**
  * Huvudfunktion för initiering
  */
 async function initWheel() {
+  // Språk och tema sätts före ritningen så att sidan inte blinkar till i fel språk eller färger
+  translatePage();
+  setupThemeSelect(document.getElementById('theme-select'));
+  setupLocaleSelect(document.getElementById('locale-select'));
+
   // Läs in data och konfiguration
-  const { config, typeStyle, allVisibleEvents } = await loadData();
+  const requestedYear = getRequestedYear();
+  const { config, typeStyle, allVisibleEvents, validationIssues, dataPath, rawData, adjacent } = await loadData(requestedYear);
   const layout = getLayoutConfig(config);
   const year = config.year;
+  const wheelWindow = getWheelWindow(config);
+  // Arbetsdagar i nedräkningarna räknas utan svenska helgdagar och organisationens stängda dagar
+  const workdayCalendar = createWorkdayCalendar(config.closureDays);
 
-  // Skapa tillstånd
-  const hasVerksamhet = allVisibleEvents.some(ev => ev.verksamhet === true);
-  const hasEkonomi = allVisibleEvents.some(ev => ev.ekonomi === true);
-  const hasKvalitet = allVisibleEvents.some(ev => ev.kvalitet === true);
-  const state = createState({ hasVerksamhet, hasEkonomi, hasKvalitet });
+  const reportContainer = document.getElementById('validation-report');
+  if (reportContainer) renderValidationReport(reportContainer, validationIssues, dataPath);
+
+  // Ett rullande fönster kan omfatta två år, så vecka 53 tas med om något av dem har den
+  const totalWeeks = Math.max(...wheelWindow.years.map(getIsoWeeksInYear));
+
+  const yearLabel = wheelWindow.years.length > 1
+    ? `${wheelWindow.years[0]}/${String(wheelWindow.years[1]).slice(2)}`
+    : String(year);
+  updateYearTexts(yearLabel);
+  setupYearSelect(year, await loadAvailableYears(requestedYear));
 
-  // Hämta filtrerade händelser
+  // Skapa tillstånd
+  // Kategorier i segmentfiltret är aktiva från början om någon händelse har dem
+  const getSegmentsWithData = events => Object.fromEntries(config.segments.map(segment =>
+    [segment.id, events.some(ev => ev[segment.id] === true)]));
+  const segmentFilters = getSegmentsWithData(allVisibleEvents);
+  const state = createState({ segmentFilters, segmentMatch: config.segmentMatch, ringNames: config.rings.map(ring => ring.id) });
+
+  // Hämta filtrerade händelser. Hjulet ritar alla som något segmentfilter kan visa
+  // (ELLER med standardvalen) och döljer sedan de som filtren inte visar.
   let events = getFilteredEvents(state, allVisibleEvents);
+  const getLayoutEvents = () => getFilteredEvents(createState({ segmentFilters }), allVisibleEvents);
+
+  // Liveläge för skärmar i entrén (?live=1)
+  const liveMode = isLiveModeRequested();
 
   // Initiera SVG
   const { svg, main } = setupSvg(layout);
   const layers = createLayers(main);
-  const angleScale = createAngleScale(year);
+  const angleScale = createAngleScale(wheelWindow);
   const arcs = createArcGenerators(layout);
 
   // Spårning av karusellpil-klick
@@ -63,6 +114,7 @@ async function initWheel() {
       return;
     }
     if (state.clickedEvent) {
+      layers.gMarkers.selectAll(".event-group").classed("is-clicked", false);
       carousel.hideCarouselView(updateCenterInfo);
       refreshHighlights();
     }
@@ -70,13 +122,15 @@ async function initWheel() {
 
   // Rita statiska element
   renderGridCircles(layers.gGrid, layout);
-  renderRadialSeparators(layers.gGrid, layout, angleScale, year);
+  renderRadialSeparators(layers.gGrid, layout, angleScale, wheelWindow);
   // Initial center text
   updateCenterText(layers.gCenter, config.centerText, layout);
 
   // Rita ringar
   renderRings(layers.gRingBands, config, layout, angleScale, arcs, state, refreshHighlights);
+  renderRingLegend(document.getElementById('ring-legend'), config.rings);
   renderWeekRing(layers.gWeeks, layers.gLabels, config, layout, angleScale, arcs);
+  if (layout.showHolidays) renderNonWorkingDays(layers.gWeeks, config, layout, angleScale, arcs, workdayCalendar);
   renderPeriodRing(layers.gPeriodRing, config, layout, angleScale, arcs, state, refreshHighlights);
 
   // Rita månader
@@ -89,10 +143,10 @@ async function initWheel() {
 
   // Beräkna händelsepositioner
   const labelR = layout.labelR;
-  const labelData = calculateLabelPositions(events, layout, angleScale, labelR);
+  const labelData = calculateLabelPositions(getLayoutEvents(), layout, angleScale, labelR, layers.gMarkers);
 
   // Skapa centerinfo och karusell
-  const contentGenerators = createCenterInfoGenerators(layout);
+  const contentGenerators = createCenterInfoGenerators(layout, workdayCalendar);
   const startHoverCycle = createHoverCycle(layers.gCenter, layout, state, contentGenerators);
 
   function updateCenterInfo(ev) {
@@ -114,29 +168,153 @@ async function initWheel() {
   }
 
   const carousel = createCarousel(
-    layers.gCenter, layout, state, allVisibleEvents, contentGenerators, setChevronClicked
+    layers.gCenter, layout, state, labelData, contentGenerators, setChevronClicked, syncUrl,
+    {
+      isVisible: (evId) => events.some(e => e.id === evId),
+      select: (evId) => eventControls.activateEvent(evId)
+    }
   );
 
+  // Redigeringsläge med förhandsvisning i hjulet
+  const editorContainer = document.getElementById('event-editor');
+  const editorToggleBtn = document.getElementById('editor-toggle-btn');
+  const editor = editorContainer && editorToggleBtn
+    ? createEditor(editorContainer, rawData, { year, rings: config.rings, segments: config.segments, onChange: rebuildEvents })
+    : null;
+
   // Rita händelser
-  renderEvents(layers, labelData, typeStyle, config, layout, state, {
+  const eventCallbacks = {
     refreshHighlights,
     updateCenterInfo,
-    openCarousel: carousel.openCarousel,
+    openCarousel: (ev) => {
+      carousel.openCarousel(ev);
+      // Med redigeringen öppen väljs händelsen, eller serien den hör till, i formuläret
+      if (editor && !editorContainer.hidden) editor.select(ev.seriesId ?? ev.id);
+      syncUrl();
+    },
     hideCarouselView: () => carousel.hideCarouselView(updateCenterInfo)
-  });
+  };
+  let eventControls = renderEvents(layers, labelData, typeStyle, config, layout, arcs, state, eventCallbacks);
+
+  // Tabellvy som alternativ till hjulet
+  const tableContainer = document.getElementById('table-view');
+  const tableView = tableContainer
+    ? createTableView(tableContainer, state, allVisibleEvents, config, totalWeeks)
+    : null;
+  const viewToggle = setupViewToggle(tableContainer, () => tableView.update());
+
+  // Filterpanel för ansvar och typ
+  const filterContainer = document.getElementById('filter-panel');
+  const filterPanel = filterContainer
+    ? createFilterPanel(filterContainer, state, allVisibleEvents, applyFilter)
+    : null;
+
+  // Fritextsökning med resultatlista
+  const searchContainer = document.getElementById('event-search');
+  const search = searchContainer
+    ? createSearch(searchContainer, state, {
+      getEvents: () => events,
+      onChange: refreshHighlights,
+      onSelect: (evId) => {
+        if (viewToggle) viewToggle.showWheel();
+        eventControls.activateEvent(evId);
+        eventControls.focusEvent(evId);
+      }
+    })
+    : null;
+
+  // Kommande deadlines i alla ringar, efter samma filter som hjulet
+  const deadlinesContainer = document.getElementById('deadlines-panel');
+  const deadlinesToggle = setupDeadlinesToggle(deadlinesContainer);
+  const deadlinesPanel = deadlinesContainer
+    ? createDeadlinesPanel(deadlinesContainer, config, typeStyle, {
+      count: layout.deadlineCount,
+      calendar: workdayCalendar,
+      getEvents: () => events,
+      onSelect: (evId) => {
+        if (viewToggle) viewToggle.showWheel();
+        eventControls.activateEvent(evId);
+        eventControls.focusEvent(evId);
+      },
+      onClose: () => deadlinesToggle?.setOpen(false)
+    })
+    : null;
+
+  // Nu-visaren, de passerade händelserna och nedräkningarna följer klockan medan sidan är öppen
+  const nowNeedle = layout.nowNeedle ? createNowNeedle(layers.gNow, layout, angleScale, wheelWindow) : null;
+
+  function updateNow() {
+    const now = new Date();
+    if (nowNeedle) nowNeedle.update(now);
+    if (layout.mutePassedEvents) updatePassedEvents(layers, labelData, now);
+    if (deadlinesPanel) deadlinesPanel.update();
+  }
+
+  updateNow();
+  setInterval(updateNow, 60 * 1000);
+
+  // Redigeringsläget förhandsvisar ändringar genom att räkna om och rita om händelserna
+  function rebuildEvents(editedData) {
+    const prepared = prepareEvents(editedData, adjacent, config);
+
+    // Listorna och typstilarna delas med tabellvy, karusell och sökning, så de uppdateras på plats
+    allVisibleEvents.splice(0, allVisibleEvents.length, ...prepared.allVisibleEvents);
+    Object.keys(typeStyle).forEach(key => delete typeStyle[key]);
+    Object.assign(typeStyle, prepared.typeStyle);
+
+    if (state.clickedEvent) {
+      carousel.hideCarouselView(updateCenterInfo);
+    } else {
+      state.hoveredEvent = null;
+      updateCenterInfo(null);
+    }
+
+    layers.gMarkers.selectAll(".event-group").remove();
+    layers.gConnectors.selectAll(".connector-group").remove();
+
+    // Kategorier som fått eller tappat sina sista händelser slås på respektive av,
+    // både i filtret och i standardvalet som djuplänkarna jämförs mot
+    Object.entries(getSegmentsWithData(allVisibleEvents)).forEach(([id, hasData]) => {
+      if (segmentFilters[id] === hasData) return;
+      segmentFilters[id] = hasData;
+      state.segmentFilters[id] = hasData;
+      defaultFilters[id] = hasData;
+    });
+    updateSegmentButtonsAvailability(gSegmentButtons, segmentData, allVisibleEvents);
+    updateSegmentButtonsVisuals(gSegmentButtons, segmentData, state, layout);
+
+    // Samma urval som vid start, med de kategorier som nu har händelser; filtren döljer sedan händelser utan att de ritas om
+    labelData.splice(0, labelData.length, ...calculateLabelPositions(getLayoutEvents(), layout, angleScale, labelR, layers.gMarkers));
+    eventControls = renderEvents(layers, labelData, typeStyle, config, layout, arcs, state, eventCallbacks);
+    updateNow();
+    enableDrag();
+    applyComparison();
+    if (filterPanel) filterPanel.update(allVisibleEvents);
+
+    applyFilter();
+    refreshHighlights();
+
+    if (reportContainer) {
+      reportContainer.replaceChildren();
+      reportContainer.hidden = true;
+      renderValidationReport(reportContainer, prepared.validationIssues, dataPath);
+    }
+  }
 
   // Uppdateringslogik för markering
   function refreshHighlights() {
+    const activeSets = getActiveSets(state);
     const {
       activeMonths, activeRings, activePeriods,
       hasMonthActive, hasRingActive, hasPeriodActive, hasAnyActive
-    } = getActiveSets(state);
+    } = activeSets;
 
     // Uppdatera månadsbågar
     layers.gMonths.selectAll(".month-arc").each(function () {
       const m = +d3.select(this).attr("data-month");
       const isActive = hasMonthActive && activeMonths.has(m);
       d3.select(this)
+        .attr("aria-pressed", state.clickedMonths.has(m))
         .classed("is-active", isActive)
         .classed("is-dimmed", hasAnyActive && !isActive && !hasRingActive && !hasPeriodActive);
     });
@@ -156,6 +334,10 @@ async function initWheel() {
       d3.select(this)
         .classed("is-active", isActive)
         .classed("is-dimmed", hasAnyActive && !isActive);
+
+      if (d3.select(this).attr("aria-pressed") !== null) {
+        d3.select(this).attr("aria-pressed", state.clickedRings.has(r));
+      }
     });
 
     // Uppdatera månadsrubriker
@@ -167,31 +349,18 @@ async function initWheel() {
         .classed("is-dimmed", hasAnyActive && !isActive && !hasRingActive && !hasPeriodActive);
     });
 
-    // Uppdatera händelsemarkörer
-    const activeWeeks = getActiveWeeksFromPeriods(activePeriods, config);
+    // Uppdatera händelsemarkörer (val och sökning måste båda matcha)
+    const activeWeeks = getActiveWeeks(activePeriods, config.periodDividerWeeks, totalWeeks);
+    const searchMatches = search ? search.getMatchIds() : null;
+    const hasHighlight = hasAnyActive || searchMatches !== null;
     layers.gMarkers.selectAll(".event-group").each(function () {
-      const m = +d3.select(this).attr("data-month");
       const evId = d3.select(this).attr("data-id");
       const ev = events.find(e => e.id === evId);
 
-      let isActive = false;
-      if (hasRingActive) {
-        for (const ringIdx of activeRings) {
-          const ringName = RING_NAMES[ringIdx];
-          if (ev && (ev.ring === ringName || ev.ring_2 === ringName)) {
-            isActive = true;
-            break;
-          }
-        }
-      } else if (hasMonthActive) {
-        isActive = activeMonths.has(m);
-      } else if (hasPeriodActive && ev) {
-        const eventDate = new Date(ev.date);
-        const weekNum = getWeekNumber(eventDate);
-        isActive = activeWeeks.has(weekNum);
-      }
-
-      const isDimmed = hasAnyActive && !isActive;
+      const inSelection = Boolean(ev) && (!hasAnyActive || isEventInSelection(ev, activeSets, activeWeeks));
+      const inSearch = searchMatches === null || searchMatches.has(evId);
+      const isActive = Boolean(ev) && hasHighlight && inSelection && inSearch;
+      const isDimmed = hasHighlight && !isActive;
 
       d3.select(this)
         .classed("is-active", isActive)
@@ -203,19 +372,23 @@ async function initWheel() {
     });
 
     // Uppdatera periodsegment
-    layers.gPeriodRing.selectAll(".period-segment").each(function (d, i) {
-      const isActive = activePeriods.has(i);
+    layers.gPeriodRing.selectAll(".period-segment").each(function () {
+      const p = +d3.select(this).attr("data-period");
+      const isActive = activePeriods.has(p);
       const originalColor = d3.select(this).attr("data-color");
       d3.select(this)
-        .attr("fill", originalColor)
+        .style("fill", originalColor)
         .attr("stroke-width", isActive ? 1.5 : 0.5)
         .classed("is-dimmed", hasAnyActive && !isActive && !hasMonthActive && !hasRingActive);
+
+      if (d3.select(this).attr("aria-pressed") !== null) {
+        d3.select(this).attr("aria-pressed", state.clickedPeriods.has(p));
+      }
     });
 
     // Uppdatera veckosegment
     layers.gWeeks.selectAll(".week-segment").each(function () {
-      const title = d3.select(this).select("title").text();
-      const weekNum = parseInt(title.replace("Vecka ", ""));
+      const weekNum = +d3.select(this).attr("data-week");
       d3.select(this).classed("is-period-active", activeWeeks.has(weekNum));
     });
 
@@ -228,10 +401,10 @@ async function initWheel() {
         const isCurrent = d3.select(this).classed("is-current");
 
         if (activeWeeks.has(w)) {
-          d3.select(this).style("fill", "hsl(265, 56%, 100%, 1)");
+          d3.select(this).style("fill", "var(--on-accent)");
         } else {
           const isWcagMode = document.body.classList.contains('wcag-mode');
-          d3.select(this).style("fill", isCurrent ? "#fff" : (isWcagMode ? "rgba(0,0,0,0.75)" : "rgba(0,0,0,0.55)"));
+          d3.select(this).style("fill", isCurrent ? "var(--on-accent)" : (isWcagMode ? "var(--week-label-strong)" : "var(--week-label)"));
         }
       }
     });
@@ -247,13 +420,13 @@ async function initWheel() {
 
         // Hantera vecka 53/1 övergång. Om det wrappar (slutvecka < startvecka), visa slutveckan på nästa år.
         let endWeekNum = endW - 1;
-        if (endWeekNum < 1) endWeekNum = (config.year === 2026 ? 53 : 52); // Om perioden slutar precis v 1, så är det v 52/53
+        if (endWeekNum < 1) endWeekNum = getIsoWeeksInYear(config.year); // Om perioden slutar precis v 1, så är det v 52/53
 
         // Formatera slutveckan med ledande nolla om < 10, för snyggare visning "46-03"
         const endWeekStr = endWeekNum < 10 ? `0${endWeekNum}` : `${endWeekNum}`;
-        const weekText = `Vecka ${startW}–${endWeekStr}`;
+        const weekText = t('wheel.weekRange', { start: startW, end: endWeekStr });
 
-        const periodName = PERIOD_NAMES[pIdx] || `Period ${pIdx + 1}`;
+        const periodName = PERIOD_NAMES[pIdx] || t('period', { number: pIdx + 1 });
         const periodText = `${periodName}\n${weekText}`;
         const periodFontSize = layout.centerTextFontSize * 0.85;
         updateCenterText(layers.gCenter, periodText, layout, periodFontSize);
@@ -266,7 +439,7 @@ async function initWheel() {
 
       } else if (state.hoveredRing !== null) {
         // Visa ringnamn
-        const ringName = RING_DISPLAY_NAMES[state.hoveredRing];
+        const ringName = config.rings[state.hoveredRing].label;
         const ringFontSize = layout.centerTextFontSize * 0.85;
         updateCenterText(layers.gCenter, ringName, layout, ringFontSize);
 
@@ -275,32 +448,8 @@ async function initWheel() {
         updateCenterText(layers.gCenter, config.centerText, layout);
       }
     }
-  }
 
-  // Hjälp: hämta aktiva veckor från periodindex
-  function getActiveWeeksFromPeriods(activePeriodIndices, config) {
-    const activeWeeks = new Set();
-    const totalWeeks = (config.year === 2026) ? 53 : 52;
-    const dividers = config.periodDividerWeeks;
-    const numPeriods = dividers.length;
-
-    activePeriodIndices.forEach(idx => {
-      const sw = dividers[idx];
-      const ew = dividers[(idx + 1) % numPeriods];
-      const wraps = (ew <= sw);
-
-      for (let w = 1; w <= totalWeeks; w++) {
-        let isIn = false;
-        if (wraps) {
-          if (w >= sw || w < ew) isIn = true;
-        } else {
-          if (w >= sw && w < ew) isIn = true;
-        }
-        if (isIn) activeWeeks.add(w);
-      }
-    });
-
-    return activeWeeks;
+    syncUrl();
   }
 
   // Tillämpa filter
@@ -320,6 +469,216 @@ async function initWheel() {
 
     // Uppdatera händelsereferens för markeringslogik
     events = filteredEvents;
+
+    if (search) search.update();
+    if (tableView) tableView.update();
+    if (deadlinesPanel) deadlinesPanel.update();
+    syncUrl();
+  }
+
+  // Djuplänkar: filter, val och öppen händelse speglas i adressens hash-del
+  const defaultFilters = { ...state.segmentFilters };
+  const defaultMatch = state.segmentMatch;
+  let isRestoring = false;
+
+  function syncUrl() {
+    // Liveläget bläddrar av sig självt och ska inte fylla webbläsarens historik
+    if (isRestoring || liveMode) return;
+
+    const hash = serializeState(state, defaultFilters, defaultMatch);
+    if (hash === window.location.hash.replace(/^#/, '')) return;
+
+    // Varje ändrat val blir ett historiksteg så att bakåt/framåt fungerar
+    history.pushState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+  }
+
+  function restoreFromUrl() {
+    const parsed = parseHash(window.location.hash);
+    isRestoring = true;
+
+    applyFiltersFromHash(state, parsed, defaultFilters, defaultMatch);
+    if (filterPanel) filterPanel.update();
+    applyFilter();
+    updateSegmentButtonsVisuals(gSegmentButtons, segmentData, state, layout);
+
+    applySelectionsFromHash(state, parsed, config);
+
+    const ev = parsed.event && events.some(e => e.id === parsed.event)
+      ? labelData.find(e => e.id === parsed.event)
+      : null;
+
+    if (ev) {
+      eventControls.activateEvent(ev.id);
+      if (parsed.phase !== state.clickedEventPhase) {
+        state.clickedEventPhase = parsed.phase;
+        carousel.updateCarouselContent(ev, parsed.phase);
+      }
+    } else if (state.clickedEvent) {
+      layers.gMarkers.selectAll(".event-group").classed("is-clicked", false);
+      carousel.hideCarouselView(updateCenterInfo);
+    }
+
+    refreshHighlights();
+    if (tableView) tableView.update();
+    isRestoring = false;
+  }
+
+  window.addEventListener('popstate', restoreFromUrl);
+  if (window.location.hash) {
+    restoreFromUrl();
+  } else if (state.segmentMatch === 'all') {
+    applyFilter();
+  }
+
+  if (liveMode) {
+    if (deadlinesToggle) deadlinesToggle.setOpen(true);
+    startLiveMode({
+      needle: nowNeedle,
+      interval: layout.liveInterval,
+      eventCount: layout.liveEventCount,
+      getEvents: () => events,
+      showEvent: (evId) => {
+        if (viewToggle) viewToggle.showWheel();
+        eventControls.activateEvent(evId);
+      }
+    });
+  }
+
+  // Escape stänger karusellen och återför fokus till händelsens markör
+  document.addEventListener('keydown', function (event) {
+    if (event.key !== 'Escape' || !state.clickedEvent) return;
+
+    const evId = state.clickedEvent;
+    layers.gMarkers.selectAll(".event-group").classed("is-clicked", false);
+    carousel.hideCarouselView(updateCenterInfo);
+    refreshHighlights();
+    eventControls.focusEvent(evId);
+  });
+
+  // Markörerna kan dras till nytt datum och ny ring medan redigeringen är öppen
+  function enableDrag() {
+    if (!editor) return;
+    enableMarkerDrag(layers, labelData, layout, angleScale, wheelWindow, year, {
+      isEnabled: () => !editorContainer.hidden,
+      canMove: editor.canMove,
+      onMove: (ev, changes) => editor.moveEvent(ev.id, changes)
+    });
+  }
+
+  if (editor) {
+    enableDrag();
+    editorToggleBtn.addEventListener('click', function () {
+      const open = editorContainer.hidden;
+      editorContainer.hidden = !open;
+      editorToggleBtn.setAttribute('aria-pressed', String(open));
+      editorToggleBtn.textContent = t(open ? 'controls.closeEditor' : 'controls.edit');
+      svg.classed("is-editing", open);
+      if (open && viewToggle) viewToggle.showWheel();
+    });
+  }
+
+  // Import av Excel- eller CSV-fil via knappen eller genom att släppa filen på sidan
+  const importReport = document.getElementById('import-report');
+  const importBtn = document.getElementById('import-btn');
+  const importInput = document.getElementById('import-file');
+
+  async function importFile(file) {
+    try {
+      const result = await importEventsFile(file, typeStyle, config.rings, config.segments);
+      if (editor) {
+        editor.replaceEvents(result.events, t('importer.imported', { file: file.name }));
+      } else {
+        rawData.events = result.events;
+        rebuildEvents(rawData);
+      }
+      if (importReport) renderImportReport(importReport, file.name, result);
+      if (viewToggle) viewToggle.showWheel();
+    } catch (error) {
+      console.warn('Importen misslyckades:', error);
+      if (importReport) renderImportReport(importReport, file.name, null, error);
+    }
+  }
+
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', function () {
+      if (importInput.files.length) importFile(importInput.files[0]);
+      importInput.value = '';
+    });
+  }
+
+  // Texten visas över sidan när en fil dras över den (body.is-drop-target::after)
+  document.body.dataset.dropText = t('importer.dropHint');
+  document.addEventListener('dragover', function (event) {
+    if (!event.dataTransfer?.types.includes('Files')) return;
+    event.preventDefault();
+    document.body.classList.add('is-drop-target');
+  });
+  document.addEventListener('dragleave', function (event) {
+    if (!event.relatedTarget) document.body.classList.remove('is-drop-target');
+  });
+  document.addEventListener('drop', function (event) {
+    if (!event.dataTransfer?.files.length) return;
+    event.preventDefault();
+    document.body.classList.remove('is-drop-target');
+    importFile(event.dataTransfer.files[0]);
+  });
+
+  // Jämförelse med en tidigare version av events.json (?compare=sökväg eller vald fil)
+  const compareReport = document.getElementById('compare-report');
+  const compareBtn = document.getElementById('compare-btn');
+  const compareInput = document.getElementById('compare-file');
+  let comparison = null;
+
+  function applyComparison() {
+    if (!comparison) {
+      clearComparison(layers);
+      return;
+    }
+    const changes = diffEvents(comparison.data, rawData, config.segments);
+    renderComparison(layers, changes, labelData, typeStyle, layout, angleScale);
+    if (compareReport) renderCompareReport(compareReport, changes, comparison.name, { onClose: closeComparison, rings: config.rings, segments: config.segments });
+  }
+
+  function closeComparison() {
+    comparison = null;
+    clearComparison(layers);
+    if (compareReport) {
+      compareReport.replaceChildren();
+      compareReport.hidden = true;
+    }
+  }
+
+  async function startComparison(name, readData) {
+    try {
+      const data = await readData();
+      if (!Array.isArray(data?.events)) throw new Error(t('compare.missingEvents', { source: name }));
+      comparison = { name, data };
+      applyComparison();
+      if (viewToggle) viewToggle.showWheel();
+    } catch (error) {
+      console.warn('Jämförelsen misslyckades:', error);
+      closeComparison();
+      if (compareReport) renderCompareReport(compareReport, null, name, { onClose: closeComparison, error });
+    }
+  }
+
+  const comparePath = new URLSearchParams(window.location.search).get('compare');
+  if (comparePath) {
+    startComparison(comparePath, async () => {
+      const response = await fetch(comparePath);
+      if (!response.ok) throw new Error(t('load.httpError', { status: response.status }));
+      return response.json();
+    });
+  }
+
+  if (compareBtn && compareInput) {
+    compareBtn.addEventListener('click', () => compareInput.click());
+    compareInput.addEventListener('change', function () {
+      const file = compareInput.files[0];
+      if (file) startComparison(file.name, async () => JSON.parse(await file.text()));
+      compareInput.value = '';
+    });
   }
 
   // Hanterare för återställningsknappen
@@ -327,11 +686,14 @@ async function initWheel() {
   if (resetBtn) {
     resetBtn.addEventListener('click', function () {
       resetSelections(state);
+      if (search) search.setQuery('');
+      if (filterPanel) filterPanel.update();
+      applyFilter();
 
       // Ta bort allt centerinnehåll direkt (ingen övergångsfördröjning)
       layers.gCenter.selectAll(".center-info").interrupt().remove();
       layers.gCenter.selectAll(".center-info-foreign").interrupt().remove();
-      layers.gCenter.selectAll(".carousel-chevron").interrupt().remove();
+      layers.gCenter.selectAll(".carousel-chevron, .cluster-pager, .recurrence-indicator").interrupt().remove();
 
       // Återställ centeretiketter
       layers.gCenter.selectAll(".center-label").transition().duration(300).style("opacity", 1);
@@ -345,6 +707,147 @@ async function initWheel() {
       refreshHighlights();
     });
   }
+
+  // Hanterare för kalenderexport (samma segmentfilter som hjulet)
+  const exportIcsBtn = document.getElementById('export-ics-btn');
+  if (exportIcsBtn) {
+    exportIcsBtn.addEventListener('click', function () {
+      const ics = buildICalendar(getFilteredEvents(state, allVisibleEvents), {
+        year,
+        calendarName: t('page.calendarName', { year: yearLabel }),
+        rings: config.rings,
+        segments: config.segments
+      });
+      downloadFile(ics, `verksamhetscykel-${yearLabel.replace('/', '-')}.ics`, 'text/calendar;charset=utf-8');
+    });
+  }
+
+  // Bild- och vektorexport; ett fel visas i en rapport som vid import och jämförelse
+  const exportReport = document.getElementById('export-report');
+
+  async function exportImage(filename, download) {
+    try {
+      await download(filename);
+      if (exportReport) {
+        exportReport.replaceChildren();
+        exportReport.hidden = true;
+      }
+    } catch (error) {
+      console.warn('Exporten misslyckades:', error);
+      if (exportReport) renderExportReport(exportReport, filename, error);
+    }
+  }
+
+  // Hanterare för bildexport (PNG i valt tema)
+  const downloadBtn = document.getElementById('download-btn');
+  if (downloadBtn) {
+    downloadBtn.addEventListener('click', function () {
+      exportImage('verksamhetscykel.png', filename => downloadPng(svg.node(), filename, 2));
+    });
+  }
+
+  // Hanterare för vektorexport (SVG och utskrift till PDF)
+  const downloadSvgBtn = document.getElementById('download-svg-btn');
+  if (downloadSvgBtn) {
+    downloadSvgBtn.addEventListener('click', function () {
+      exportImage(`verksamhetscykel-${yearLabel.replace('/', '-')}.svg`, filename => downloadSvg(svg.node(), filename));
+    });
+  }
+
+  const printPdfBtn = document.getElementById('print-pdf-btn');
+  if (printPdfBtn) {
+    printPdfBtn.addEventListener('click', function () {
+      const sizeSelect = document.getElementById('pdf-size-select');
+      printPoster(sizeSelect ? sizeSelect.value : 'A3');
+    });
+  }
+}
+
+/**
+ * Uppdaterar sidtitel och rubrik för skärmläsare med aktuellt år
+ * @param {string} yearLabel - Året som visas (t.ex. "2026" eller "2026/27")
+ */
+function updateYearTexts(yearLabel) {
+  document.title = t('page.title', { year: yearLabel });
+
+  const heading = document.getElementById('page-title');
+  if (heading) {
+    heading.textContent = t('page.heading', { year: yearLabel });
+  }
+}
+
+/**
+ * Växlar mellan hjulet och tabellvyn
+ * @param {HTMLElement|null} tableContainer - Tabellvyns element
+ * @param {Function} onShowTable - Anropas när tabellen visas, så att den speglar hjulets val
+ * @returns {{showWheel: Function}|null} Funktion för att visa hjulet, eller null utan tabellvy
+ */
+function setupViewToggle(tableContainer, onShowTable) {
+  const toggleBtn = document.getElementById('view-toggle-btn');
+  const wheelContainer = document.querySelector('main.wrap');
+  if (!toggleBtn || !tableContainer || !wheelContainer) return null;
+
+  function setView(showTable) {
+    tableContainer.hidden = !showTable;
+    wheelContainer.hidden = showTable;
+    toggleBtn.setAttribute('aria-pressed', String(showTable));
+    toggleBtn.textContent = showTable ? t('controls.showWheel') : t('controls.showTable');
+    if (showTable) onShowTable();
+  }
+
+  toggleBtn.addEventListener('click', function () {
+    setView(tableContainer.hidden);
+  });
+
+  return { showWheel: () => setView(false) };
+}
+
+/**
+ * Öppnar och stänger panelen med kommande deadlines
+ * @param {HTMLElement|null} container - Panelens element
+ * @returns {{setOpen: Function}|null} Funktion för att visa eller dölja panelen, eller null utan panel
+ */
+function setupDeadlinesToggle(container) {
+  const toggleBtn = document.getElementById('deadlines-toggle-btn');
+  if (!toggleBtn || !container) return null;
+
+  function setOpen(open) {
+    container.hidden = !open;
+    toggleBtn.setAttribute('aria-pressed', String(open));
+    toggleBtn.textContent = open ? t('controls.hideDeadlines') : t('controls.showDeadlines');
+    if (!open && container.contains(document.activeElement)) toggleBtn.focus();
+  }
+
+  toggleBtn.addEventListener('click', function () {
+    setOpen(container.hidden);
+  });
+
+  return { setOpen };
+}
+
+/**
+ * Fyller årsväljaren och laddar om sidan med ?year= vid byte
+ * @param {number} year - Året som visas
+ * @param {number[]} availableYears - Publicerade år
+ */
+function setupYearSelect(year, availableYears) {
+  const select = document.getElementById('year-select');
+  if (!select) return;
+
+  select.innerHTML = '';
+  availableYears.forEach(y => {
+    const option = document.createElement('option');
+    option.value = String(y);
+    option.textContent = String(y);
+    option.selected = y === year;
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', function () {
+    const params = new URLSearchParams(window.location.search);
+    params.set('year', select.value);
+    window.location.search = params.toString();
+  });
 }
 
 // Initiera när DOM är redo
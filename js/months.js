@@ -2,9 +2,13 @@
  * Ritning av månadsbågar för visualiseringen av verksamhetscykeln
  */
 
-import { MONTHS_LIST } from './config.js';
+import { MONTHS_LIST, FULL_MONTHS_LIST, getWheelWindow } from './config.js';
+import { getMonthSlices, isActivationKey } from './utils.js';
 import { toggleMonth } from './state.js';
 
+// Kortare månadsbitar än så (i fönstrets kanter) får ingen rubrik
+const MIN_LABELLED_SLICE_DAYS = 10;
+
 /**
  * Ritar månadsbitar och etiketter
  * @param {d3.Selection} gMonths - Grupp för månader
@@ -17,42 +21,59 @@ import { toggleMonth } from './state.js';
  * @param {Function} refreshHighlights - Återanrop för markeringar
  */
 export function renderMonths(gMonths, gLabels, config, layout, angleScale, arcs, state, refreshHighlights) {
-  const year = config.year;
+  const { start, end } = getWheelWindow(config);
 
-  MONTHS_LIST.forEach((m, i) => {
-    const d0 = new Date(year, i, 1);
-    const d1 = new Date(year, i + 1, 1);
-    const startA = angleScale(d0) + Math.PI / 2;
-    const endA = angleScale(d1) + Math.PI / 2;
+  getMonthSlices(start, end).forEach(slice => {
+    const i = slice.month;
+    const m = MONTHS_LIST[i];
+    const startA = angleScale(slice.start) + Math.PI / 2;
+    const endA = angleScale(slice.end) + Math.PI / 2;
 
     // Månadsbåge
-    gMonths.append("path")
+    const monthArc = gMonths.append("path")
       .attr("d", arcs.monthArc({ startAngle: startA, endAngle: endA }))
       .attr("class", "month-arc")
-      .attr("fill", layout.monthRingColor)
+      .style("fill", layout.monthRingColor)
       .attr("data-month", i)
-      .append("title")
-      .text(`${m} ${year}`);
+      .attr("role", "button")
+      .attr("tabindex", 0)
+      .attr("aria-pressed", "false")
+      .attr("aria-label", `${FULL_MONTHS_LIST[i]} ${slice.year}`);
+
+    monthArc.append("title")
+      .text(`${m} ${slice.year}`);
 
-    // Lägg till händelsehanterare
-    gMonths.selectAll(".month-arc").filter(function () {
-      return +d3.select(this).attr("data-month") === i;
-    })
-      .on("mouseover", () => {
-        state.hoveredMonth = i;
-        refreshHighlights();
-      })
-      .on("mouseout", () => {
-        state.hoveredMonth = null;
-        refreshHighlights();
-      })
-      .on("click", () => {
-        toggleMonth(state, i);
-        refreshHighlights();
+    // Lägg till händelsehanterare (fokus motsvarar hovring)
+    const enter = () => {
+      state.hoveredMonth = i;
+      refreshHighlights();
+    };
+    const leave = () => {
+      state.hoveredMonth = null;
+      refreshHighlights();
+    };
+    const activate = () => {
+      toggleMonth(state, i);
+      refreshHighlights();
+    };
+
+    monthArc
+      .on("mouseover", enter)
+      .on("mouseout", leave)
+      .on("focus", enter)
+      .on("blur", leave)
+      .on("click", activate)
+      .on("keydown", (event) => {
+        if (!isActivationKey(event)) return;
+        event.preventDefault();
+        activate();
       });
 
-    // Månadsrubrik
-    const labelAngle = angleScale(new Date(year, i, 15));
+    // Månadsrubrik (mitt i biten, vilket för hela månader är runt den 15:e)
+    const sliceDays = (slice.end - slice.start) / 86400000;
+    if (sliceDays < MIN_LABELLED_SLICE_DAYS) return;
+
+    const labelAngle = angleScale(new Date((+slice.start + +slice.end) / 2));
     const monthLabelR = (layout.monthBandR0 + layout.monthBandR1) / 2;
     const lx = monthLabelR * Math.cos(labelAngle);
     const ly = monthLabelR * Math.sin(labelAngle);
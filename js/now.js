@@ -0,0 +1,213 @@
+/**
+ * Nu-visare och liveläge för visualiseringen av verksamhetscykeln
+ * Visaren går radiellt genom alla ringar i dagens vinkel och passerade händelser tonas ned.
+ * Liveläget (?live=1) gör hjulet till en statustavla för en skärm i entrén: visaren
+ * sveper fram till idag och hjulet bläddrar själv mellan de närmaste kommande händelserna.
+ */
+
+import { getEventDateRange, getWorkdaysBetween } from './utils.js';
+import { t, getDateLocale } from './i18n.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Kontrollerar om liveläget är begärt i adressen (?live=1)
+ * @returns {boolean}
+ */
+export function isLiveModeRequested() {
+  const value = new URLSearchParams(window.location.search).get('live');
+  return value === '1' || value === 'true';
+}
+
+/**
+ * Kontrollerar om en händelse är passerad (sista dagen ligger före idag)
+ * @param {Object} ev - Händelse med date och eventuellt endDate
+ * @param {Date} now - Aktuell tidpunkt
+ * @returns {boolean}
+ */
+export function isEventPassed(ev, now) {
+  const { end } = getEventDateRange(ev);
+  return Boolean(end) && end < d3.timeDay.floor(now);
+}
+
+/**
+ * Beskriver tiden kvar till en händelse, t.ex. "5 arbetsdagar kvar"
+ * För intervall räknas tiden tills fönstret stänger (sista dagen).
+ * @param {Object} ev - Händelse med date och eventuellt endDate
+ * @param {Date} now - Aktuell tidpunkt
+ * @param {{isWorkday: Function}|null} [calendar=null] - Arbetsdagskalender (holidays.js)
+ * @returns {string}
+ */
+export function getCountdownText(ev, now, calendar = null) {
+  const { start, end } = getEventDateRange(ev);
+  const isRange = end > start;
+  const today = d3.timeDay.floor(now);
+
+  if (end < today) return isRange ? t('info.ended') : t('info.passed');
+  if (end.getTime() === today.getTime()) return isRange ? t('info.closesToday') : t('info.today');
+
+  const workdays = getWorkdaysBetween(today, end, calendar);
+  return isRange && start <= today
+    ? t('info.ongoing', { count: workdays })
+    : t('info.workdaysLeft', { count: workdays });
+}
+
+/**
+ * Hämtar händelser som inte är passerade, i datumordning
+ * Pågående intervall räknas som kommande tills deras sista dag har passerat.
+ * @param {Array} events - Händelser
+ * @param {Date} now - Aktuell tidpunkt
+ * @returns {Array} Kommande händelser
+ */
+export function getUpcomingEvents(events, now) {
+  return events
+    .filter(ev => getEventDateRange(ev).start && !isEventPassed(ev, now))
+    .sort((a, b) => getEventDateRange(a).start - getEventDateRange(b).start);
+}
+
+/**
+ * Markerar passerade händelser (ihåliga markörer, se .is-passed i style.css)
+ * @param {Object} layers - SVG-lager
+ * @param {Array} events - Ritade händelser
+ * @param {Date} now - Aktuell tidpunkt
+ */
+export function updatePassedEvents(layers, events, now) {
+  const passedIds = new Set(events.filter(ev => isEventPassed(ev, now)).map(ev => ev.id));
+
+  layers.gMarkers.selectAll(".event-group").each(function () {
+    d3.select(this).classed("is-passed", passedIds.has(d3.select(this).attr("data-id")));
+  });
+  layers.gConnectors.selectAll(".connector-group").each(function () {
+    d3.select(this).classed("is-passed", passedIds.has(d3.select(this).attr("data-id")));
+  });
+}
+
+/**
+ * Skapar nu-visaren
+ * Visaren ritas mot vinkeln noll och vrids på plats, så att den kan animeras längs hjulet.
+ * Den döljs när dagens datum ligger utanför hjulets tidsfönster.
+ * @param {d3.Selection} gNow - Lager för visaren
+ * @param {Object} layout - Layoutkonfiguration
+ * @param {d3.ScaleTime} angleScale - Vinkelskala
+ * @param {{start: Date, end: Date}} wheelWindow - Hjulets tidsfönster
+ * @returns {{update: Function, sweep: Function}} Styrfunktioner för visaren
+ */
+export function createNowNeedle(gNow, layout, angleScale, wheelWindow) {
+  const toDegrees = date => angleScale(date) * 180 / Math.PI;
+  let currentDegrees = toDegrees(wheelWindow.start);
+
+  const needle = gNow.append("g")
+    .attr("class", "now-needle")
+    .attr("role", "img")
+    .style("display", "none");
+
+  needle.append("line")
+    .attr("class", "now-needle-halo")
+    .attr("x1", layout.ringInner)
+    .attr("x2", layout.monthBandR1)
+    .attr("stroke-width", layout.nowNeedleWidth + 4)
+    .attr("stroke-linecap", "round");
+
+  needle.append("line")
+    .attr("class", "now-needle-line")
+    .attr("x1", layout.ringInner)
+    .attr("x2", layout.monthBandR1)
+    .style("stroke", layout.nowNeedleColor)
+    .attr("stroke-width", layout.nowNeedleWidth)
+    .attr("stroke-linecap", "round");
+
+  needle.append("circle")
+    .attr("class", "now-needle-tip")
+    .attr("cx", layout.monthBandR1)
+    .attr("r", layout.nowNeedleWidth * 2.5)
+    .style("fill", layout.nowNeedleColor);
+
+  /**
+   * Flyttar visaren
+   * @param {Date} now - Tidpunkt att visa
+   * @param {number} [duration=0] - Animeringstid i millisekunder (0 flyttar direkt)
+   */
+  function update(now, duration = 0) {
+    const isInWindow = now >= wheelWindow.start && now < wheelWindow.end;
+    needle.style("display", isInWindow ? null : "none");
+    if (!isInWindow) return;
+
+    const dateText = now.toLocaleDateString(getDateLocale(), { day: 'numeric', month: 'long', year: 'numeric' });
+    needle.attr("aria-label", t('wheel.today', { date: dateText }));
+
+    const from = currentDegrees;
+    const to = toDegrees(now);
+    currentDegrees = to;
+
+    if (duration === 0) {
+      needle.interrupt().attr("transform", `rotate(${to})`);
+      return;
+    }
+
+    needle.interrupt()
+      .attr("transform", `rotate(${from})`)
+      .transition()
+      .duration(duration)
+      .ease(d3.easeCubicInOut)
+      .attrTween("transform", () => {
+        const interpolate = d3.interpolateNumber(from, to);
+        return time => `rotate(${interpolate(time)})`;
+      });
+  }
+
+  /**
+   * Låter visaren svepa från hjulets start fram till en tidpunkt
+   * @param {Date} now - Tidpunkt att visa
+   * @param {number} duration - Animeringstid i millisekunder
+   */
+  function sweep(now, duration) {
+    currentDegrees = toDegrees(wheelWindow.start);
+    update(now, duration);
+  }
+
+  return { update, sweep };
+}
+
+/**
+ * Startar liveläget
+ * Visaren sveper fram till idag, hjulet öppnar den närmaste kommande händelsen och går
+ * sedan vidare till nästa med jämna mellanrum. Klick, tangenttryck och pekning skjuter upp
+ * nästa byte ett helt intervall så att den som står vid skärmen hinner läsa. Vid datumbyte
+ * laddas sidan om, så att veckoringen och en nyligen publicerad datafil också följer med.
+ * @param {Object} options - Inställningar
+ * @param {{sweep: Function}|null} options.needle - Nu-visaren (createNowNeedle)
+ * @param {number} options.interval - Sekunder mellan bytena
+ * @param {number} options.eventCount - Antal kommande händelser att bläddra mellan
+ * @param {Function} options.getEvents - Returnerar de händelser som filtren visar
+ * @param {Function} options.showEvent - Öppnar en händelse utifrån id
+ */
+export function startLiveMode({ needle, interval, eventCount, getEvents, showEvent }) {
+  document.body.classList.add('is-live');
+
+  const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+  const startDay = d3.timeDay.floor(new Date()).getTime();
+  let index = -1;
+  let timer = null;
+
+  function showNext() {
+    const upcoming = getUpcomingEvents(getEvents(), new Date()).slice(0, eventCount);
+    if (!upcoming.length) return;
+    index = (index + 1) % upcoming.length;
+    showEvent(upcoming[index].id);
+  }
+
+  function schedule() {
+    clearInterval(timer);
+    timer = setInterval(showNext, interval * 1000);
+  }
+
+  ['pointerdown', 'keydown', 'wheel'].forEach(type => document.addEventListener(type, schedule, { passive: true }));
+
+  setInterval(() => {
+    if (d3.timeDay.floor(new Date()).getTime() !== startDay) window.location.reload();
+  }, MINUTE);
+
+  if (needle) needle.sweep(new Date(), reduceMotion ? 0 : 1500);
+  showNext();
+  schedule();
+}
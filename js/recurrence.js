@@ -0,0 +1,155 @@
+/**
+ * Återkommande händelser för visualiseringen av verksamhetscykeln
+ * En händelse med upprepningsregel (recurrence) är en serie som delas upp i ett
+ * tillfälle per datum när datat läses in. Serien redigeras som en rad i Excel.
+ *
+ * Regelformat:
+ *   { "freq": "monthly", "interval": 3, "until": "2026-12-31", "except": ["2026-07-10"] }
+ * - freq: "weekly" eller "monthly"
+ * - interval: antal veckor eller månader mellan tillfällena (standard 1, kvartalsvis = monthly med 3)
+ * - until: sista möjliga datum (standard: sista dagen i seriens startår)
+ * - except: datum som hoppas över
+ */
+
+import { formatLocalDate, parseLocalDate } from './utils.js';
+import { t } from './i18n.js';
+
+const RECURRENCE_FREQUENCIES = ['weekly', 'monthly'];
+
+/**
+ * Kontrollerar en upprepningsregel
+ * @param {*} rule - Regel från händelsens recurrence
+ * @param {string} date - Seriens första datum (YYYY-MM-DD)
+ * @returns {string[]} Felmeddelanden (tom lista om regeln är giltig)
+ */
+export function getRecurrenceErrors(rule, date) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [t('recurrence.notObject')];
+  }
+
+  const errors = [];
+  if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+    errors.push(t('recurrence.unknownFreq', { freq: rule.freq ?? '' }));
+  }
+  if (rule.interval !== undefined && rule.interval !== null && !(Number.isInteger(rule.interval) && rule.interval >= 1)) {
+    errors.push(t('recurrence.invalidInterval', { interval: rule.interval }));
+  }
+  if (rule.until !== undefined && rule.until !== null) {
+    const until = parseLocalDate(rule.until);
+    if (!until) {
+      errors.push(t('recurrence.invalidUntil', { until: rule.until }));
+    } else if (until < parseLocalDate(date)) {
+      errors.push(t('recurrence.untilBeforeStart', { until: rule.until, date }));
+    }
+  }
+  if (rule.except !== undefined && rule.except !== null) {
+    if (!Array.isArray(rule.except)) {
+      errors.push(t('recurrence.exceptNotList'));
+    } else {
+      rule.except.filter(d => !parseLocalDate(d)).forEach(d => {
+        errors.push(t('recurrence.invalidExcept', { date: d }));
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Hämtar datum för seriens tillfällen
+ * Månadsvisa tillfällen på t.ex. den 31:a hamnar på månadens sista dag i kortare månader.
+ * @param {Date} start - Seriens första datum
+ * @param {Object} rule - Giltig upprepningsregel
+ * @returns {string[]} Datum (YYYY-MM-DD) utom undantagen
+ */
+function getOccurrenceDates(start, rule) {
+  const interval = rule.interval ?? 1;
+  const until = parseLocalDate(rule.until) ?? new Date(start.getFullYear(), 11, 31);
+  const exceptions = new Set(rule.except ?? []);
+  const dates = [];
+
+  for (let i = 0; ; i++) {
+    let date;
+    if (rule.freq === 'weekly') {
+      date = d3.timeDay.offset(start, i * 7 * interval);
+    } else {
+      const month = start.getMonth() + i * interval;
+      const daysInMonth = new Date(start.getFullYear(), month + 1, 0).getDate();
+      date = new Date(start.getFullYear(), month, Math.min(start.getDate(), daysInMonth));
+    }
+    if (date > until) break;
+
+    const dateStr = formatLocalDate(date);
+    if (!exceptions.has(dateStr)) dates.push(dateStr);
+  }
+
+  return dates;
+}
+
+/**
+ * Skapar ett stabilt id för ett tillfälle utifrån seriens id och datum
+ * Grannårens id:n har årssuffix (ev_3@2027) som ska stå sist.
+ * @param {string} seriesId - Seriens id
+ * @param {string} date - Tillfällets datum (YYYY-MM-DD)
+ * @returns {string} T.ex. ev_5-20260315
+ */
+function getOccurrenceId(seriesId, date) {
+  const [baseId, yearSuffix] = String(seriesId).split('@');
+  const occurrenceId = `${baseId}-${date.replace(/-/g, '')}`;
+  return yearSuffix ? `${occurrenceId}@${yearSuffix}` : occurrenceId;
+}
+
+/**
+ * Delar upp återkommande händelser i ett tillfälle per datum
+ * Tillfällena får seriesId, occurrence (1-baserat) och occurrenceCount. Ett endDate
+ * flyttas med så att varje tillfälle behåller seriens längd. Händelser utan regel,
+ * eller med ogiltig regel, lämnas orörda.
+ * @param {Array} events - Händelser
+ * @returns {Array} Händelser med serierna uppdelade
+ */
+export function expandRecurringEvents(events) {
+  return events.flatMap(ev => {
+    const start = parseLocalDate(ev.date);
+    if (!ev.recurrence || !start || getRecurrenceErrors(ev.recurrence, ev.date).length) return [ev];
+
+    const end = parseLocalDate(ev.endDate);
+    const duration = end ? d3.timeDay.count(start, end) : null;
+    const dates = getOccurrenceDates(start, ev.recurrence);
+
+    return dates.map((date, i) => ({
+      ...ev,
+      id: getOccurrenceId(ev.id, date),
+      date,
+      endDate: duration === null ? ev.endDate : formatLocalDate(d3.timeDay.offset(parseLocalDate(date), duration)),
+      seriesId: ev.id,
+      occurrence: i + 1,
+      occurrenceCount: dates.length
+    }));
+  });
+}
+
+/**
+ * Beskriver en upprepningsregel i klartext på valt språk
+ * @param {Object} rule - Giltig upprepningsregel
+ * @returns {string} T.ex. "Varje månad", "Varje kvartal" eller "Var 2:a vecka"
+ */
+export function describeRecurrence(rule) {
+  const interval = rule.interval ?? 1;
+  const weekly = rule.freq === 'weekly';
+
+  if (interval === 1) return t(weekly ? 'recurrence.weekly' : 'recurrence.monthly');
+  if (rule.freq === 'monthly' && interval === 3) return t('recurrence.quarterly');
+  if (rule.freq === 'monthly' && interval === 12) return t('recurrence.yearly');
+
+  return t(weekly ? 'recurrence.everyNthWeek' : 'recurrence.everyNthMonth', { interval, ordinal: formatOrdinal(interval) });
+}
+
+/**
+ * Skriver ett svenskt ordningstal som i Excel-kolumnen Upprepning
+ * @param {number} number - Heltal från 1
+ * @returns {string} T.ex. "2:a", "3:e", "21:a" men "11:e" och "12:e"
+ */
+export function formatOrdinal(number) {
+  const lastTwo = number % 100;
+  const suffix = [1, 2].includes(number % 10) && lastTwo !== 11 && lastTwo !== 12 ? 'a' : 'e';
+  return `${number}:${suffix}`;
+}
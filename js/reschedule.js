@@ -0,0 +1,192 @@
+/**
+ * Omplanering genom att dra markörer i visualiseringen av verksamhetscykeln
+ * I redigeringsläget kan en markör dras längs ringen för att byta datum och
+ * utåt eller inåt för att byta ring. Datumet räknas fram ur vinkeln och
+ * hamnar alltid på en vardag, liksom slutdatumet för ett intervall.
+ */
+
+import { MONTH_RING, getRingLabel } from './config.js';
+import { getRadius } from './svg-setup.js';
+import { formatLocalDate, getEventDateRange, getWeekNumber } from './utils.js';
+import { t, getDateLocale } from './i18n.js';
+
+// Kortare förflyttning än så räknas som klick
+const DRAG_MIN_DISTANCE = 4;
+
+/**
+ * Kontrollerar om ett datum är lördag eller söndag
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isWeekend(date) {
+  return date.getDay() === 0 || date.getDay() === 6;
+}
+
+/**
+ * Hämtar första och sista vardag som en händelse kan flyttas till
+ * Händelsen stannar i årets fil, så ett rullande fönster begränsas till året.
+ * @param {{start: Date, end: Date}} wheelWindow - Hjulets tidsfönster
+ * @param {number} year - Året i filen som redigeras
+ * @returns {{first: Date, last: Date}}
+ */
+function getDateBounds(wheelWindow, year) {
+  let first = d3.max([wheelWindow.start, new Date(year, 0, 1)]);
+  let last = d3.min([d3.timeDay.offset(wheelWindow.end, -1), new Date(year, 11, 31)]);
+  while (isWeekend(first)) first = d3.timeDay.offset(first, 1);
+  while (isWeekend(last)) last = d3.timeDay.offset(last, -1);
+  return { first, last };
+}
+
+/**
+ * Flyttar ett datum till närmaste vardag inom gränserna
+ * Lördag blir fredag och söndag blir måndag.
+ * @param {Date} date - Datum
+ * @param {{first: Date, last: Date}} bounds - Gränser från getDateBounds
+ * @returns {Date}
+ */
+function snapToWeekday(date, bounds) {
+  let snapped = date;
+  if (date.getDay() === 6) snapped = d3.timeDay.offset(date, -1);
+  if (date.getDay() === 0) snapped = d3.timeDay.offset(date, 1);
+  if (snapped < bounds.first) return bounds.first;
+  if (snapped > bounds.last) return bounds.last;
+  return snapped;
+}
+
+/**
+ * Hämtar ringen under en radie
+ * Utanför ringarna, närmare månadsbandet, blir det månadsbandet (MONTH_RING).
+ * @param {number} r - Radie
+ * @param {Object} layout - Layoutkonfiguration
+ * @returns {string} Ringnamn
+ */
+function getRingAtRadius(r, layout) {
+  if (r >= (layout.ringOuter + layout.monthBandR0) / 2) return MONTH_RING;
+
+  const ringGap = (layout.ringOuter - layout.ringInner) / layout.ringCount;
+  const ringIdx = Math.floor((r - layout.ringInner) / ringGap);
+  return layout.rings[Math.max(0, Math.min(ringIdx, layout.ringCount - 1))].id;
+}
+
+/**
+ * Aktiverar dragning av markörer för omplanering
+ * Anropas efter varje renderEvents. Klick utan förflyttning öppnar händelsen som vanligt.
+ * @param {Object} layers - SVG-lager
+ * @param {Array} labelData - Händelser med position
+ * @param {Object} layout - Layoutkonfiguration
+ * @param {d3.ScaleTime} angleScale - Vinkelskala
+ * @param {{start: Date, end: Date}} wheelWindow - Hjulets tidsfönster
+ * @param {number} year - Året i filen som redigeras
+ * @param {Object} options - Inställningar
+ * @param {Function} options.isEnabled - Returnerar true när redigeringsläget är öppet
+ * @param {Function} options.canMove - Returnerar true för händelser som kan flyttas (id)
+ * @param {Function} options.onMove - Anropas med händelsen och ändringarna ({date, endDate?, ring})
+ */
+export function enableMarkerDrag(layers, labelData, layout, angleScale, wheelWindow, year, { isEnabled, canMove, onMove }) {
+  const { gMarkers, gConnectors, gLabels } = layers;
+  const bounds = getDateBounds(wheelWindow, year);
+  const eventsById = new Map(labelData.map(ev => [ev.id, ev]));
+
+  /**
+   * Räknar fram nytt datum och ring från pekarens position
+   * Ett intervall flyttas i sin helhet med markören mitt på bågen.
+   */
+  function getDropChanges(ev, x, y) {
+    let angle = Math.atan2(y, x);
+    if (angle < -Math.PI / 2) angle += 2 * Math.PI;
+    const pointed = d3.timeDay.round(angleScale.invert(angle));
+    const ring = getRingAtRadius(Math.hypot(x, y), layout);
+
+    if (!ev.endDate) {
+      const date = snapToWeekday(pointed, bounds);
+      return { changes: { date: formatLocalDate(date), ring }, start: date, end: date };
+    }
+
+    const { start, end } = getEventDateRange(ev);
+    const duration = d3.timeDay.count(start, end);
+
+    // Hela intervallet ska rymmas inom gränserna, så starten får inte ligga senare än
+    // sista vardagen minus längden. Är intervallet längre än så kortas det vid slutet.
+    let latestStart = d3.max([bounds.first, d3.timeDay.offset(bounds.last, -duration)]);
+    while (isWeekend(latestStart) && latestStart > bounds.first) latestStart = d3.timeDay.offset(latestStart, -1);
+
+    const newStart = snapToWeekday(d3.timeDay.offset(pointed, -Math.floor(duration / 2)), { first: bounds.first, last: latestStart });
+    const newEnd = snapToWeekday(d3.timeDay.offset(newStart, duration), bounds);
+    return { changes: { date: formatLocalDate(newStart), endDate: formatLocalDate(newEnd), ring }, start: newStart, end: newEnd };
+  }
+
+  function getPreviewText({ start, end }) {
+    if (start.getTime() === end.getTime()) {
+      const day = start.toLocaleDateString(getDateLocale(), { weekday: 'short', day: 'numeric', month: 'long' });
+      return `${t('wheel.week', { week: getWeekNumber(start) })} · ${day}`;
+    }
+    const dateFormat = { day: 'numeric', month: 'short' };
+    const weeks = t('wheel.weekRange', { start: getWeekNumber(start), end: getWeekNumber(end) });
+    return `${weeks} · ${start.toLocaleDateString(getDateLocale(), dateFormat)} – ${end.toLocaleDateString(getDateLocale(), dateFormat)}`;
+  }
+
+  const drag = d3.drag()
+    .filter(function (event) {
+      return isEnabled() && !event.ctrlKey && !event.button && canMove(this.parentNode.dataset.id);
+    })
+    // Pekaren räknas från markörens mitt så att ett klick inte flyttar händelsen
+    .subject(function () {
+      const ev = eventsById.get(this.parentNode.dataset.id);
+      return { x: ev.x, y: ev.y };
+    })
+    .clickDistance(DRAG_MIN_DISTANCE)
+    .on("start", function () {
+      const id = this.parentNode.dataset.id;
+      d3.select(this.parentNode).classed("is-dragging", true);
+      gConnectors.select(`.connector-group[data-id="${id}"]`).classed("is-dragging", true);
+      gLabels.selectAll(".drag-preview").remove();
+    })
+    .on("drag", function (event) {
+      const ev = eventsById.get(this.parentNode.dataset.id);
+      const target = getDropChanges(ev, event.x, event.y);
+
+      // Markören följer pekaren men hamnar på det datum och den ring som släpps
+      const markerDate = d3.timeDay.offset(target.start, Math.floor(d3.timeDay.count(target.start, target.end) / 2));
+      const a = angleScale(markerDate);
+      const r = getRadius(target.changes.ring, layout);
+      const x = r * Math.cos(a);
+      const y = r * Math.sin(a);
+      d3.select(this).interrupt().attr("transform", `translate(${x}, ${y}) scale(${layout.markerHoverScale})`);
+
+      const lines = [getPreviewText(target)];
+      if (target.changes.ring !== ev.ring) lines.push(getRingLabel(target.changes.ring, layout.rings));
+
+      const preview = gLabels.selectAll(".drag-preview")
+        .data([lines])
+        .join("text")
+        .attr("class", "drag-preview")
+        .attr("x", x + layout.markerBaseSize * 2)
+        .attr("y", y - layout.markerBaseSize * 2);
+
+      preview.selectAll("tspan")
+        .data(d => d)
+        .join("tspan")
+        .attr("x", x + layout.markerBaseSize * 2)
+        .attr("dy", (d, i) => i === 0 ? 0 : "1.2em")
+        .text(d => d);
+    })
+    .on("end", function (event) {
+      const ev = eventsById.get(this.parentNode.dataset.id);
+      d3.select(this.parentNode).classed("is-dragging", false);
+      gConnectors.select(`.connector-group[data-id="${ev.id}"]`).classed("is-dragging", false);
+      gLabels.selectAll(".drag-preview").remove();
+
+      const { changes } = getDropChanges(ev, event.x, event.y);
+      const isUnchanged = Object.entries(changes).every(([key, value]) => ev[key] === value);
+      if (Math.hypot(event.x - ev.x, event.y - ev.y) < DRAG_MIN_DISTANCE || isUnchanged) {
+        d3.select(this).attr("transform", `translate(${ev.x}, ${ev.y})`);
+        return;
+      }
+      onMove(ev, changes);
+    });
+
+  gMarkers.selectAll(".event-group .marker-wrap").call(drag);
+  gMarkers.selectAll(".event-group").classed("is-movable", function () {
+    return canMove(this.dataset.id);
+  });
+}
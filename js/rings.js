@@ -3,9 +3,10 @@
  * Hanterar bakgrundsringar, veckoring och periodring
  */
 
-import { MONTHS_LIST } from './config.js';
-import { getIsoWeekRange } from './utils.js';
-import { toggleRing, togglePeriod } from './state.js';
+import { MONTHS_LIST, PERIOD_NAMES, DEFAULT_SEGMENT_COLOR, getWheelWindow } from './config.js';
+import { getMonthSlices, getWeekSlices, getPeriodSlices, isActivationKey, toSingleLine } from './utils.js';
+import { toggleRing, togglePeriod, toggleSegmentFilter, toggleSegmentMatch } from './state.js';
+import { t, getDateLocale } from './i18n.js';
 
 /**
  * Ritar bakgrundssegment för ringarna
@@ -18,18 +19,17 @@ import { toggleRing, togglePeriod } from './state.js';
  * @param {Function} refreshHighlights - Återanrop för markeringar
  */
 export function renderRings(gRingBands, config, layout, angleScale, arcs, state, refreshHighlights) {
-  const year = config.year;
-  const ringColors = config.ringColors;
+  const { start, end } = getWheelWindow(config);
+  const monthSlices = getMonthSlices(start, end);
 
-  for (let i = 0; i < layout.ringCount; i++) {
+  config.rings.forEach((ring, i) => {
     const r0 = layout.ringInner + i * arcs.ringGap;
     const r1 = layout.ringInner + (i + 1) * arcs.ringGap;
 
-    MONTHS_LIST.forEach((_, mIdx) => {
-      const d0 = new Date(year, mIdx, 1);
-      const d1 = new Date(year, mIdx + 1, 1);
-      const startA = angleScale(d0) + Math.PI / 2;
-      const endA = angleScale(d1) + Math.PI / 2;
+    monthSlices.forEach((slice, sliceIdx) => {
+      const mIdx = slice.month;
+      const startA = angleScale(slice.start) + Math.PI / 2;
+      const endA = angleScale(slice.end) + Math.PI / 2;
 
       const ringSegment = gRingBands.append("path")
         .attr("d", arcs.ringArc({
@@ -38,29 +38,79 @@ export function renderRings(gRingBands, config, layout, angleScale, arcs, state,
           startAngle: startA,
           endAngle: endA
         }))
-        .attr("fill", ringColors[i] || "rgba(200,200,200,0.1)")
+        .style("fill", ring.color || "var(--week-ring)")
         .attr("class", "ring-segment")
         .attr("data-month", mIdx)
         .attr("data-ring", i);
 
       ringSegment.append("title")
-        .text(`${state.ringNames[i].replace(/_/g, ' ')} - ${MONTHS_LIST[mIdx]}`);
+        .text(t('wheel.ringMonth', { ring: toSingleLine(ring.label), month: MONTHS_LIST[mIdx] }));
+
+      // Endast första segmentet i varje ring ligger i tabbordningen
+      if (sliceIdx === 0) {
+        ringSegment
+          .attr("role", "button")
+          .attr("tabindex", 0)
+          .attr("aria-pressed", "false")
+          .attr("aria-label", toSingleLine(ring.label));
+      }
+
+      const enter = () => {
+        state.hoveredRing = i;
+        refreshHighlights();
+      };
+      const leave = () => {
+        state.hoveredRing = null;
+        refreshHighlights();
+      };
+      const activate = () => {
+        toggleRing(state, i);
+        refreshHighlights();
+      };
 
       ringSegment
-        .on("mouseover", () => {
-          state.hoveredRing = i;
-          refreshHighlights();
-        })
-        .on("mouseout", () => {
-          state.hoveredRing = null;
-          refreshHighlights();
-        })
-        .on("click", () => {
-          toggleRing(state, i);
-          refreshHighlights();
+        .on("mouseover", enter)
+        .on("mouseout", leave)
+        .on("focus", enter)
+        .on("blur", leave)
+        .on("click", activate)
+        .on("keydown", (event) => {
+          if (!isActivationKey(event)) return;
+          event.preventDefault();
+          activate();
         });
     });
-  }
+  });
+}
+
+/**
+ * Ritar ringförklaringen (ett kort per ring med rubrik, tidshorisont och beskrivning)
+ * @param {HTMLElement|null} container - Element som korten ritas i
+ * @param {Array} rings - Normaliserade ringar (config.rings)
+ */
+export function renderRingLegend(container, rings) {
+  if (!container) return;
+
+  const cards = d3.select(container)
+    .selectAll(".ring-card")
+    .data(rings)
+    .join("div")
+    .attr("class", "ring-card")
+    .style("border-left-color", ring => ring.color || "var(--week-ring)");
+
+  const header = cards.append("div").attr("class", "ring-card-header");
+  header.append("span")
+    .attr("class", "ring-card-title")
+    .text(ring => ring.legendTitle);
+  header.filter(ring => ring.horizon)
+    .append("span")
+    .attr("class", "ring-card-time")
+    .text(ring => `(${ring.horizon})`);
+
+  cards.filter(ring => ring.description)
+    .append("p")
+    .attr("class", "ring-card-desc")
+    .text(ring => ring.description);
 }
 
 /**
@@ -73,36 +123,28 @@ export function renderRings(gRingBands, config, layout, angleScale, arcs, state,
  * @param {Object} arcs - Båggeneratorer
  */
 export function renderWeekRing(gWeeks, gLabels, config, layout, angleScale, arcs) {
-  const year = config.year;
+  const { start, end } = getWheelWindow(config);
   const now = new Date();
-  const currentWeek = d3.timeFormat("%V")(now);
-  const isCurrentYear = now.getFullYear() === year;
 
-  // 2026 har 53 veckor (startar på en torsdag)
-  const totalWeeks = (year === 2026) ? 53 : 52;
+  // Veckorna räknas enligt ISO 8601, så år med 53 veckor hanteras automatiskt.
+  // Veckor som korsar fönstrets kanter kortas av.
+  getWeekSlices(start, end).forEach(slice => {
+    const w = slice.week;
+    const startA = angleScale(slice.start) + Math.PI / 2;
+    const endA = angleScale(slice.end) + Math.PI / 2;
 
-  for (let w = 1; w <= totalWeeks; w++) {
-    const { start: startW, end: endW } = getIsoWeekRange(year, w);
-
-    if (startW > endW) continue;
-
-    const startA = angleScale(startW) + Math.PI / 2;
-    const endWPlus1 = new Date(endW);
-    endWPlus1.setDate(endW.getDate() + 1);
-    endWPlus1.setHours(0, 0, 0, 0);
-    const endA = angleScale(endWPlus1) + Math.PI / 2;
-
-    const isCurrent = isCurrentYear && +currentWeek === w;
+    const isCurrent = now >= slice.start && now < slice.end;
 
     // Veckosegment
     gWeeks.append("path")
       .attr("d", arcs.weekArc({ startAngle: startA, endAngle: endA }))
       .attr("class", `week-segment ${isCurrent ? 'is-current' : ''}`)
-      .attr("fill", isCurrent ? layout.currentWeekColor : layout.weekRingColor)
-      .attr("stroke", layout.weekSeparatorColor)
+      .style("fill", isCurrent ? layout.currentWeekColor : layout.weekRingColor)
+      .style("stroke", layout.weekSeparatorColor)
       .attr("stroke-width", layout.weekSeparatorWidth)
+      .attr("data-week", w)
       .append("title")
-      .text(`Vecka ${w}`);
+      .text(t('wheel.week', { week: w }));
 
     // Veckonummeretikett
     const midA = (startA + endA) / 2 - Math.PI / 2;
@@ -116,11 +158,43 @@ export function renderWeekRing(gWeeks, gLabels, config, layout, angleScale, arcs
       .attr("text-anchor", "middle")
       .attr("dominant-baseline", "middle")
       .style("font-size", `${layout.weekLabelFontSize}px`)
-      .style("fill", isCurrent ? "#fff" : "rgba(0,0,0,0.55)")
+      .style("fill", isCurrent ? "var(--on-accent)" : "var(--week-label)")
       .style("font-weight", "700")
       .style("pointer-events", "none")
       .text(w);
-  }
+  });
+}
+
+/**
+ * Markerar helgdagar och stängda dagar som infaller på vardagar i veckoringens ytterkant
+ * @param {d3.Selection} gWeeks - Grupp för veckor
+ * @param {Object} config - Konfigurationsobjekt
+ * @param {Object} layout - Layoutkonfiguration
+ * @param {d3.ScaleTime} angleScale - Vinkelskala
+ * @param {Object} arcs - Båggeneratorer
+ * @param {{getNonWorkingDay: Function}} calendar - Arbetsdagskalender (holidays.js)
+ */
+export function renderNonWorkingDays(gWeeks, config, layout, angleScale, arcs, calendar) {
+  const { start, end } = getWheelWindow(config);
+  const markWidth = 3;
+
+  d3.timeDays(start, end).forEach(day => {
+    const dayOfWeek = day.getDay();
+    const nonWorking = dayOfWeek !== 0 && dayOfWeek !== 6 ? calendar.getNonWorkingDay(day) : null;
+    if (!nonWorking) return;
+
+    gWeeks.append("path")
+      .attr("d", arcs.ringArc({
+        innerRadius: arcs.weekBandR1 - markWidth,
+        outerRadius: arcs.weekBandR1,
+        startAngle: angleScale(day) + Math.PI / 2,
+        endAngle: angleScale(d3.timeDay.offset(day, 1)) + Math.PI / 2
+      }))
+      .attr("class", `non-working-day is-${nonWorking.kind}`)
+      .style("fill", layout.holidayColor)
+      .append("title")
+      .text(`${nonWorking.name} · ${day.toLocaleDateString(getDateLocale(), { weekday: 'long', day: 'numeric', month: 'long' })}`);
+  });
 }
 
 /**
@@ -134,56 +208,69 @@ export function renderWeekRing(gWeeks, gLabels, config, layout, angleScale, arcs
  * @param {Function} refreshHighlights - Återanrop för markeringar
  */
 export function renderPeriodRing(gPeriodRing, config, layout, angleScale, arcs, state, refreshHighlights) {
-  const year = config.year;
-  const periodDividerWeeks = config.periodDividerWeeks;
+  const { start, end } = getWheelWindow(config);
   const periodColors = config.periodColors;
-  const numPeriods = periodDividerWeeks.length;
-
-  for (let t = 0; t < numPeriods; t++) {
-    const startWeek = periodDividerWeeks[t];
-    const endWeek = periodDividerWeeks[(t + 1) % numPeriods];
-
-    const startDate = getIsoWeekRange(year, startWeek).start;
-    const endDate = getIsoWeekRange(year, endWeek).start;
-
-    let startAngle = angleScale(startDate) + Math.PI / 2;
-    let endAngle = angleScale(endDate) + Math.PI / 2;
-
-    // Hantera varvning över årsskiftet
-    if (endWeek <= startWeek) {
-      endAngle += 2 * Math.PI;
-    }
-
-    const periodColor = periodColors[t] ?? layout.monthRingColor;
-
-    gPeriodRing.append("path")
+  const focusablePeriods = new Set();
+
+  // En period som korsar hjulets start ritas som två bitar
+  getPeriodSlices(start, end, config.periodDividerWeeks).forEach(slice => {
+    const periodIdx = slice.period;
+    const { startWeek, endWeek } = slice;
+    const startAngle = angleScale(slice.start) + Math.PI / 2;
+    const endAngle = angleScale(slice.end) + Math.PI / 2;
+
+    const periodColor = periodColors[periodIdx] ?? layout.monthRingColor;
+
+    const enter = () => {
+      state.hoveredPeriod = periodIdx;
+      refreshHighlights();
+    };
+    const leave = () => {
+      state.hoveredPeriod = null;
+      refreshHighlights();
+    };
+    const activate = () => {
+      togglePeriod(state, periodIdx);
+      refreshHighlights();
+    };
+
+    const periodSegment = gPeriodRing.append("path")
       .attr("d", arcs.periodArc({ startAngle, endAngle }))
       .attr("class", "period-segment")
-      .attr("fill", periodColor)
-      .attr("stroke", "#fff")
+      .attr("data-period", periodIdx)
+      .style("fill", periodColor)
       .attr("stroke-width", 0.5)
       .attr("data-start-week", startWeek)
       .attr("data-end-week", endWeek)
       .attr("data-wraps", endWeek <= startWeek ? "true" : "false")
       .attr("data-color", periodColor)
       .style("cursor", "pointer")
-      .on("mouseover", function () {
-        state.hoveredPeriod = t;
-        refreshHighlights();
-      })
-      .on("mouseout", function () {
-        state.hoveredPeriod = null;
-        refreshHighlights();
-      })
-      .on("click", function () {
-        togglePeriod(state, t);
-        refreshHighlights();
+      .on("mouseover", enter)
+      .on("mouseout", leave)
+      .on("focus", enter)
+      .on("blur", leave)
+      .on("click", activate)
+      .on("keydown", (event) => {
+        if (!isActivationKey(event)) return;
+        event.preventDefault();
+        activate();
       });
-  }
+
+    // Delade perioder ska bara ge ett tabbstopp
+    if (!focusablePeriods.has(periodIdx)) {
+      focusablePeriods.add(periodIdx);
+      periodSegment
+        .attr("role", "button")
+        .attr("tabindex", 0)
+        .attr("aria-pressed", "false")
+        .attr("aria-label", PERIOD_NAMES[periodIdx] || t('period', { number: periodIdx + 1 }));
+    }
+  });
 }
 
 /**
- * Ritar segmentfilterknappar (verksamhet, ekonomi, kvalitet)
+ * Ritar segmentfilterknappar, en per kategori i config.segments, centrerade överst i hjulet
+ * Med fler än en kategori följer en knapp som växlar mellan ELLER och OCH.
  * @param {d3.Selection} main - Huvudgrupp för SVG
  * @param {Object} config - Konfigurationsobjekt
  * @param {Object} layout - Layoutkonfiguration
@@ -193,69 +280,49 @@ export function renderPeriodRing(gPeriodRing, config, layout, angleScale, arcs,
  * @param {Function} applyFilter - Återanrop för att tillämpa filter
  */
 export function renderSegmentButtons(main, config, layout, arcs, state, allVisibleEvents, applyFilter) {
-  const btnColors = config.segmentButtonsColors;
-
-  // Kontrollera tillgänglighet baserat på data
-  const hasVerksamhet = allVisibleEvents.some(ev => ev.verksamhet === true);
-  const hasEkonomi = allVisibleEvents.some(ev => ev.ekonomi === true);
-  const hasKvalitet = allVisibleEvents.some(ev => ev.kvalitet === true);
-
-  const gapRad = 2 * Math.PI / 180;
-  const sectorSize = 20 * Math.PI / 180;
-
-  const segmentData = [
-    {
-      id: 'verksamhet',
-      label: 'Verksamhet',
-      startAngle: -1.5 * sectorSize + gapRad / 2,
-      endAngle: -0.5 * sectorSize - gapRad / 2,
-      color: btnColors.verksamhet,
-      activeColor: layout.segmentButtonActiveColor,
-      disabled: !hasVerksamhet
-    },
-    {
-      id: 'ekonomi',
-      label: 'Ekonomi',
-      startAngle: -0.5 * sectorSize + gapRad / 2,
-      endAngle: 0.5 * sectorSize - gapRad / 2,
-      color: btnColors.ekonomi,
-      activeColor: layout.segmentButtonActiveColor,
-      disabled: !hasEkonomi
-    },
-    {
-      id: 'kvalitet',
-      label: 'Kvalitét',
-      startAngle: 0.5 * sectorSize + gapRad / 2,
-      endAngle: 1.5 * sectorSize - gapRad / 2,
-      color: btnColors.kvalitet,
-      activeColor: layout.segmentButtonActiveColor,
-      disabled: !hasKvalitet
-    }
-  ];
+  const gapRad = layout.segmentButtonGap * Math.PI / 180;
+  const sectorSize = layout.segmentButtonAngle * Math.PI / 180;
+  const firstAngle = -config.segments.length * sectorSize / 2;
+
+  // Kategorier som ingen händelse har går inte att välja, se updateSegmentButtonsAvailability
+  const segmentData = config.segments.map((segment, i) => ({
+    id: segment.id,
+    label: segment.label,
+    startAngle: firstAngle + i * sectorSize + gapRad / 2,
+    endAngle: firstAngle + (i + 1) * sectorSize - gapRad / 2,
+    color: segment.color,
+    activeColor: layout.segmentButtonActiveColor,
+    disabled: false
+  }));
+
+  if (segmentData.length > 1) {
+    const lastAngle = -firstAngle;
+    segmentData.push({
+      id: null,
+      label: null,
+      startAngle: lastAngle + gapRad / 2,
+      endAngle: lastAngle + 0.6 * sectorSize - gapRad / 2,
+      color: DEFAULT_SEGMENT_COLOR,
+      activeColor: DEFAULT_SEGMENT_COLOR,
+      disabled: false
+    });
+  }
 
   const gSegmentButtons = main.append("g").attr("class", "segment-buttons");
 
-  // Initiera segmentfilter baserat på datatillgänglighet
-  state.segmentFilters = {
-    verksamhet: hasVerksamhet,
-    ekonomi: hasEkonomi,
-    kvalitet: hasKvalitet
-  };
-
   segmentData.forEach(btn => {
-    const isActive = state.segmentFilters[btn.id];
+    const isMatchToggle = btn.id === null;
 
     const group = gSegmentButtons.append("g")
-      .attr("class", "segment-btn-group")
+      .attr("class", isMatchToggle ? "segment-btn-group segment-match-toggle" : "segment-btn-group")
       .attr("data-id", btn.id)
-      .style("cursor", btn.disabled ? "not-allowed" : "pointer")
-      .style("opacity", btn.disabled ? 0.3 : 1);
+      .attr("role", "button")
+      .attr("aria-label", isMatchToggle ? t('segments.matchAllLabel') : btn.label);
 
     group.append("path")
       .attr("d", arcs.segmentButtonArc({ startAngle: btn.startAngle, endAngle: btn.endAngle }))
       .attr("class", "segment-btn-bg")
-      .attr("fill", isActive ? btn.activeColor : btn.color)
-      .attr("stroke", "#fff")
+      .style("stroke", "var(--wheel-gap)")
       .attr("stroke-width", layout.segmentButtonStrokeWidth);
 
     const midAngle = (btn.startAngle + btn.endAngle) / 2;
@@ -272,42 +339,82 @@ export function renderSegmentButtons(main, config, layout, arcs, state, allVisib
       .attr("transform", `rotate(${rotateDeg}, ${tx}, ${ty})`)
       .style("font-size", `${layout.segmentButtonFontSize}px`)
       .style("font-weight", "bold")
-      .style("fill", isActive ? layout.segmentButtonActiveTextColor : layout.segmentButtonTextColor)
-      .style("pointer-events", "none")
-      .text(btn.label);
+      .style("pointer-events", "none");
 
-    group.on("click", function (event) {
-      event.stopPropagation();
+    const activate = () => {
       if (btn.disabled) return;
 
-      state.segmentFilters[btn.id] = !state.segmentFilters[btn.id];
+      if (isMatchToggle) {
+        toggleSegmentMatch(state);
+      } else {
+        toggleSegmentFilter(state, btn.id);
+      }
       applyFilter();
       updateSegmentButtonsVisuals(gSegmentButtons, segmentData, state, layout);
-    });
+    };
+
+    group
+      .on("click", function (event) {
+        event.stopPropagation();
+        activate();
+      })
+      .on("keydown", (event) => {
+        if (!isActivationKey(event)) return;
+        event.preventDefault();
+        activate();
+      });
   });
 
+  updateSegmentButtonsAvailability(gSegmentButtons, segmentData, allVisibleEvents);
+  updateSegmentButtonsVisuals(gSegmentButtons, segmentData, state, layout, 0);
+
   return { gSegmentButtons, segmentData };
 }
 
+/**
+ * Räknar om vilka segmentknappar som går att välja när händelserna har ändrats
+ * @param {d3.Selection} gSegmentButtons - Grupp för segmentknappar
+ * @param {Array} segmentData - Data för segmentknappar, uppdateras på plats
+ * @param {Array} allVisibleEvents - Alla synliga händelser
+ */
+export function updateSegmentButtonsAvailability(gSegmentButtons, segmentData, allVisibleEvents) {
+  segmentData.forEach(btn => {
+    if (btn.id !== null) btn.disabled = !allVisibleEvents.some(ev => ev[btn.id] === true);
+  });
+
+  gSegmentButtons.selectAll(".segment-btn-group").each(function (_, i) {
+    const { disabled } = segmentData[i];
+    d3.select(this)
+      .attr("tabindex", disabled ? -1 : 0)
+      .attr("aria-disabled", disabled ? "true" : null)
+      .style("cursor", disabled ? "not-allowed" : "pointer")
+      .style("opacity", disabled ? 0.3 : 1);
+  });
+}
+
 /**
  * Uppdaterar segmentknapparnas utseende baserat på tillstånd
  * @param {d3.Selection} gSegmentButtons - Grupp för segmentknappar
  * @param {Array} segmentData - Data för segmentknappar
  * @param {Object} state - Applikationens tillstånd
  * @param {Object} layout - Layoutkonfiguration
+ * @param {number} [duration=200] - Övergångens längd i millisekunder
  */
-export function updateSegmentButtonsVisuals(gSegmentButtons, segmentData, state, layout) {
-  gSegmentButtons.selectAll(".segment-btn-group").each(function () {
+export function updateSegmentButtonsVisuals(gSegmentButtons, segmentData, state, layout, duration = 200) {
+  gSegmentButtons.selectAll(".segment-btn-group").each(function (_, i) {
     const grp = d3.select(this);
-    const id = grp.attr("data-id");
-    const isActive = state.segmentFilters[id];
-    const btnDef = segmentData.find(b => b.id === id);
+    const btnDef = segmentData[i];
+    const isMatchToggle = btnDef.id === null;
+    const isActive = isMatchToggle ? state.segmentMatch === 'all' : Boolean(state.segmentFilters[btnDef.id]);
+
+    grp.attr("aria-pressed", String(isActive));
 
-    grp.select("path")
-      .transition().duration(200)
-      .attr("fill", isActive ? btnDef.activeColor : btnDef.color);
+    const path = grp.select("path");
+    (duration ? path.transition().duration(duration) : path)
+      .style("fill", isActive ? btnDef.activeColor : btnDef.color);
 
     grp.select("text")
-      .style("fill", isActive ? layout.segmentButtonActiveTextColor : layout.segmentButtonTextColor);
+      .style("fill", isActive && !isMatchToggle ? layout.segmentButtonActiveTextColor : layout.segmentButtonTextColor)
+      .text(isMatchToggle ? t(isActive ? 'segments.matchAll' : 'segments.matchAny') : btnDef.label);
   });
 }
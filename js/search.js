@@ -0,0 +1,156 @@
+/**
+ * Fritextsökning bland händelser för visualiseringen av verksamhetscykeln
+ * Söker i styrningsunderlag, beskrivning och ansvar. Å, ä och ö jämförs som a, a och o.
+ */
+
+import { toSingleLine } from './utils.js';
+import { t } from './i18n.js';
+
+// Fält som genomsöks
+const SEARCH_FIELDS = ['label', 'description', 'responsible'];
+
+/**
+ * Normaliserar text för jämförelse (gemener, utan diakritiska tecken)
+ * @param {string} text - Text att normalisera
+ * @returns {string}
+ */
+export function foldText(text) {
+  return toSingleLine(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Kontrollerar om en händelse matchar en sökfråga
+ * Alla ord i frågan måste finnas i något av sökfälten.
+ * @param {Object} ev - Händelse
+ * @param {string} query - Sökfråga
+ * @returns {boolean}
+ */
+export function eventMatchesQuery(ev, query) {
+  const words = foldText(query).split(' ').filter(Boolean);
+  if (!words.length) return false;
+
+  const haystack = SEARCH_FIELDS.map(field => foldText(ev[field])).join(' ');
+  return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Skapar sökrutan med resultatlista
+ * @param {HTMLElement} container - Element som sökrutan ritas i
+ * @param {Object} state - Applikationens tillstånd
+ * @param {Object} callbacks - Återanrop
+ * @param {Function} callbacks.getEvents - Returnerar de händelser som syns efter filter
+ * @param {Function} callbacks.onChange - Anropas när sökfrågan ändras
+ * @param {Function} callbacks.onSelect - Anropas med händelsens id när ett resultat väljs
+ * @returns {{update: Function, setQuery: Function, getMatchIds: Function}}
+ */
+export function createSearch(container, state, callbacks) {
+  const root = d3.select(container);
+
+  root.append("label")
+    .attr("for", "event-search-input")
+    .attr("class", "event-search-label")
+    .text(t('search.label'));
+
+  const input = root.append("input")
+    .attr("id", "event-search-input")
+    .attr("type", "search")
+    .attr("class", "event-search-input")
+    .attr("autocomplete", "off")
+    .attr("placeholder", t('search.placeholder'))
+    .attr("aria-controls", "event-search-results")
+    .on("input", function () {
+      state.searchQuery = this.value;
+      update();
+      callbacks.onChange();
+    })
+    .on("keydown", function (event) {
+      // Pil ned flyttar fokus till första träffen
+      if (event.key !== "ArrowDown") return;
+      const first = resultList.select("button").node();
+      if (first) {
+        event.preventDefault();
+        first.focus();
+      }
+    });
+
+  const status = root.append("p")
+    .attr("class", "event-search-status")
+    .attr("role", "status")
+    .attr("aria-live", "polite");
+
+  const resultList = root.append("ul")
+    .attr("id", "event-search-results")
+    .attr("class", "event-search-results");
+
+  /**
+   * Returnerar id för händelser som matchar aktuell sökfråga, eller null utan sökfråga
+   * @returns {Set<string>|null}
+   */
+  function getMatchIds() {
+    if (!foldText(state.searchQuery)) return null;
+    return new Set(callbacks.getEvents()
+      .filter(ev => eventMatchesQuery(ev, state.searchQuery))
+      .map(ev => ev.id));
+  }
+
+  function update() {
+    const hasQuery = Boolean(foldText(state.searchQuery));
+    const matches = hasQuery
+      ? callbacks.getEvents()
+        .filter(ev => eventMatchesQuery(ev, state.searchQuery))
+        .sort((a, b) => a.date.localeCompare(b.date))
+      : [];
+
+    status.text(hasQuery ? t('search.hits', { count: matches.length }) : "");
+
+    const items = resultList.selectAll("li")
+      .data(matches, d => d.id)
+      .join(enter => {
+        const li = enter.append("li");
+        li.append("button")
+          .attr("type", "button")
+          .attr("class", "event-search-result");
+        return li;
+      })
+      .order();
+
+    items.select("button")
+      .attr("data-id", d => d.id)
+      .text(d => `${d.date} – ${toSingleLine(d.label)}`)
+      .on("click", (event, d) => callbacks.onSelect(d.id))
+      .on("keydown", function (event) {
+        const li = this.parentNode;
+        const target = event.key === "ArrowDown" ? li.nextElementSibling
+          : event.key === "ArrowUp" ? li.previousElementSibling
+            : null;
+        if (event.key === "ArrowUp" && !target) {
+          event.preventDefault();
+          input.node().focus();
+          return;
+        }
+        if (target) {
+          event.preventDefault();
+          target.querySelector("button").focus();
+        }
+      });
+  }
+
+  /**
+   * Sätter sökfrågan utifrån (t.ex. vid återställning eller djuplänk)
+   * @param {string} query - Ny sökfråga
+   */
+  function setQuery(query) {
+    state.searchQuery = query;
+    input.property("value", query);
+    update();
+  }
+
+  update();
+
+  return { update, setQuery, getMatchIds };
+}
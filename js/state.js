@@ -2,7 +2,7 @@
  * Centraliserad tillståndshantering för visualiseringen av verksamhetscykeln
  */
 
-import { RING_NAMES } from './config.js';
+import { getWeekNumber, getResponsibleUnits, getEventDateRange } from './utils.js';
 
 /**
  * Skapar initialt tillståndsobjekt
@@ -11,12 +11,14 @@ import { RING_NAMES } from './config.js';
  */
 export function createState(options = {}) {
   return {
-    // Tillstånd för segmentfilter (vilka kategorier som är aktiva)
-    segmentFilters: {
-      verksamhet: options.hasVerksamhet ?? true,
-      ekonomi: options.hasEkonomi ?? true,
-      kvalitet: options.hasKvalitet ?? true
-    },
+    // Tillstånd för segmentfilter: kategori-id → aktiv, och om händelsen ska ha
+    // minst en ('any') eller alla ('all') av de aktiva kategorierna
+    segmentFilters: { ...(options.segmentFilters ?? {}) },
+    segmentMatch: options.segmentMatch ?? 'any',
+
+    // Filter på ansvarig enhet och händelsetyp (tom mängd = alla)
+    unitFilter: new Set(),
+    typeFilter: new Set(),
 
     // Valtillstånd
     clickedMonths: new Set(),
@@ -29,9 +31,10 @@ export function createState(options = {}) {
     clickedEvent: null,
     clickedEventPhase: 0,
     selectionMode: null,  // 'month', 'ring', 'period' eller null
+    searchQuery: '',
 
-    // Referensdata
-    ringNames: RING_NAMES,
+    // Referensdata (ringarnas id inifrån och ut, från config.rings)
+    ringNames: options.ringNames ?? [],
 
     // Tillstånd för hovringscykel
     hoverCycleTimeouts: [],
@@ -50,6 +53,9 @@ export function resetSelections(state) {
   state.selectionMode = null;
   state.clickedEvent = null;
   state.clickedEventPhase = 0;
+  state.searchQuery = '';
+  state.unitFilter.clear();
+  state.typeFilter.clear();
   clearHoverCycle(state);
 }
 
@@ -129,12 +135,20 @@ export function togglePeriod(state, periodIndex) {
 /**
  * Växlar segmentfilter
  * @param {Object} state - Tillståndsobjektet
- * @param {string} filterId - Filter-ID ('verksamhet', 'ekonomi', 'kvalitet')
+ * @param {string} filterId - Kategorins id i config.segments, t.ex. 'ekonomi'
  */
 export function toggleSegmentFilter(state, filterId) {
   state.segmentFilters[filterId] = !state.segmentFilters[filterId];
 }
 
+/**
+ * Växlar mellan att visa händelser med minst en och med alla aktiva kategorier
+ * @param {Object} state - Tillståndsobjektet
+ */
+export function toggleSegmentMatch(state) {
+  state.segmentMatch = state.segmentMatch === 'all' ? 'any' : 'all';
+}
+
 /**
  * Hämtar aktiva mängder för markering
  * @param {Object} state - Tillståndsobjektet
@@ -153,6 +167,7 @@ export function getActiveSets(state) {
   return {
     activeMonths,
     activeRings,
+    activeRingNames: new Set([...activeRings].map(ringIdx => state.ringNames[ringIdx])),
     activePeriods,
     hasMonthActive: activeMonths.size > 0,
     hasRingActive: activeRings.size > 0,
@@ -162,17 +177,78 @@ export function getActiveSets(state) {
 }
 
 /**
- * Filtrerar händelser baserat på aktuella segmentfilter
+ * Filtrerar händelser baserat på aktuella segmentfilter samt filter på ansvar och typ
+ * Segmentfiltren kombineras med ELLER (segmentMatch 'any') eller OCH ('all');
+ * utan aktiva kategorier visas inget. Ansvar och typ begränsar därefter resultatet.
  * @param {Object} state - Tillståndsobjektet
  * @param {Array} allEvents - Alla synliga händelser
  * @returns {Array} Filtrerade händelser
  */
 export function getFilteredEvents(state, allEvents) {
-  const f = state.segmentFilters;
+  const activeSegments = Object.keys(state.segmentFilters).filter(id => state.segmentFilters[id]);
+  const hasSegment = ev => id => ev[id] === true;
   return allEvents.filter(ev => {
-    const matchVerksamhet = f.verksamhet && ev.verksamhet === true;
-    const matchEkonomi = f.ekonomi && ev.ekonomi === true;
-    const matchKvalitet = f.kvalitet && ev.kvalitet === true;
-    return matchVerksamhet || matchEkonomi || matchKvalitet;
+    if (!activeSegments.length) return false;
+    const matchesSegments = state.segmentMatch === 'all'
+      ? activeSegments.every(hasSegment(ev))
+      : activeSegments.some(hasSegment(ev));
+    if (!matchesSegments) return false;
+
+    if (state.typeFilter.size && !state.typeFilter.has(ev.type)) return false;
+    if (state.unitFilter.size && !getResponsibleUnits(ev.responsible).some(u => state.unitFilter.has(u))) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Hämtar veckonummer som ingår i valda perioder
+ * @param {Set<number>} activePeriods - Valda periodindex
+ * @param {number[]} dividers - Startvecka för varje period
+ * @param {number} totalWeeks - Högsta veckonummer att ta med
+ * @returns {Set<number>} Veckonummer
+ */
+export function getActiveWeeks(activePeriods, dividers, totalWeeks) {
+  const activeWeeks = new Set();
+  const numPeriods = dividers.length;
+
+  activePeriods.forEach(idx => {
+    const sw = dividers[idx];
+    const ew = dividers[(idx + 1) % numPeriods];
+    const wraps = (ew <= sw);
+
+    for (let w = 1; w <= totalWeeks; w++) {
+      const isIn = wraps ? (w >= sw || w < ew) : (w >= sw && w < ew);
+      if (isIn) activeWeeks.add(w);
+    }
   });
+
+  return activeWeeks;
+}
+
+/**
+ * Kontrollerar om en händelse omfattas av aktuellt val av ring, månad eller period
+ * Ringval har företräde framför månadsval som har företräde framför periodval.
+ * Händelser med endDate omfattas om någon dag i intervallet ligger i valet.
+ * @param {Object} ev - Händelse
+ * @param {Object} activeSets - Resultat från getActiveSets
+ * @param {Set<number>} activeWeeks - Veckor i valda perioder
+ * @returns {boolean} Sant om händelsen ingår i valet
+ */
+export function isEventInSelection(ev, activeSets, activeWeeks) {
+  const { activeMonths, activeRingNames, hasRingActive, hasMonthActive, hasPeriodActive } = activeSets;
+  const { start, end } = getEventDateRange(ev);
+  const days = d3.timeDay.range(start, d3.timeDay.offset(end, 1));
+
+  if (hasRingActive) {
+    return activeRingNames.has(ev.ring) || activeRingNames.has(ev.ring_2);
+  }
+  if (hasMonthActive) {
+    return days.some(day => activeMonths.has(day.getMonth()));
+  }
+  if (hasPeriodActive) {
+    return days.some(day => activeWeeks.has(getWeekNumber(day)));
+  }
+  return false;
 }
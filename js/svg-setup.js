@@ -2,7 +2,7 @@
  * SVG-uppsättning och lagerhantering för visualiseringen av verksamhetscykeln
  */
 
-import { MONTHS_LIST } from './config.js';
+import { getMonthSlices } from './utils.js';
 
 /**
  * Skapar och konfigurerar huvud-SVG
@@ -43,6 +43,7 @@ export function createLayers(main) {
     gMonths: main.append("g").attr("class", "months"),
     gGrid: main.append("g").attr("class", "grid"),
     gPeriodRing: main.append("g").attr("class", "period-ring"),
+    gNow: main.append("g").attr("class", "now").style("pointer-events", "none"),
     gConnectors: main.append("g").attr("class", "connectors"),
     gCenter: main.append("g").attr("class", "center-content"),
     gMarkers: main.append("g").attr("class", "markers"),
@@ -52,15 +53,13 @@ export function createLayers(main) {
 
 /**
  * Skapar tid-till-vinkel-skalan
- * @param {number} year - Året för visualiseringen
+ * Fönstrets start hamnar klockan tolv och ett helt varv motsvarar tolv månader.
+ * @param {{start: Date, end: Date}} wheelWindow - Hjulets tidsfönster
  * @returns {d3.ScaleTime} D3 tidsskala
  */
-export function createAngleScale(year) {
-  const startYear = new Date(year, 0, 1);
-  const endYear = new Date(year + 1, 0, 1);
-
+export function createAngleScale(wheelWindow) {
   return d3.scaleTime()
-    .domain([startYear, endYear])
+    .domain([wheelWindow.start, wheelWindow.end])
     .range([-Math.PI / 2, 3 * Math.PI / 2]);
 }
 
@@ -171,7 +170,7 @@ export function renderGridCircles(gGrid, layout) {
     gGrid.append("circle")
       .attr("r", r)
       .attr("fill", "none")
-      .attr("stroke", "rgba(255,255,255,0.2)")
+      .style("stroke", "var(--wheel-gap-soft)")
       .attr("stroke-width", layout.gridLineWidth);
   }
 }
@@ -181,19 +180,18 @@ export function renderGridCircles(gGrid, layout) {
  * @param {d3.Selection} gGrid - Rutnätsgrupp
  * @param {Object} layout - Layoutkonfiguration
  * @param {d3.ScaleTime} angleScale - Vinkelskala
- * @param {number} year - Året
+ * @param {{start: Date, end: Date}} wheelWindow - Hjulets tidsfönster
  */
-export function renderRadialSeparators(gGrid, layout, angleScale, year) {
-  MONTHS_LIST.forEach((_, i) => {
-    const d0 = new Date(year, i, 1);
-    const a = angleScale(d0);
+export function renderRadialSeparators(gGrid, layout, angleScale, wheelWindow) {
+  getMonthSlices(wheelWindow.start, wheelWindow.end).forEach(slice => {
+    const a = angleScale(slice.start);
 
     gGrid.append("line")
       .attr("x1", layout.ringInner * Math.cos(a))
       .attr("y1", layout.ringInner * Math.sin(a))
       .attr("x2", layout.monthBandR1 * Math.cos(a))
       .attr("y2", layout.monthBandR1 * Math.sin(a))
-      .attr("stroke", "rgba(255,255,255,1.0)")
+      .style("stroke", "var(--wheel-gap)")
       .attr("stroke-width", layout.gridLineWidth);
   });
 }
@@ -201,17 +199,16 @@ export function renderRadialSeparators(gGrid, layout, angleScale, year) {
 /**
  * Hämtar radien för en specifik ring
  * @param {string|number} ring - Ringidentifierare
- * @param {Object} layout - Layoutkonfiguration
- * @param {Object} ringMap - Mappning från ringnamn till index
+ * @param {Object} layout - Layoutkonfiguration (ringMap ger ringens index)
  * @returns {number} Radievärde
  */
-export function getRadius(ring, layout, ringMap) {
+export function getRadius(ring, layout) {
   const ringGap = (layout.ringOuter - layout.ringInner) / layout.ringCount;
 
   if (ring === "manad") {
     return (layout.monthBandR0 + layout.monthBandR1) / 2;
   }
 
-  const ringIdx = (typeof ring === 'string') ? (ringMap[ring] ?? 0) : ring;
+  const ringIdx = (typeof ring === 'string') ? (layout.ringMap[ring] ?? 0) : ring;
   return layout.ringInner + ringIdx * ringGap + ringGap / 2;
 }
@@ -0,0 +1,143 @@
+/**
+ * Tabellvy över händelser för visualiseringen av verksamhetscykeln
+ * Ett tillgängligt alternativ till hjulet som respekterar samma filter och val
+ */
+
+import { getRingLabel, getTypeDisplayName } from './config.js';
+import { getFilteredEvents, getActiveSets, getActiveWeeks, isEventInSelection } from './state.js';
+import { getWeekNumber, toSingleLine } from './utils.js';
+import { t, getLocale } from './i18n.js';
+
+/**
+ * Kolumndefinitioner för tabellen
+ */
+const COLUMNS = [
+  { key: 'date', title: t('table.date') },
+  { key: 'week', title: t('table.week'), numeric: true },
+  { key: 'ring', title: t('table.ring') },
+  { key: 'type', title: t('table.type') },
+  { key: 'label', title: t('table.label') },
+  { key: 'description', title: t('table.description') },
+  { key: 'responsible', title: t('table.responsible') }
+];
+
+/**
+ * Omvandlar en händelse till en tabellrad med visningsvärden
+ * @param {Object} ev - Händelse
+ * @param {Array} rings - Normaliserade ringar (config.rings)
+ * @returns {Object} Rad med ett värde per kolumn
+ */
+function toRow(ev, rings) {
+  return {
+    id: ev.id,
+    date: ev.endDate ? `${ev.date} – ${ev.endDate}` : ev.date,
+    week: getWeekNumber(new Date(ev.date)),
+    ring: ev.ring ? getRingLabel(ev.ring, rings) : '',
+    type: ev.type ? getTypeDisplayName(ev.type) : '',
+    label: toSingleLine(ev.label),
+    description: ev.description ?? '',
+    responsible: ev.responsible ?? ''
+  };
+}
+
+/**
+ * Skapar tabellvyn
+ * @param {HTMLElement} container - Element som tabellen ritas i
+ * @param {Object} state - Applikationens tillstånd
+ * @param {Array} allVisibleEvents - Alla synliga händelser
+ * @param {Object} config - Konfigurationsobjekt
+ * @param {number} totalWeeks - Högsta veckonummer i hjulets fönster
+ * @returns {{update: Function}} Funktion för att uppdatera tabellen efter ändrat tillstånd; gör inget medan tabellen är dold
+ */
+export function createTableView(container, state, allVisibleEvents, config, totalWeeks) {
+  let sortKey = 'date';
+  let sortAscending = true;
+  let query = '';
+
+  const root = d3.select(container);
+
+  const toolbar = root.append("div").attr("class", "table-toolbar");
+
+  toolbar.append("label")
+    .attr("for", "table-filter")
+    .text(t('table.filterLabel'));
+
+  toolbar.append("input")
+    .attr("id", "table-filter")
+    .attr("type", "search")
+    .attr("class", "table-filter")
+    .on("input", function () {
+      query = this.value.trim().toLowerCase();
+      update();
+    });
+
+  const status = toolbar.append("p")
+    .attr("class", "table-status")
+    .attr("role", "status")
+    .attr("aria-live", "polite");
+
+  const table = root.append("table").attr("class", "events-table");
+  table.append("caption").text(t('table.caption'));
+
+  const headerCells = table.append("thead").append("tr")
+    .selectAll("th")
+    .data(COLUMNS)
+    .join("th")
+    .attr("scope", "col");
+
+  headerCells.append("button")
+    .attr("type", "button")
+    .attr("class", "table-sort-button")
+    .text(d => d.title)
+    .on("click", (event, d) => {
+      sortAscending = sortKey === d.key ? !sortAscending : true;
+      sortKey = d.key;
+      update();
+    });
+
+  const tbody = table.append("tbody");
+
+  function update() {
+    // En dold tabell ritas när den visas
+    if (container.hidden) return;
+
+    const filtered = getFilteredEvents(state, allVisibleEvents);
+
+    // Samma val av månad, ring eller period som i hjulet
+    const activeSets = getActiveSets(state);
+    const activeWeeks = getActiveWeeks(activeSets.activePeriods, config.periodDividerWeeks, totalWeeks);
+    const selected = activeSets.hasAnyActive
+      ? filtered.filter(ev => isEventInSelection(ev, activeSets, activeWeeks))
+      : filtered;
+
+    const column = COLUMNS.find(c => c.key === sortKey);
+    const rows = selected
+      .map(ev => toRow(ev, config.rings))
+      .filter(row => !query || COLUMNS.some(c => String(row[c.key]).toLowerCase().includes(query)))
+      .sort((a, b) => {
+        const cmp = column.numeric
+          ? a[sortKey] - b[sortKey]
+          : String(a[sortKey]).localeCompare(String(b[sortKey]), getLocale());
+        return (sortAscending ? cmp : -cmp) || a.date.localeCompare(b.date);
+      });
+
+    headerCells.attr("aria-sort", d => d.key === sortKey ? (sortAscending ? "ascending" : "descending") : "none");
+
+    const tr = tbody.selectAll("tr")
+      .data(rows, d => d.id)
+      .join("tr")
+      .attr("data-id", d => d.id)
+      .order();
+
+    tr.selectAll("td")
+      .data(row => COLUMNS.map(c => row[c.key]))
+      .join("td")
+      .text(d => d);
+
+    status.text(t('table.status', { shown: rows.length, total: allVisibleEvents.length }));
+  }
+
+  update();
+
+  return { update };
+}
@@ -0,0 +1,79 @@
+/**
+ * Färgteman för visualiseringen av verksamhetscykeln
+ * Ljust, mörkt, hög kontrast eller samma som systemet (prefers-color-scheme).
+ * Temat sätts som data-theme på <html>. Alla färger, även de som ritas från JavaScript,
+ * är CSS-variabler som style.css definierar per tema, så hjulet byter färg utan att ritas om.
+ */
+
+import { t } from './i18n.js';
+import { readStorage, writeStorage } from './utils.js';
+
+export const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+const STORAGE_KEY = 'verksamhetscykel-tema';
+
+const darkQuery = window.matchMedia?.('(prefers-color-scheme: dark)') ?? null;
+
+/**
+ * Hämtar det sparade temavalet
+ * @returns {string} Ett av THEMES, "system" om inget är sparat
+ */
+export function getStoredTheme() {
+  const stored = readStorage(STORAGE_KEY);
+  return THEMES.includes(stored) ? stored : 'system';
+}
+
+/**
+ * Översätter ett temaval till det tema som ritas
+ * @param {string} choice - Ett av THEMES
+ * @returns {string} "light", "dark" eller "high-contrast"
+ */
+export function resolveTheme(choice) {
+  if (choice !== 'system') return choice;
+  return darkQuery?.matches ? 'dark' : 'light';
+}
+
+/**
+ * Sätter temat på sidan
+ * @param {string} choice - Ett av THEMES
+ */
+export function applyTheme(choice) {
+  document.documentElement.dataset.theme = resolveTheme(choice);
+}
+
+/**
+ * Kopplar temaväljaren och följer systemets inställning när "Som systemet" är valt
+ * Utskrift sker alltid i ljust tema.
+ * @param {HTMLSelectElement|null} select - Väljare för tema
+ */
+export function setupThemeSelect(select) {
+  let choice = getStoredTheme();
+  applyTheme(choice);
+
+  if (select) {
+    select.innerHTML = '';
+    THEMES.forEach(theme => {
+      const option = document.createElement('option');
+      option.value = theme;
+      option.textContent = t(`themes.${theme}`);
+      option.selected = theme === choice;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', function () {
+      choice = select.value;
+      // Utan lagring gäller valet bara tills sidan laddas om
+      writeStorage(STORAGE_KEY, choice);
+      applyTheme(choice);
+    });
+  }
+
+  darkQuery?.addEventListener('change', () => {
+    if (choice === 'system') applyTheme(choice);
+  });
+
+  window.addEventListener('beforeprint', () => {
+    document.documentElement.dataset.theme = 'light';
+  });
+  window.addEventListener('afterprint', () => applyTheme(choice));
+}
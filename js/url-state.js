@@ -0,0 +1,165 @@
+/**
+ * Djuplänkar för visualiseringen av verksamhetscykeln
+ * Serialiserar filter, val och öppen händelse till adressens hash-del,
+ * t.ex. #event=ev_12&phase=1&ring=2&filter=ekonomi,kvalitet&match=all&unit=S-LE
+ *
+ * Månader, ringar och perioder anges 1-baserat i adressen (ring=1 är den innersta ringen).
+ */
+
+/**
+ * Kodar en lista med värden som kommaseparerad parameter
+ * @param {Array} values - Värden
+ * @returns {string}
+ */
+function encodeList(values) {
+  return values.map(v => encodeURIComponent(String(v))).join(',');
+}
+
+/**
+ * Avkodar ett parametervärde
+ * Felaktig procentkodning (t.ex. en avklippt länk) ger null i stället för URIError.
+ * @param {string} raw - Rått värde
+ * @returns {string|null}
+ */
+function decodeValue(raw) {
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Avkodar en kommaseparerad parameter
+ * Värden som inte går att avkoda hoppas över.
+ * @param {string|undefined} raw - Rått parametervärde
+ * @returns {string[]}
+ */
+function decodeList(raw) {
+  if (!raw) return [];
+  return raw.split(',').map(decodeValue).filter(Boolean);
+}
+
+/**
+ * Avkodar en lista med 1-baserade index till 0-baserade
+ * @param {string|undefined} raw - Rått parametervärde
+ * @returns {number[]}
+ */
+function decodeIndexList(raw) {
+  return decodeList(raw)
+    .map(v => parseInt(v, 10) - 1)
+    .filter(n => Number.isInteger(n) && n >= 0);
+}
+
+/**
+ * Serialiserar tillståndet till en hash-sträng (utan inledande #)
+ * Segmentfilter och ELLER/OCH tas bara med när de skiljer sig från standardläget.
+ * @param {Object} state - Tillståndsobjektet
+ * @param {Object} defaultFilters - Segmentfilter vid sidladdning
+ * @param {string} [defaultMatch='any'] - ELLER ('any') eller OCH ('all') vid sidladdning
+ * @returns {string} Hash-sträng, tom om inget är valt
+ */
+export function serializeState(state, defaultFilters, defaultMatch = 'any') {
+  const parts = [];
+
+  if (state.clickedEvent) {
+    parts.push(`event=${encodeURIComponent(state.clickedEvent)}`);
+    if (state.clickedEventPhase) parts.push(`phase=${state.clickedEventPhase}`);
+  }
+
+  const sorted = set => [...set].sort((a, b) => a - b).map(i => i + 1);
+  if (state.clickedMonths.size) parts.push(`month=${encodeList(sorted(state.clickedMonths))}`);
+  if (state.clickedRings.size) parts.push(`ring=${encodeList(sorted(state.clickedRings))}`);
+  if (state.clickedPeriods.size) parts.push(`period=${encodeList(sorted(state.clickedPeriods))}`);
+
+  const filterIds = Object.keys(state.segmentFilters);
+  const isDefault = filterIds.every(id => state.segmentFilters[id] === defaultFilters[id]);
+  if (!isDefault) {
+    parts.push(`filter=${encodeList(filterIds.filter(id => state.segmentFilters[id]))}`);
+  }
+  if (state.segmentMatch !== defaultMatch) parts.push(`match=${state.segmentMatch}`);
+
+  if (state.unitFilter.size) parts.push(`unit=${encodeList([...state.unitFilter].sort())}`);
+  if (state.typeFilter.size) parts.push(`type=${encodeList([...state.typeFilter].sort())}`);
+
+  return parts.join('&');
+}
+
+/**
+ * Tolkar en hash-sträng
+ * @param {string} hash - Adressens hash-del (med eller utan #)
+ * @returns {{event: string|null, phase: number, months: number[], rings: number[], periods: number[], filters: string[]|null, match: string|null, units: string[], types: string[]}}
+ */
+export function parseHash(hash) {
+  const params = {};
+  String(hash ?? '').replace(/^#/, '').split('&').forEach(pair => {
+    if (!pair) return;
+    const [key, ...rest] = pair.split('=');
+    params[key] = rest.join('=');
+  });
+
+  const phase = parseInt(params.phase, 10);
+
+  return {
+    event: params.event ? decodeValue(params.event) : null,
+    phase: Number.isInteger(phase) && phase >= 0 && phase <= 2 ? phase : 0,
+    months: decodeIndexList(params.month).filter(m => m < 12),
+    rings: decodeIndexList(params.ring),
+    periods: decodeIndexList(params.period),
+    filters: 'filter' in params ? decodeList(params.filter) : null,
+    match: ['any', 'all'].includes(params.match) ? params.match : null,
+    units: decodeList(params.unit),
+    types: decodeList(params.type)
+  };
+}
+
+/**
+ * Tillämpar tolkade val på tillståndet (månad, ring och period)
+ * Endast en sorts val kan vara aktivt åt gången, i samma ordning som i gränssnittet.
+ * Ringar och perioder som inte finns i årets konfiguration hoppas över.
+ * @param {Object} state - Tillståndsobjektet
+ * @param {Object} parsed - Resultat från parseHash
+ * @param {Object} config - Konfigurationsobjekt (rings och periodDividerWeeks)
+ */
+export function applySelectionsFromHash(state, parsed, config) {
+  state.clickedMonths.clear();
+  state.clickedRings.clear();
+  state.clickedPeriods.clear();
+  state.selectionMode = null;
+
+  const rings = parsed.rings.filter(r => r < config.rings.length);
+  const periods = parsed.periods.filter(p => p < config.periodDividerWeeks.length);
+
+  if (rings.length) {
+    rings.forEach(r => state.clickedRings.add(r));
+    state.selectionMode = 'ring';
+  } else if (parsed.months.length) {
+    parsed.months.forEach(m => state.clickedMonths.add(m));
+    state.selectionMode = 'month';
+  } else if (periods.length) {
+    periods.forEach(p => state.clickedPeriods.add(p));
+    state.selectionMode = 'period';
+  }
+}
+
+/**
+ * Tillämpar tolkade segmentfilter samt filter på ansvar och typ på tillståndet
+ * Segmentfilter som saknar data i hjulet förblir avstängda.
+ * @param {Object} state - Tillståndsobjektet
+ * @param {Object} parsed - Resultat från parseHash
+ * @param {Object} defaultFilters - Segmentfilter vid sidladdning
+ * @param {string} [defaultMatch='any'] - ELLER ('any') eller OCH ('all') vid sidladdning
+ */
+export function applyFiltersFromHash(state, parsed, defaultFilters, defaultMatch = 'any') {
+  Object.keys(defaultFilters).forEach(id => {
+    state.segmentFilters[id] = parsed.filters === null
+      ? defaultFilters[id]
+      : defaultFilters[id] && parsed.filters.includes(id);
+  });
+  state.segmentMatch = parsed.match ?? defaultMatch;
+
+  state.unitFilter.clear();
+  parsed.units.forEach(unit => state.unitFilter.add(unit));
+  state.typeFilter.clear();
+  parsed.types.forEach(type => state.typeFilter.add(type));
+}
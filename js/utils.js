@@ -91,17 +91,60 @@ export function wrapTextToLines(text, maxChars) {
 }
 
 /**
- * Beräknar arbetsdagar (mån-fre) mellan två datum
+ * Gör ett visningsnamn med radbrytningar till en rad ("Långtids-\nplanering" → "Långtidsplanering")
+ * @param {string} name - Visningsnamn
+ * @returns {string} Namn på en rad
+ */
+export function toSingleLine(name) {
+  return String(name ?? '').replace(/-\n/g, '').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+// Enhetskoder som "S-LE" och "S-SA"
+const UNIT_CODE_PATTERN = /\b[A-ZÅÄÖ]{1,3}-[A-ZÅÄÖ]{2,4}\b/g;
+
+/**
+ * Hämtar ansvariga enheter ur ett ansvarsfält
+ * Rader som "Beslut: Rektor" eller "Bereds av: Avdelningen ... (S-LE)" ger "Rektor" och "S-LE".
+ * Deltagarrader och följande fritext räknas inte som ansvariga, utom enhetskoder.
+ * @param {string} responsible - Ansvarsfältet
+ * @returns {string[]} Unika enheter
+ */
+export function getResponsibleUnits(responsible) {
+  const text = String(responsible ?? '');
+  const units = new Set(text.match(UNIT_CODE_PATTERN) ?? []);
+
+  text.split('\n').forEach((line, i) => {
+    const match = line.match(/^([^:]+):\s*(.*)$/);
+    if (match && /deltagare/i.test(match[1])) return;
+    // Rader utan rubrik räknas bara om de står först (t.ex. "Prefekt/Högskoledirektör")
+    if (!match && i > 0) return;
+
+    const value = match ? match[2] : line;
+    value.split(/[,/]/).forEach(part => {
+      const name = part.trim();
+      if (!name || name.includes('@') || /[()]/.test(name)) return;
+      units.add(name.charAt(0).toUpperCase() + name.slice(1));
+    });
+  });
+
+  return [...units];
+}
+
+/**
+ * Beräknar arbetsdagar mellan två datum (båda inklusive)
+ * Utan kalender räknas måndag–fredag. En kalender från createWorkdayCalendar (holidays.js)
+ * räknar även bort helgdagar och stängda dagar.
  * @param {Date} startDate
  * @param {Date} endDate
+ * @param {{isWorkday: Function}|null} [calendar=null] - Arbetsdagskalender
  * @returns {number} Antal arbetsdagar
  */
-export function getWorkdaysBetween(startDate, endDate) {
+export function getWorkdaysBetween(startDate, endDate, calendar = null) {
   let count = 0;
   const curDate = new Date(startDate);
   while (curDate <= endDate) {
     const dayOfWeek = curDate.getDay();
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) count++;
+    if (calendar ? calendar.isWorkday(curDate) : dayOfWeek !== 0 && dayOfWeek !== 6) count++;
     curDate.setDate(curDate.getDate() + 1);
   }
   return count;
@@ -120,6 +163,28 @@ export function getWeekNumber(date) {
   return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
 }
 
+/**
+ * Hämtar antalet ISO-veckor under ett år (52 eller 53)
+ * 28 december ligger alltid i årets sista ISO-vecka.
+ * @param {number} year
+ * @returns {number} Antal veckor
+ */
+export function getIsoWeeksInYear(year) {
+  return getWeekNumber(new Date(year, 11, 28));
+}
+
+/**
+ * Hämtar måndagen i en ISO-vecka (utan begränsning till årets gränser)
+ * @param {number} year - ISO-år
+ * @param {number} week - Veckonummer
+ * @returns {Date} Måndag kl. 00:00 lokal tid
+ */
+export function getIsoWeekMonday(year, week) {
+  const d = new Date(year, 0, 4);
+  const day = d.getDay() || 7;
+  return new Date(year, 0, 4 - day + 1 + (week - 1) * 7);
+}
+
 /**
  * Hämtar ISO-veckans datumintervall begränsat till årets gränser
  * @param {number} year
@@ -127,13 +192,7 @@ export function getWeekNumber(date) {
  * @returns {{start: Date, end: Date}}
  */
 export function getIsoWeekRange(year, week) {
-  const d = new Date(year, 0, 4);
-  const day = d.getDay() || 7;
-  const week1Monday = new Date(d);
-  week1Monday.setDate(d.getDate() - day + 1);
-
-  const weekMonday = new Date(week1Monday);
-  weekMonday.setDate(week1Monday.getDate() + (week - 1) * 7);
+  const weekMonday = getIsoWeekMonday(year, week);
 
   const jan1 = new Date(year, 0, 1);
   const start = weekMonday < jan1 ? jan1 : weekMonday;
@@ -147,6 +206,171 @@ export function getIsoWeekRange(year, week) {
   return { start, end };
 }
 
+/**
+ * Tolkar ett datum i formatet YYYY-MM-DD som lokal midnatt
+ * @param {string} str - Datumsträng
+ * @returns {Date|null} Datum eller null om strängen är ogiltig
+ */
+export function parseLocalDate(str) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(str ?? '').trim());
+  if (!match) return null;
+
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getMonth() === m - 1 ? date : null;
+}
+
+/**
+ * Skriver ett datum som YYYY-MM-DD i lokal tid (motsatsen till parseLocalDate)
+ * @param {Date} date - Datum
+ * @returns {string} Datumsträng
+ */
+export const formatLocalDate = d3.timeFormat("%Y-%m-%d");
+
+/**
+ * Läser ett värde som sparats i webbläsaren
+ * Lagring kan vara avstängd (t.ex. privat läge) och räknas då som tom.
+ * @param {string} key - Nyckel i localStorage
+ * @returns {string|null} Sparat värde, null om det saknas eller inte går att läsa
+ */
+export function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sparar ett värde i webbläsaren om lagringen går att använda
+ * @param {string} key - Nyckel i localStorage
+ * @param {string} value - Värde
+ */
+export function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch {
+    // Lagringen är avstängd och värdet sparas inte
+  }
+}
+
+/**
+ * Hämtar en händelses datumintervall
+ * endDate är valfritt och inklusive; saknas det är intervallet en enda dag.
+ * @param {Object} ev - Händelse
+ * @returns {{start: Date|null, end: Date|null}} Första och sista dagen som lokal midnatt
+ */
+export function getEventDateRange(ev) {
+  const start = parseLocalDate(ev.date);
+  const end = parseLocalDate(ev.endDate);
+  return { start, end: end && start && end > start ? end : start };
+}
+
+/**
+ * Delar upp ett tidsfönster i månadsbitar
+ * Bitar i fönstrets kanter kortas av (t.ex. 24–31 augusti).
+ * @param {Date} start - Fönstrets start (inklusive)
+ * @param {Date} end - Fönstrets slut (exklusive)
+ * @returns {Array<{month: number, year: number, start: Date, end: Date}>}
+ */
+export function getMonthSlices(start, end) {
+  const slices = [];
+  let cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+
+  while (cursor < end) {
+    const next = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+    slices.push({
+      month: cursor.getMonth(),
+      year: cursor.getFullYear(),
+      start: cursor < start ? new Date(start) : cursor,
+      end: next > end ? new Date(end) : next
+    });
+    cursor = next;
+  }
+
+  return slices;
+}
+
+/**
+ * Delar upp ett tidsfönster i ISO-veckor
+ * @param {Date} start - Fönstrets start (inklusive)
+ * @param {Date} end - Fönstrets slut (exklusive)
+ * @returns {Array<{week: number, start: Date, end: Date}>}
+ */
+export function getWeekSlices(start, end) {
+  const slices = [];
+  let monday = new Date(start.getFullYear(), start.getMonth(), start.getDate() - ((start.getDay() + 6) % 7));
+
+  while (monday < end) {
+    const nextMonday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 7);
+    slices.push({
+      week: getWeekNumber(monday),
+      start: monday < start ? new Date(start) : monday,
+      end: nextMonday > end ? new Date(end) : nextMonday
+    });
+    monday = nextMonday;
+  }
+
+  return slices;
+}
+
+/**
+ * Delar upp ett tidsfönster i periodbitar utifrån periodernas startveckor
+ * En period som korsar fönstrets kant ger två bitar.
+ * @param {Date} start - Fönstrets start (inklusive)
+ * @param {Date} end - Fönstrets slut (exklusive)
+ * @param {number[]} dividerWeeks - Startvecka för varje period
+ * @returns {Array<{period: number, startWeek: number, endWeek: number, start: Date, end: Date}>}
+ */
+export function getPeriodSlices(start, end, dividerWeeks) {
+  const slices = [];
+  const numPeriods = dividerWeeks.length;
+
+  for (let y = start.getFullYear() - 1; y <= end.getFullYear(); y++) {
+    dividerWeeks.forEach((startWeek, t) => {
+      const endWeek = dividerWeeks[(t + 1) % numPeriods];
+      const wraps = endWeek <= startWeek;
+      const pStart = getIsoWeekMonday(y, startWeek);
+      const pEnd = getIsoWeekMonday(wraps ? y + 1 : y, endWeek);
+
+      const sliceStart = pStart < start ? start : pStart;
+      const sliceEnd = pEnd > end ? end : pEnd;
+      if (sliceStart < sliceEnd) {
+        slices.push({ period: t, startWeek, endWeek, start: new Date(sliceStart), end: new Date(sliceEnd) });
+      }
+    });
+  }
+
+  return slices.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Kontrollerar om en tangenttryckning ska aktivera ett element (Enter eller mellanslag)
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+export function isActivationKey(event) {
+  return event.key === "Enter" || event.key === " " || event.key === "Spacebar";
+}
+
+/**
+ * Laddar ner textinnehåll som en fil i webbläsaren
+ * @param {string} content - Filinnehåll
+ * @param {string} filename - Filnamn
+ * @param {string} mimeType - MIME-typ
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Sökvägsgeneratorer för markörformer
  */
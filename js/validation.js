@@ -0,0 +1,307 @@
+/**
+ * Validering av händelsedata för visualiseringen av verksamhetscykeln
+ * Felaktiga händelser ritas inte ut utan listas i en rapport på sidan.
+ *
+ * Nivåer:
+ * - error: händelsen visas inte (eller konfigurationsvärdet används inte)
+ * - warning: visas, men kan se fel ut (t.ex. ogiltig färg)
+ */
+
+import { parseLocalDate, shapeGenerators, toSingleLine } from './utils.js';
+import { getRecurrenceErrors } from './recurrence.js';
+import { t } from './i18n.js';
+
+const COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgb|hsl)a?\([^)]*\)|var\(--[\w-]+\)|[a-z]+)$/i;
+
+/**
+ * Kontrollerar om ett värde är en giltig CSS-färg
+ * @param {*} value - Värde att kontrollera
+ * @returns {boolean}
+ */
+function isValidColor(value) {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  if (typeof CSS !== 'undefined' && typeof CSS.supports === 'function') {
+    return CSS.supports('color', value);
+  }
+  return COLOR_PATTERN.test(value.trim());
+}
+
+/**
+ * Samlar färgvärden i konfigurationen (nycklar som slutar på Color eller Colors)
+ * @param {Object} config - Konfigurationsobjekt
+ * @returns {Array<{key: string, value: *}>}
+ */
+function collectConfigColors(config) {
+  const colors = [];
+  Object.entries(config).forEach(([key, value]) => {
+    if (/Color$/.test(key)) {
+      colors.push({ key, value });
+    } else if (/Colors$/.test(key) && value && typeof value === 'object') {
+      Object.entries(value).forEach(([subKey, subValue]) => colors.push({ key: `${key}.${subKey}`, value: subValue }));
+    }
+  });
+  return colors;
+}
+
+/**
+ * Validerar en händelse
+ * @param {Object} ev - Händelse
+ * @param {Object} typeStyle - Stilar per händelsetyp
+ * @param {Object} ringMap - Giltiga ring-id (getRingMap)
+ * @returns {Array<{level: string, message: string}>}
+ */
+function validateEvent(ev, typeStyle, ringMap) {
+  const issues = [];
+  const error = message => issues.push({ level: 'error', message });
+  const warning = message => issues.push({ level: 'warning', message });
+
+  if (ev.id === undefined || ev.id === null || ev.id === '') error(t('validation.missingId'));
+  if (!parseLocalDate(ev.date)) error(t('validation.invalidDate', { date: ev.date ?? '' }));
+  if (ev.endDate !== null && ev.endDate !== undefined && ev.endDate !== '') {
+    const endDate = parseLocalDate(ev.endDate);
+    if (!endDate) {
+      error(t('validation.invalidEndDate', { date: ev.endDate }));
+    } else if (endDate < parseLocalDate(ev.date)) {
+      error(t('validation.endBeforeStart', { endDate: ev.endDate, date: ev.date }));
+    }
+  }
+  if (ev.recurrence !== null && ev.recurrence !== undefined) {
+    getRecurrenceErrors(ev.recurrence, ev.date).forEach(error);
+  }
+
+  // Dolda händelser ritas inte, så ring och typ spelar bara roll för synliga
+  if (ev.visible !== true) return issues;
+
+  if (!(ev.ring in ringMap)) error(t('validation.unknownRing', { ring: ev.ring ?? '' }));
+  if (ev.ring_2 !== null && ev.ring_2 !== undefined && ev.ring_2 !== '' && !(ev.ring_2 in ringMap)) {
+    error(t('validation.unknownRing2', { ring: ev.ring_2 }));
+  }
+  if (!typeStyle[ev.type]) error(t('validation.missingType', { type: ev.type ?? '' }));
+  if (!toSingleLine(ev.label)) warning(t('validation.missingLabel'));
+
+  return issues;
+}
+
+/**
+ * Validerar periodgränser och tar bort ogiltiga veckor
+ * @param {Object} config - Konfigurationsobjekt (periodDividerWeeks ändras på plats)
+ * @returns {Array<{level: string, message: string}>}
+ */
+function validatePeriodDividers(config) {
+  const issues = [];
+  const weeks = config.periodDividerWeeks;
+
+  if (!Array.isArray(weeks)) {
+    config.periodDividerWeeks = [];
+    return [{ level: 'error', message: t('validation.dividersNotList') }];
+  }
+
+  const valid = weeks.filter(w => Number.isInteger(w) && w >= 1 && w <= 53);
+  weeks.filter(w => !valid.includes(w)).forEach(w => {
+    issues.push({ level: 'error', message: t('validation.invalidDivider', { week: w }) });
+  });
+
+  if (new Set(valid).size !== valid.length) {
+    issues.push({ level: 'warning', message: t('validation.duplicateDivider') });
+  }
+  if (valid.some((w, i) => i > 0 && w < valid[i - 1])) {
+    issues.push({ level: 'warning', message: t('validation.unsortedDividers') });
+  }
+
+  config.periodDividerWeeks = valid;
+  return issues;
+}
+
+/**
+ * Validerar ringdefinitionerna och tar bort ringar som inte kan användas
+ * @param {Object} config - Normaliserad konfiguration (rings ändras på plats)
+ * @returns {Array<{level: string, message: string}>}
+ */
+export function validateRings(config) {
+  const issues = [];
+  const seenIds = new Set();
+
+  config.rings = config.rings.filter((ring, i) => {
+    const where = `rings[${i}]`;
+    if (typeof ring.id !== 'string' || !ring.id.trim()) {
+      issues.push({ level: 'error', message: t('validation.missingItemId', { where }) });
+      return false;
+    }
+    if (ring.id === 'manad') {
+      issues.push({ level: 'error', message: t('validation.reservedRingId', { where }) });
+      return false;
+    }
+    if (seenIds.has(ring.id)) {
+      issues.push({ level: 'error', message: t('validation.duplicateRingId', { where, id: ring.id }) });
+      return false;
+    }
+    seenIds.add(ring.id);
+
+    if (ring.color !== null && !isValidColor(ring.color)) {
+      issues.push({ level: 'warning', message: t('validation.invalidColor', { key: `${where}.color`, value: ring.color }) });
+    }
+    return true;
+  });
+
+  return issues;
+}
+
+/**
+ * Validerar segmentfiltrets kategorier och tar bort kategorier som inte kan användas
+ * @param {Object} config - Normaliserad konfiguration (segments och segmentMatch ändras på plats)
+ * @returns {Array<{level: string, message: string}>}
+ */
+function validateSegments(config) {
+  const issues = [];
+  const seenIds = new Set();
+
+  config.segments = config.segments.filter((segment, i) => {
+    const where = `segments[${i}]`;
+    if (typeof segment.id !== 'string' || !segment.id.trim()) {
+      issues.push({ level: 'error', message: t('validation.missingItemId', { where }) });
+      return false;
+    }
+    if (seenIds.has(segment.id)) {
+      issues.push({ level: 'error', message: t('validation.duplicateSegmentId', { where, id: segment.id }) });
+      return false;
+    }
+    seenIds.add(segment.id);
+
+    if (!isValidColor(segment.color)) {
+      issues.push({ level: 'warning', message: t('validation.invalidColor', { key: `${where}.color`, value: segment.color }) });
+    }
+    return true;
+  });
+
+  if (!['any', 'all'].includes(config.segmentMatch)) {
+    issues.push({ level: 'warning', message: t('validation.invalidMatch', { value: config.segmentMatch }) });
+    config.segmentMatch = 'any';
+  }
+
+  return issues;
+}
+
+/**
+ * Validerar stängda dagar och tar bort dagar som inte kan användas
+ * @param {Object} config - Normaliserad konfiguration (closureDays ändras på plats)
+ * @returns {Array<{level: string, message: string}>}
+ */
+function validateClosureDays(config) {
+  const issues = [];
+
+  config.closureDays = config.closureDays.filter((day, i) => {
+    const where = `closureDays[${i}]`;
+    const start = parseLocalDate(day.date);
+    if (!start) {
+      issues.push({ level: 'error', message: t('validation.invalidClosureDate', { where, date: day.date ?? '' }) });
+      return false;
+    }
+    if (day.endDate !== null && day.endDate !== '') {
+      const end = parseLocalDate(day.endDate);
+      if (!end || end < start) {
+        issues.push({ level: 'error', message: t('validation.invalidClosureEnd', { where, endDate: day.endDate, date: day.date }) });
+        return false;
+      }
+    }
+    return true;
+  });
+
+  return issues;
+}
+
+/**
+ * Validerar konfiguration, typstilar och händelser
+ * @param {Object} data - Inläst data
+ * @param {Object} data.config - Normaliserad konfiguration
+ * @param {Array} data.events - Händelser
+ * @param {Object} data.typeStyle - Stilar per händelsetyp
+ * @param {Object} data.ringMap - Giltiga ring-id (getRingMap)
+ * @returns {{issues: Array, validEvents: Array}} Alla problem samt händelser som kan ritas
+ */
+export function validateData({ config, events, typeStyle, ringMap }) {
+  const issues = [];
+  const seenIds = new Set();
+  const validEvents = [];
+
+  events.forEach(ev => {
+    const eventIssues = validateEvent(ev, typeStyle, ringMap);
+
+    if (ev.id !== undefined && ev.id !== null && ev.id !== '') {
+      if (seenIds.has(ev.id)) eventIssues.push({ level: 'error', message: t('validation.duplicateEventId', { id: ev.id }) });
+      seenIds.add(ev.id);
+    }
+
+    eventIssues.forEach(issue => issues.push({ ...issue, event: ev }));
+    if (!eventIssues.some(issue => issue.level === 'error')) validEvents.push(ev);
+  });
+
+  Object.entries(typeStyle).forEach(([type, style]) => {
+    if (!isValidColor(style?.fill)) {
+      issues.push({ level: 'warning', message: t('validation.invalidColor', { key: `typeStyle.${type}`, value: style?.fill ?? '' }) });
+    }
+    if (!shapeGenerators[style?.shape]) {
+      issues.push({ level: 'warning', message: t('validation.unknownShape', { key: `typeStyle.${type}`, value: style?.shape ?? '' }) });
+    }
+  });
+
+  issues.push(...validatePeriodDividers(config));
+  issues.push(...validateSegments(config));
+  issues.push(...validateClosureDays(config));
+
+  collectConfigColors(config).forEach(({ key, value }) => {
+    if (!isValidColor(value)) issues.push({ level: 'warning', message: t('validation.invalidColor', { key, value }) });
+  });
+
+  return { issues, validEvents };
+}
+
+/**
+ * Ritar en hopfällbar rapport över valideringsproblem
+ * Inget ritas om datat är felfritt.
+ * @param {HTMLElement} container - Element som rapporten ritas i
+ * @param {Array} issues - Problem från validateData
+ * @param {string} dataPath - Sökväg till datafilen (visas i rubriken)
+ */
+export function renderValidationReport(container, issues, dataPath) {
+  if (!issues.length) return;
+
+  const errorCount = issues.filter(issue => issue.level === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  const parts = [];
+  if (errorCount) parts.push(t('validation.errors', { count: errorCount }));
+  if (warningCount) parts.push(t('validation.warnings', { count: warningCount }));
+  const partsText = parts.join(` ${t('validation.and')} `);
+
+  container.hidden = false;
+  const details = d3.select(container).append("details")
+    .property("open", errorCount > 0);
+
+  details.append("summary")
+    .text(t('validation.summary', { parts: partsText, path: dataPath }));
+
+  if (issues.some(issue => issue.level === 'error' && issue.event)) {
+    details.append("p")
+      .attr("class", "validation-note")
+      .text(t('validation.note'));
+  }
+
+  const items = details.append("ul")
+    .attr("class", "validation-list")
+    .selectAll("li")
+    .data(issues)
+    .join("li")
+    .attr("class", d => `validation-issue is-${d.level}`);
+
+  items.append("strong")
+    .text(d => t(d.level === 'error' ? 'report.error' : 'report.warning'));
+
+  items.append("span")
+    .text(d => {
+      if (!d.event) return ` ${d.message}`;
+      const where = [d.event.id, d.event.date, toSingleLine(d.event.label)].filter(Boolean).join(' · ');
+      return ` ${where}: ${d.message}`;
+    });
+
+  console.warn(`${t('validation.title')}: ${partsText}`, issues);
+}
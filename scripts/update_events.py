@@ -1,6 +1,8 @@
 import json
 import os
+import re
 import shutil
+from datetime import datetime
 
 import pandas as pd
 
@@ -18,14 +20,26 @@ def load_json_base():
                 return json.load(f), path
     return None, None
 
-# Mappning för ring-värden (Excel -> Interna ID:n)
-RING_MAPPING = {
-    'Planering': 'planering',
-    'Uppföljning och analys': 'uppfoljning_och_analys',
-    'Långtidsplanering': 'langtidsplanering',
-    'Genomförande och uppföljning': 'genomforande_och_uppfoljning',
-    'Månad': 'manad'
-}
+# Mappningarna och omvandlingen nedan finns även i js/importer.js (import i webbläsaren)
+
+def get_ring_mapping(data):
+    """Mappning för ring-värden (Excel -> Interna ID:n) från config.rings i JSON-filen."""
+    rings = data.get('config', {}).get('rings') or []
+    mapping = {ring['name']: ring['id'] for ring in rings if ring.get('name') and ring.get('id')}
+    mapping['Månad'] = 'manad'
+    return mapping
+
+# Segmentfiltrets kategorier om config.segments saknas (samma som DEFAULT_SEGMENTS i js/config.js)
+DEFAULT_SEGMENTS = [
+    {'id': 'verksamhet', 'column': 'Verksamhet'},
+    {'id': 'ekonomi', 'column': 'Ekonomi'},
+    {'id': 'kvalitet', 'column': 'Kvalitet'}
+]
+
+def get_segment_mapping(data):
+    """Mappning för segmentfiltrets Ja/Nej-kolumner (Excel -> händelsefält) från config.segments i JSON-filen."""
+    segments = data.get('config', {}).get('segments') or DEFAULT_SEGMENTS
+    return {segment.get('column') or segment['id']: segment['id'] for segment in segments if segment.get('id')}
 
 # Mappning för typ-värden (Excel -> Interna ID:n)
 TYPE_MAPPING = {
@@ -37,46 +51,146 @@ TYPE_MAPPING = {
 }
 
 # Omvänd mappning (Interna ID:n -> Excel)
-RING_MAPPING_REVERSE = {v: k for k, v in RING_MAPPING.items()}
 TYPE_MAPPING_REVERSE = {v: k for k, v in TYPE_MAPPING.items()}
 
+# Mappning för upprepning (Excel -> freq och interval i JSON)
+RECURRENCE_MAPPING = {
+    'varje vecka': ('weekly', 1),
+    'veckovis': ('weekly', 1),
+    'varje månad': ('monthly', 1),
+    'månadsvis': ('monthly', 1),
+    'varje kvartal': ('monthly', 3),
+    'kvartalsvis': ('monthly', 3),
+    'varje år': ('monthly', 12)
+}
+
+# T.ex. "Var 2:a vecka" eller "Var 6:e månad"
+RECURRENCE_EVERY_NTH = re.compile(r'^var\s+(\d+)(?::?[ae])?\s+(vecka|veckor|månad|månader)$')
+
+
+def to_date_string(value):
+    """Returnerar datumet som YYYY-MM-DD, eller värdet oförändrat om det inte går att tolka."""
+    if isinstance(value, (pd.Timestamp, datetime)):
+        return value.strftime('%Y-%m-%d')
+    try:
+        return pd.to_datetime(str(value).strip()).strftime('%Y-%m-%d')
+    except (ValueError, TypeError):
+        return str(value).strip()
+
+
+def build_recurrence(row):
+    """Bygger upprepningsregeln från kolumnerna Upprepning, Upprepa till och Undantag.
+
+    Okända upprepningar skickas vidare oförändrade så att datakontrollen på webbsidan visar dem.
+    """
+    text = row.get('recurrence_rule')
+    if text is None or pd.isnull(text) or not str(text).strip():
+        return None
+
+    key = ' '.join(str(text).strip().lower().split())
+    rule = None
+    if key in RECURRENCE_MAPPING:
+        freq, interval = RECURRENCE_MAPPING[key]
+        rule = {'freq': freq, 'interval': interval}
+    else:
+        match = RECURRENCE_EVERY_NTH.match(key)
+        if match:
+            freq = 'weekly' if match.group(2).startswith('veck') else 'monthly'
+            rule = {'freq': freq, 'interval': int(match.group(1))}
+        else:
+            rule = {'freq': str(text).strip()}
+
+    until = row.get('recurrence_until')
+    if until is not None and not pd.isnull(until):
+        rule['until'] = to_date_string(until)
+
+    # Undantag: en datumcell eller text med datum separerade av komma, semikolon eller radbrytning
+    exceptions = row.get('recurrence_except')
+    if exceptions is not None and not pd.isnull(exceptions):
+        if isinstance(exceptions, (pd.Timestamp, datetime)):
+            rule['except'] = [to_date_string(exceptions)]
+        else:
+            parts = re.split(r'[,;\n]+', str(exceptions))
+            rule['except'] = [to_date_string(p) for p in parts if p.strip()]
+
+    return rule
+
+
+def format_recurrence(rule):
+    """Beskriver upprepningsregeln som text för kolumnen Upprepning."""
+    if not isinstance(rule, dict):
+        return None
+
+    freq = rule.get('freq')
+    interval = rule.get('interval') or 1
+    for text, mapped in RECURRENCE_MAPPING.items():
+        if mapped == (freq, interval) and text.startswith('varje'):
+            return text.capitalize()
+
+    unit = {'weekly': 'vecka', 'monthly': 'månad'}.get(freq)
+    if unit is None:
+        return freq
+    suffix = 'a' if interval % 10 in (1, 2) and interval % 100 not in (11, 12) else 'e'
+    return f"Var {interval}:{suffix} {unit}"
+
 def update_json_from_excel():
     """Läser in händelser från Excel och uppdaterar JSON"""
     if not os.path.exists(EXCEL_FILE):
         print(f"Fel: Hittade inte {EXCEL_FILE}")
         return
 
-    # 1. Läs in Excel
+    # 1. Läs in befintlig JSON (för att behålla config och typeStyle och för ringarnas namn)
+    data, _ = load_json_base()
+    if data is None:
+        print(f"Fel: Hittade inte {JSON_FILE} eller {WEB_JSON_FILE}")
+        return
+    ring_mapping = get_ring_mapping(data)
+    segment_mapping = get_segment_mapping(data)
+
+    # 2. Läs in Excel
     df = pd.read_excel(EXCEL_FILE, sheet_name='Verksamhetscykel')
     
     # Mappa svenska kolumner till interna variabelnamn
     rename_mapping = {
         'Cykeldatum': 'date',
+        'Slutdatum': 'endDate',
         'Styrningsfas': 'ring',
         'Relaterad styrningsfas': 'ring_2',
         'Typ': 'type',
         'Styrningsunderlag förkortning': 'label',
         'Styrningsunderlag': 'description',
+        'Styrningsunderlag förkortning (engelska)': 'label_en',
+        'Styrningsunderlag (engelska)': 'description_en',
         'Ansvarig': 'responsible',
-        'Verksamhet': 'verksamhet',
-        'Ekonomi': 'ekonomi',
-        'Synlig': 'visible'
+        'Synlig': 'visible',
+        'Upprepning': 'recurrence_rule',
+        'Upprepa till': 'recurrence_until',
+        'Undantag': 'recurrence_except',
+        **segment_mapping
     }
 
     df = df.rename(columns=rename_mapping)
     
     # Mappa om värdena i 'ring', 'ring_2' och 'type' från Svenska till interna ID:n
-    df['ring'] = df['ring'].map(lambda x: RING_MAPPING.get(str(x).strip(), x) if pd.notnull(x) else x)
-    df['ring_2'] = df['ring_2'].map(lambda x: RING_MAPPING.get(str(x).strip(), x) if pd.notnull(x) else x)
+    df['ring'] = df['ring'].map(lambda x: ring_mapping.get(str(x).strip(), x) if pd.notnull(x) else x)
+    df['ring_2'] = df['ring_2'].map(lambda x: ring_mapping.get(str(x).strip(), x) if pd.notnull(x) else x)
     df['type'] = df['type'].map(lambda x: TYPE_MAPPING.get(str(x).strip(), x) if pd.notnull(x) else x)
     
-    # Konvertera 'visible', 'verksamhet', 'ekonomi' från "Ja"/"Nej" till true/false
-    for col in ['visible', 'verksamhet', 'ekonomi']:
+    # Konvertera 'visible' och segmentfiltrets kategorier från "Ja"/"Nej" till true/false
+    for col in ['visible', *segment_mapping.values()]:
         if col in df.columns:
             df[col] = df[col].map(lambda x: str(x).strip().lower() == 'ja' if pd.notnull(x) else False)
 
     # Konvertera datum till strängformat YYYY-MM-DD
     df['date'] = pd.to_datetime(df['date']).dt.strftime('%Y-%m-%d')
+
+    # Slutdatum är valfritt; tomma celler blir None (händelse på en enda dag)
+    if 'endDate' in df.columns:
+        df['endDate'] = pd.to_datetime(df['endDate']).dt.strftime('%Y-%m-%d')
+
+    # Upprepningsregel för återkommande händelser (en rad i Excel blir en serie)
+    if 'recurrence_rule' in df.columns:
+        df['recurrence'] = [build_recurrence(row) for row in df.to_dict(orient='records')]
     
     # Logik: Om ring_2 har ett värde (inte NaN eller tom sträng), sätt placering till 'linje'
     # Annars sätt placering till 'center'
@@ -93,7 +207,8 @@ def update_json_from_excel():
     df['description'] = df['description'].fillna('')
     df['responsible'] = df['responsible'].fillna('')
     df['type'] = df['type'].fillna('beslut')
-    df['ring'] = df['ring'].fillna('planering')
+    first_ring = next(iter(v for v in ring_mapping.values() if v != 'manad'), 'planering')
+    df['ring'] = df['ring'].fillna(first_ring)
     
     # Rensa bort alla kvarvarande NaNs (t.ex. i ring_2) för att få snygg JSON
     df = df.where(pd.notnull(df), None)
@@ -102,18 +217,12 @@ def update_json_from_excel():
     df['id'] = [f"ev_{i}" for i in range(len(df))]
     
     # Behåll endast de kolumner vi vill ha i JSON
-    output_cols = ['date', 'ring', 'ring_2', 'type', 'label', 'description', 'responsible', 'verksamhet', 'ekonomi', 'placering', 'visible', 'id']
+    output_cols = ['date', 'endDate', 'recurrence', 'ring', 'ring_2', 'type', 'label', 'description', 'label_en', 'description_en', 'responsible', *segment_mapping.values(), 'placering', 'visible', 'id']
     df = df[[c for c in output_cols if c in df.columns]]
     
     # Konvertera till list of dicts
     new_events = df.to_dict(orient='records')
 
-    # 2. Läs in befintlig JSON (för att behålla config och typeStyle)
-    data, _ = load_json_base()
-    if data is None:
-        print(f"Fel: Hittade inte {JSON_FILE} eller {WEB_JSON_FILE}")
-        return
-
     # 3. Uppdatera endast events
     data['events'] = new_events
 
@@ -152,35 +261,57 @@ def init_excel_from_json():
         df.loc[mask, 'ring'] = 'langtidsplanering'
         df.loc[mask, 'ring_2'] = 'planering'
     
+    # Se till att Slutdatum finns som kolumn i Excel även om inga händelser har intervall
+    if 'endDate' not in df.columns:
+        df['endDate'] = None
+
+    # Dela upp upprepningsregeln i kolumnerna Upprepning, Upprepa till och Undantag
+    rules = df['recurrence'].tolist() if 'recurrence' in df.columns else [None] * len(df)
+    df['recurrence_rule'] = [format_recurrence(r) for r in rules]
+    df['recurrence_until'] = [r.get('until') if isinstance(r, dict) else None for r in rules]
+    df['recurrence_except'] = [', '.join(r.get('except') or []) if isinstance(r, dict) else None for r in rules]
+
     # Rensa ring_2 där placering är center
     if 'placering' in df.columns:
         df.loc[df['placering'] == 'center', 'ring_2'] = None
 
     # Mappa interna ID:n tillbaka till Svenska värden
-    df['ring'] = df['ring'].map(lambda x: RING_MAPPING_REVERSE.get(x, x))
-    df['ring_2'] = df['ring_2'].map(lambda x: RING_MAPPING_REVERSE.get(x, x) if pd.notnull(x) else x)
+    ring_mapping_reverse = {v: k for k, v in get_ring_mapping(data).items()}
+    df['ring'] = df['ring'].map(lambda x: ring_mapping_reverse.get(x, x))
+    df['ring_2'] = df['ring_2'].map(lambda x: ring_mapping_reverse.get(x, x) if pd.notnull(x) else x)
     df['type'] = df['type'].map(lambda x: TYPE_MAPPING_REVERSE.get(x, x))
     
+    # Se till att varje kategori i segmentfiltret finns som kolumn, även om ingen händelse har den ännu
+    segment_mapping = get_segment_mapping(data)
+    for col in segment_mapping.values():
+        if col not in df.columns:
+            df[col] = False
+
     # Konvertera booleans till Ja/Nej
-    for col in ['visible', 'verksamhet', 'ekonomi']:
+    for col in ['visible', *segment_mapping.values()]:
         if col in df.columns:
             df[col] = df[col].map(lambda x: 'Ja' if x else 'Nej')
 
     # Se till att kolumnerna ligger i en snygg ordning och har svenska namn
     export_mapping = {
         'date': 'Cykeldatum',
+        'endDate': 'Slutdatum',
         'ring': 'Styrningsfas',
         'ring_2': 'Relaterad styrningsfas',
         'type': 'Typ',
         'label': 'Styrningsunderlag förkortning',
         'description': 'Styrningsunderlag',
+        'label_en': 'Styrningsunderlag förkortning (engelska)',
+        'description_en': 'Styrningsunderlag (engelska)',
         'responsible': 'Ansvarig',
-        'verksamhet': 'Verksamhet',
-        'ekonomi': 'Ekonomi',
-        'visible': 'Synlig'
+        **{v: k for k, v in segment_mapping.items()},
+        'visible': 'Synlig',
+        'recurrence_rule': 'Upprepning',
+        'recurrence_until': 'Upprepa till',
+        'recurrence_except': 'Undantag'
     }
     df = df.rename(columns=export_mapping)
-    cols = ['Cykeldatum', 'Styrningsfas', 'Relaterad styrningsfas', 'Typ', 'Styrningsunderlag förkortning', 'Styrningsunderlag', 'Ansvarig', 'Verksamhet', 'Ekonomi', 'Synlig']
+    cols = ['Cykeldatum', 'Slutdatum', 'Styrningsfas', 'Relaterad styrningsfas', 'Typ', 'Styrningsunderlag förkortning', 'Styrningsunderlag', 'Styrningsunderlag förkortning (engelska)', 'Styrningsunderlag (engelska)', 'Ansvarig', *segment_mapping.keys(), 'Synlig', 'Upprepning', 'Upprepa till', 'Undantag']
     
     existing_cols = [c for c in cols if c in df.columns]
     df = df[existing_cols]